@@ -3,20 +3,88 @@ import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
 import readline from "node:readline";
+import { clusterVariants } from "./src/cluster.js";
 import {
-	get_config_by_path,
-	get_config_path_by_args,
-} from "./src/counts_config.js";
+	hitKeyOf,
+	locateHits,
+	readHitLocations,
+	writeHitTable,
+} from "./src/coordinates.js";
+import { countSeqs, countSeqsExternal, domainColumns } from "./src/counting.js";
+import { get_args, get_config_by_path } from "./src/counts_config.js";
+import {
+	extractBestHMMHits,
+	hitCoordinates,
+	hmmCoverage,
+	readBedOrdinals,
+	readDomtblout,
+	selectBestHits,
+	selectDomainHits,
+} from "./src/domtblout.js";
+import {
+	readModelAlignments,
+	writeAlignmentTable,
+	writeModelAlignments,
+} from "./src/hmm_alignment.js";
+import { readHMMHeader } from "./src/hmm_model.js";
+import { runHMMSearch, runNHMMER } from "./src/hmmer.js";
+import {
+	fileSignature,
+	fingerprint,
+	loadManifest,
+	runStep,
+} from "./src/manifest.js";
+import { DEFAULT_MERGE_OPTIONS, mergeFastqPair } from "./src/merge_pairs.js";
+import {
+	defaultSchemePath,
+	numberAlignment,
+	readNumberingScheme,
+	writeNumbering,
+} from "./src/numbering.js";
+import { runPool } from "./src/pool.js";
+import {
+	DEFAULT_MAX_INDEL,
+	alignmentIndel,
+	codonOffset,
+	readScreenResults,
+	screenTrimmedFasta,
+} from "./src/productivity.js";
+import {
+	buildQcReport,
+	summarizeBatch,
+	writeQcReport,
+} from "./src/qc_report.js";
+import { createReadIdNormalizer } from "./src/read_ids.js";
+import { extractRegions } from "./src/regions.js";
+import {
+	collectColumns,
+	createTableWriter,
+	stripTableExtension,
+	writeTable,
+} from "./src/tables.js";
+import { checkTools } from "./src/tools.js";
+import {
+	filterAndTranslateInto,
+	trimTranslatedReads,
+} from "./src/translate.js";
+import { readUmiRecords } from "./src/umi.js";
 
 /**
  * Define function to batch all sequences from fastq
  * @param {string} fastq_path
  * @param {string} batchFastqDir
+ * @param {number} [chunkSize=500000] - Number of reads per split file
+ * @param {number} [threads=1] - Number of seqkit threads
  * @returns {Promise<void>}
  */
-async function batchSeqKit(fastq_path, batchFastqDir) {
+async function batchSeqKit(
+	fastq_path,
+	batchFastqDir,
+	chunkSize = 500000,
+	threads = 1,
+) {
 	return new Promise((resolve, reject) => {
-		const command = `seqkit split ${fastq_path} -s 500000 -O ${batchFastqDir}`;
+		const command = `seqkit split ${fastq_path} -s ${chunkSize} -j ${threads} -O ${batchFastqDir} --force`;
 
 		// Execute the seqkit command to split the FASTQ file
 		const seqkitSplit = spawn(command, { shell: true });
@@ -49,193 +117,118 @@ async function batchSeqKit(fastq_path, batchFastqDir) {
 }
 
 /**
- * Define function to translate all sequences from fastq
- * @param {string} fastq_path
- * @param {number} min_quality
- * @param {string} fullFastaPath
- * @returns {Promise<void>}
+ * One nhmmer tblout hit
+ * @typedef {object} NhmmerHit
+ * @property {string} target_name - Target sequence name
+ * @property {number} score - Bit score
+ * @property {number} coverage - Fraction of the model covered by the hit
+ * @property {number} hmm_from - First model position of the hit
+ * @property {number} hmm_to - Last model position of the hit
+ * @property {number} start - First aligned base (1-based, forward strand)
+ * @property {number} end - Last aligned base (inclusive, forward strand)
+ * @property {"+" | "-"} strand - Strand of the hit
  */
-async function fullSeqKit(fastq_path, min_quality, fullFastaPath) {
-	return new Promise((resolve, reject) => {
-		// Construct full shell command as a single string
-		const command = `seqkit seq --min-qual ${min_quality} ${fastq_path} | seqkit translate -f 6 -F > ${fullFastaPath}`;
-		const seqkitFull = spawn(command, { shell: true });
-
-		// Handle stdout and stderr for logging
-		seqkitFull.stdout.on("data", (data) => {
-			console.log(`Output: ${data}`);
-		});
 
-		seqkitFull.stderr.on("data", (data) => {
-			console.error(`Error: ${data}`);
-		});
-
-		// Handle process termination
-		seqkitFull.on("close", (code) => {
-			if (code === 0) {
-				// After the process finishes, check if the output FASTA file is empty
-				fs.stat(fullFastaPath, (err, stats) => {
-					if (err) {
-						console.error(`Error checking file stats: ${err.message}`);
-						reject(new Error(`Error checking file stats: ${err.message}`));
-						return;
-					}
+/**
+ * Define function to stream the hits of an nhmmer tblout file
+ * Reverse-strand hits are reported by nhmmer with ali_from > ali_to.
+ * @param {string} tblPath - Path to the nhmmer tblout file
+ * @param {number} modelLength - Number of match states in the model (LENG)
+ * @returns {AsyncGenerator<NhmmerHit>}
+ */
+async function* readNhmmerHits(tblPath, modelLength) {
+	// Create readline interface to read the file line by line
+	const rl = readline.createInterface({
+		input: fs.createReadStream(tblPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
 
-					if (stats.size === 0) {
-						// If the file is empty, suggest lowering the min_quality threshold
-						reject(
-							new Error(
-								`No sequences found in fasta file. Try lowering the 'min_quality' threshold!`,
-							),
-						);
-					} else {
-						console.log(`Translated sequences saved to: ${fullFastaPath}`);
-						resolve();
-					}
-				});
-			} else {
-				console.error(`Process exited with code ${code}`);
-				reject(new Error(`Process failed with exit code ${code}`));
-			}
-		});
+	for await (const line of rl) {
+		if (line.startsWith("#") || line.trim() === "") {
+			continue; // Skip comment/empty lines
+		}
 
-		// Handle process error
-		seqkitFull.on("error", (err) => {
-			console.error(`Failed to start process: ${err.message}`);
-			reject(new Error(`Failed to start process: ${err.message}`));
-		});
+		const columns = line.trim().split(/\s+/);
+		if (columns.length < 15) {
+			continue; // Skip lines that don't have enough columns
+		}
 
-		// Handle file stream errors
-		fs.createWriteStream(fullFastaPath).on("error", (err) => {
-			console.error(`Failed to write to temporary fasta: ${err.message}`);
-			reject(new Error(`Failed to write to temporary fasta: ${err.message}`));
-		});
-	});
+		const hmm_from = Number.parseInt(columns[4], 10); // HMM start
+		const hmm_to = Number.parseInt(columns[5], 10); // HMM end
+		const ali_from = Number.parseInt(columns[6], 10); // Alignment start
+		const ali_to = Number.parseInt(columns[7], 10); // Alignment end (< ali_from on the reverse strand)
+		yield {
+			target_name: columns[0], // Target sequence name
+			score: Number.parseFloat(columns[13]), // Bit score
+			coverage: (hmm_to - hmm_from + 1) / modelLength,
+			hmm_from,
+			hmm_to,
+			start: Math.min(ali_from, ali_to),
+			end: Math.max(ali_from, ali_to),
+			strand: columns[11] === "-" || ali_from > ali_to ? "-" : "+",
+		};
+	}
 }
 
 /**
- * Define function to run hmmsearch
- * @param {string} modelPath
- * @param {string} fastaPath
- * @param {string} domtblPath
- * @param {string} stdoutPath
- * @returns {Promise<void>}
+ * Define function to pick the highest-scoring nhmmer hit per target that covers enough of the model
+ * @param {string} tblPath - Path to the nhmmer tblout file
+ * @param {number} coverage - Minimum required HMM coverage
+ * @param {number} modelLength - Number of match states in the model (LENG)
+ * @returns {Promise<Map<string, NhmmerHit>>}
  */
-async function runHMMSearch(modelPath, fastaPath, domtblPath, stdoutPath) {
-	return new Promise((resolve, reject) => {
-		const hmmsearch = spawn("hmmsearch", [
-			"--domtblout",
-			domtblPath,
-			modelPath,
-			fastaPath,
-		]);
-
-		// Create stream for the stdout file
-		const stdoutStream = fs.createWriteStream(stdoutPath, { flags: "a" });
-
-		// Capture and write any data from stdout to the file
-		hmmsearch.stdout.on("data", (data) => {
-			stdoutStream.write(data);
-		});
-
-		// Capture and log any error messages generated by hmmsearch
-		hmmsearch.stderr.on("data", (data) => {
-			console.error(`stderr: ${data}`);
-		});
+async function selectBestNhmmerHits(tblPath, coverage, modelLength) {
+	/** @type {Map<string, NhmmerHit>} */
+	const bestEntries = new Map(); // Initialize map to store highest-scoring nhmmer hit for each target sequence
+
+	for await (const entry of readNhmmerHits(tblPath, modelLength)) {
+		// Skip entries that do not cover at least X% of the hmm
+		if (entry.coverage < coverage) {
+			continue;
+		}
 
-		hmmsearch.on("close", (code) => {
-			// Check exit code to determine if hmmsearch was successful
-			if (code === 0) {
-				stdoutStream.end(); // Close the stdout file stream
-				resolve();
-			} else {
-				// If exit code is non-zero, an error occurred
-				reject(new Error(`hmmsearch process exited with code ${code}`));
-			}
-		});
-	});
+		// Group entries by target_name and store the highest-scoring hit
+		const existing = bestEntries.get(entry.target_name);
+		if (!existing || entry.score > existing.score) {
+			bestEntries.set(entry.target_name, entry);
+		}
+	}
+	return bestEntries;
 }
 
 /**
- * Define function to parse full hmmsearch output, determine best hit per target and generate a BED file
- * @param {string} domtblPath - Path to the hmmsearch domtblout file
+ * Define function to parse nhmmer tblout, determine best hit per target and generate a stranded BED file
+ * @param {string} tblPath - Path to the nhmmer tblout file
  * @param {number} coverage - Minimum required HMM coverage
+ * @param {number} modelLength - Number of match states in the model (LENG)
  * @param {string} bedFilePath - Path to output the BED file
  * @returns {Promise<void>}
  */
-async function extractBestHMMHits(domtblPath, coverage, bedFilePath) {
-	try {
-		// Create readable stream for hmmer output
-		const fileStream = fs.createReadStream(domtblPath, "utf8");
-
-		// Create readline interface to read the file line by line
-		const rl = readline.createInterface({
-			input: fileStream,
-			crlfDelay: Number.POSITIVE_INFINITY,
-		});
-
-		/** @type {Map<string, { target_name: string, score: number, ali_from: number, ali_to: number }>} */
-		const bestEntries = new Map(); // Initialize map to store highest-scoring hmmsearch hit for each target sequence
-
-		// Parse valid entries
-		for await (const line of rl) {
-			if (line.startsWith("#") || line.trim() === "") {
-				continue; // Skip comment/empty lines
-			}
-
-			const columns = line.trim().split(/\s+/);
-			if (columns.length < 23) {
-				continue; // Skip lines that don't have enough columns
-			}
-
-			// Extract relevant columns
-			const entry = {
-				target_name: columns[0], // Target sequence name
-				qlen: Number.parseInt(columns[5], 10), // Model length
-				score: Number.parseFloat(columns[13]), // Bit score for each domain
-				hmm_from: Number.parseInt(columns[15], 10), // HMM start
-				hmm_to: Number.parseInt(columns[16], 10), // HMM end
-				ali_from: Number.parseInt(columns[17], 10), // Alignment start
-				ali_to: Number.parseInt(columns[18], 10), // Alignment end
-			};
-
-			// Skip entries that do not cover at least X% of the hmm
-			const hmm_covered = entry.hmm_to - entry.hmm_from + 1;
-			if (hmm_covered / entry.qlen < coverage) {
-				continue;
-			}
-
-			// Group entries by target_name and store the highest-scoring hit
-			const existing = bestEntries.get(entry.target_name);
-			if (!existing || entry.score > existing.score) {
-				bestEntries.set(entry.target_name, entry);
-			}
-		}
-
-		// Generate the BED file content
-		/** @type {string[]} bedContent - An array of strings, where each string represents a line in the BED file */
-		const bedContent = [];
-		for (const entry of bestEntries.values()) {
-			// Format the BED file line
-			const bedLine = [
-				entry.target_name, // Target name
-				entry.ali_from - 1, // Start position (BED format is 0-based)
-				entry.ali_to, // End position
-				entry.score, // Bit score
-			].join("\t");
-			bedContent.push(bedLine);
-		}
-
-		// Write the BED content to a file
-		fs.writeFileSync(bedFilePath, bedContent.join("\n"));
-	} catch (error) {
-		if (error instanceof Error) {
-			console.error(error.message);
-		} else {
-			console.error("Unknown error occurred.");
-		}
-		throw error;
-	}
+async function extractBestNHMMERHits(
+	tblPath,
+	coverage,
+	modelLength,
+	bedFilePath,
+) {
+	const bestEntries = await selectBestNhmmerHits(
+		tblPath,
+		coverage,
+		modelLength,
+	);
+
+	// BED6 so that seqkit subseq reverse complements minus-strand hits
+	const bedContent = Array.from(bestEntries.values()).map((entry) =>
+		[
+			entry.target_name, // Target name
+			entry.start - 1, // Start position (BED format is 0-based)
+			entry.end, // End position
+			entry.score, // Bit score (name column)
+			0, // Score column (unused)
+			entry.strand, // Strand
+		].join("\t"),
+	);
+
+	fs.writeFileSync(bedFilePath, bedContent.join("\n"));
 }
 
 /**
@@ -281,309 +274,1334 @@ async function trimSeqs(inFastaFilePath, bedFilePath, outFastaFilePath) {
 	});
 }
 
+/** @typedef {import("./src/counting.js").SeqEntry} SeqEntry */
+/** @typedef {import("./src/counting.js").CountingFunnel} CountingFunnel */
+
 /**
- * Define function to map target names to sequences
+ * Optional per-hit annotations, keyed by hit (target plus trimmed coordinates, see hitKeyOf) or by
+ * hit target (read ID plus "_frame=N" in aa mode) where a target has a single hit
+ * @typedef {object} HitAnnotations
+ * @property {Map<string, { frame: string, strand: string, nt_from: number, nt_to: number, nt_sequence: string }>} [locations] - Hit locations on the read, by hit
+ * @property {Map<string, string[]>} [rejected] - Non-productive hits and the reasons, by hit
+ * @property {Map<string, number>} [domains] - Position of each hit among the domains of its target, by hit
+ * @property {Map<string, number>} [linkers] - Domain each trimmed linker follows, by hit
+ * @property {Map<string, Record<string, string | null>>} [regions] - Named region sequences of each hit, by target
+ * @property {Map<string, { hmm_from: number, a2m: string }>} [alignments] - Model alignment of each hit, by target
+ */
+
+/**
+ * Define function to stream the entries of a trimmed FASTA file, keyed by "readId|sample"
  * @param {string} trimmedFastaPath - Path to the FASTA file
  * @param {string} modelName - Model name
- * @param {string} fastqName - Fastq name
- * @param {Map<string, { model: string; sequence: string }[]>} seqMap - Existing map to append sequences
- * @returns {Promise<Map<string, { model: string; sequence: string }[]>>} - Updated sequence map
+ * @param {string} sampleName - Sample the reads belong to
+ * @param {HitAnnotations} [annotations] - Optional annotations added to each entry
+ * @param {(readId: string) => string} [normalizeReadId] - Maps mates of one read in different files to the same ID
+ * @returns {AsyncGenerator<{ target_name: string, entry: SeqEntry }>}
  */
-async function mapFastaSeqs(
+async function* readFastaEntries(
 	trimmedFastaPath,
 	modelName,
-	fastqName,
-	seqMap = new Map(),
+	sampleName,
+	annotations = {},
+	normalizeReadId = (readId) => readId,
 ) {
-	return new Promise((resolve, reject) => {
-		/** @type {string | null} */
-		let target_name = null;
-		let currentSequence = "";
-
-		const stream = readline.createInterface({
-			input: fs.createReadStream(trimmedFastaPath),
-			output: process.stdout,
-			terminal: false,
-		});
-
-		stream.on("line", (line) => {
-			if (line.startsWith(">")) {
-				if (target_name && currentSequence) {
-					// If 'target_name' is not found in the Map assign an empty array
-					const sequences = seqMap.get(target_name) ?? [];
-					// Append sequence for the current model and target
-					sequences.push({
-						model: modelName,
-						sequence: currentSequence.trim(),
-					});
-					seqMap.set(target_name, sequences); // Save it back to map
-				}
-
-				// Extract target name before "_frame"
-				target_name = line.replace(/^>(.*?)_frame.*/, "$1").trim();
-				// Append the FASTQ file name to make it unique
-				target_name = `${target_name}|${fastqName}`;
-				currentSequence = ""; // Reset sequence for new target
-			} else {
-				currentSequence += line.trim(); // Append sequence data
-			}
-		});
+	/** @type {string | null} */
+	let target_name = null;
+	/** @type {string | null} */
+	let hit_target = null;
+	/** @type {string | null} */
+	let hit_key = null;
+	let currentSequence = "";
+
+	// Entry (and its location, if known) for the current model and target
+	const currentEntry = () => {
+		if (!target_name || !currentSequence) {
+			return null;
+		}
+		const { locations, rejected, domains, linkers, regions, alignments } =
+			annotations;
+		const location = hit_key ? locations?.get(hit_key) : undefined;
+		const reasons = hit_key ? rejected?.get(hit_key) : undefined;
+		const domain = hit_key ? domains?.get(hit_key) : undefined;
+		const linker = hit_key ? linkers?.get(hit_key) : undefined;
+		const hitRegions = hit_target ? regions?.get(hit_target) : undefined;
+		const alignment = hit_target ? alignments?.get(hit_target) : undefined;
+		return {
+			target_name,
+			entry: {
+				model: modelName,
+				sequence: currentSequence.trim(),
+				...location,
+				...(reasons ? { rejected: reasons } : {}),
+				...(domain ? { domain } : {}),
+				...(linker ? { linker } : {}),
+				...(hitRegions ? { regions: hitRegions } : {}),
+				...(alignment ? { alignment } : {}),
+			},
+		};
+	};
+
+	const rl = readline.createInterface({
+		input: fs.createReadStream(trimmedFastaPath),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
 
-		stream.on("close", () => {
-			if (target_name && currentSequence) {
-				const sequences = seqMap.get(target_name) ?? [];
-				// Save the last sequence for the current target
-				sequences.push({ model: modelName, sequence: currentSequence.trim() });
-				seqMap.set(target_name, sequences);
+	for await (const line of rl) {
+		if (line.startsWith(">")) {
+			const previous = currentEntry();
+			if (previous) {
+				yield previous;
 			}
-			console.log(`Finished processing. Current seqMap size: ${seqMap.size}`);
-			resolve(seqMap);
-		});
 
-		stream.on("error", (err) => reject(err));
-	});
+			// Hit target is everything before the subseq coordinates (read ID plus frame in aa mode)
+			hit_target = line.match(/^>(\S+?)_\d+-\d+:[-+.]/)?.[1] ?? null;
+			hit_key = line.match(/^>(\S+?_\d+-\d+):[-+.]/)?.[1] ?? null;
+			// Extract target name before "_frame" (protein) or the subseq coordinates (nucleotide)
+			target_name = line
+				.replace(/^>(.*?)(_frame|_\d+-\d+:[-+.]).*/, "$1")
+				.trim();
+			// Append the sample name to keep reads of different samples apart
+			target_name = `${normalizeReadId(target_name)}|${sampleName}`;
+			currentSequence = ""; // Reset sequence for new target
+		} else {
+			currentSequence += line.trim(); // Append sequence data
+		}
+	}
+	const last = currentEntry(); // The last sequence for the current target
+	if (last) {
+		yield last;
+	}
 }
 
+/** Columns of the non-productive sequence report */
+const REJECT_COLUMNS = ["Read", "Sample", "Model", "Sequence", "Reasons"];
+
 /**
- * Define function to count occurrences of unique sequence combinations
- * @param {Map<string, { model: string, sequence: string }[]>} seqMap
- * @returns {Promise<Array<{ [key: string]: string | number }>>}
+ * Write data to a result table; CSV, TSV, JSON Lines or FASTA (optionally gzipped) by file extension
+ * @param {Array<{[key: string]: string | number}>} data
+ * @param {string} outputPath
+ * @param {string[]} sequenceColumns - Columns written as FASTA records
+ * @returns {Promise<void>}
  */
-async function countSeqs(seqMap) {
-	try {
-		const allModels = new Set();
-		const targetSequences = new Map();
-
-		// Collect sequences per trimmed target name
-		for (const [target_name, entries] of seqMap) {
-			const trimmedTargetName = target_name.replace(/\|.*$/, "");
-
-			if (!targetSequences.has(trimmedTargetName)) {
-				targetSequences.set(trimmedTargetName, []);
-			}
-
-			// Store each frame's sequences as a new entry for this target
-			const modelSequences = new Map();
+async function writeResults(data, outputPath, sequenceColumns) {
+	if (data.length === 0) {
+		console.log("No data to write.");
+		return;
+	}
 
-			// Track missing models for this target
-			const missingModels = new Set(allModels);
+	// Columns of all rows, in order of first appearance
+	await writeTable(data, outputPath, {
+		columns: collectColumns(data),
+		sequenceColumns,
+	});
+}
 
-			for (const { model, sequence } of entries) {
-				// Store sequence by model
-				modelSequences.set(model, sequence);
-				allModels.add(model); // Add model to allModels set
+/** @typedef {import("./src/manifest.js").Manifest} Manifest */
+/** @typedef {import("./src/domtblout.js").HitSelection} HitSelection */
 
-				// Remove model from missingModels since it's found
-				missingModels.delete(model);
-			}
+/**
+ * A split FASTQ file paired with the model to search it with
+ * @typedef {object} BatchJob
+ * @property {string} split_fastq_path - Path to the split FASTQ file
+ * @property {string} splitFingerprint - Fingerprint of the split step that produced the file
+ * @property {string} model_path - Path to the HMM model
+ * @property {"aa" | "dna"} mode - Search mode for this model
+ * @property {number} modelLength - Number of match states in the model
+ * @property {string} sample - Sample the reads belong to
+ * @property {import("./src/regions.js").RegionMap} [regions] - Named regions of the model; hits are aligned to the model to split them
+ * @property {number} max_domains - Non-overlapping domains kept per target ("aa" mode)
+ * @property {boolean} linkers - Trim the residues between consecutive domains as linkers
+ */
 
-			// If there are any missing models for this target, skip it
-			if (missingModels.size > 0) {
-				continue;
-			}
+/**
+ * Run-wide settings shared by all batches
+ * @typedef {object} BatchOptions
+ * @property {string} workDir - Directory for intermediate files
+ * @property {Manifest} manifest - Checkpoint manifest
+ * @property {number} min_quality - Minimum average read quality
+ * @property {number} hmm_coverage - Minimum required model coverage
+ * @property {HitSelection} selection - Best-hit filters and ranking for hmmsearch hits
+ * @property {number} [domT] - Domain score threshold passed to hmmsearch
+ * @property {number} threads - Threads available to this batch
+ * @property {boolean} locate_hits - Map hits back to frame, strand and nucleotide coordinates on the read
+ * @property {import("./src/umi.js").UmiConfig} [umi] - Extract a UMI from every read passing the quality filter
+ * @property {boolean} keep_intermediates - Write the translated reads to a file instead of piping them into hmmsearch
+ * @property {boolean} align_hits - Place the residues of every best hit on the model's match states ("aa" mode)
+ * @property {import("./src/productivity.js").ProductivityConfig} [productivity] - Screen trimmed sequences for stops, ambiguous residues and frameshifts
+ */
 
-			// Store valid model sequences for this target
-			targetSequences.get(trimmedTargetName).push(modelSequences);
+/**
+ * Define function to filter/translate, search and trim a single split FASTQ batch
+ * Each step is checkpointed in the manifest and skipped on re-runs when its inputs are unchanged.
+ * @param {BatchJob} job
+ * @param {BatchOptions} options
+ * @returns {Promise<{ trimmedFasta: string, qcPath: string, hitsPath: string | null, umiPath: string | null, screenPath: string | null, alignmentPath: string | null, domainBedPath: string | null, linkerFasta: string | null, linkerBedPath: string | null, regions: import("./src/regions.js").RegionMap | undefined, modelName: string, sample: string }>}
+ */
+async function processBatch(job, options) {
+	const {
+		split_fastq_path,
+		splitFingerprint,
+		model_path,
+		mode,
+		modelLength,
+		sample,
+		regions,
+		max_domains,
+		linkers,
+	} = job;
+	const {
+		workDir,
+		manifest,
+		min_quality,
+		hmm_coverage,
+		selection,
+		domT,
+		threads,
+		locate_hits,
+		umi,
+		keep_intermediates,
+		productivity,
+		align_hits,
+	} = options;
+
+	// Extract file names
+	const fastqName = path.basename(
+		split_fastq_path,
+		path.extname(split_fastq_path),
+	);
+	const modelName = path.basename(model_path, path.extname(model_path));
+	const stepPrefix = `batch/${fastqName}/${modelName}`;
+
+	// Define intermediate file paths
+	const translatedFastaPath = path.join(
+		workDir,
+		`${fastqName}_${modelName}_translated.fasta`,
+	);
+	const domtblPath = path.join(
+		workDir,
+		`${fastqName}_${modelName}.${mode === "dna" ? "tblout" : "domtblout"}`,
+	);
+	const filterStatsPath = path.join(
+		workDir,
+		`${fastqName}_${modelName}_filter_stats.json`,
+	);
+	const stdoutPath = path.join(workDir, `${fastqName}_${modelName}.stdout`);
+	const bedOut = path.join(workDir, `${fastqName}_${modelName}_output.bed`);
+	const trimmedFasta = path.join(
+		workDir,
+		`${fastqName}_${modelName}_trimmed.fasta`,
+	);
+	const hitsPath = path.join(workDir, `${fastqName}_${modelName}_hits.csv`);
+	const qcPath = path.join(workDir, `${fastqName}_${modelName}_qc.json`);
+	const screenPath = path.join(workDir, `${fastqName}_${modelName}_screen.tsv`);
+	const alignmentPath = path.join(
+		workDir,
+		`${fastqName}_${modelName}_aligned.csv`,
+	);
+	const umiPath = path.join(workDir, `${fastqName}_${modelName}_umis.tsv`);
+	const linkerBedPath = path.join(
+		workDir,
+		`${fastqName}_${modelName}_linkers.bed`,
+	);
+	const linkerFasta = path.join(
+		workDir,
+		`${fastqName}_${modelName}_linkers.fasta`,
+	);
+
+	// Fingerprints chain through upstream steps, so a changed parameter invalidates everything downstream
+	const translateFingerprint = fingerprint(
+		"translate",
+		splitFingerprint,
+		fastqName,
+		min_quality,
+		mode,
+		"native",
+		umi ?? null,
+	);
+	const searchFingerprint = fingerprint(
+		"search",
+		translateFingerprint,
+		fileSignature(model_path),
+		domT ?? null,
+	);
+	const bedFingerprint = fingerprint(
+		"bed",
+		searchFingerprint,
+		hmm_coverage,
+		selection,
+		modelLength,
+		max_domains,
+		linkers,
+	);
+	const trimFingerprint = fingerprint(
+		"trim",
+		translateFingerprint,
+		bedFingerprint,
+	);
+
+	// Translated reads are piped straight into hmmsearch unless they are kept; nhmmer needs a file
+	const pipeTranslation = mode === "aa" && !keep_intermediates;
+	const filterOutputs = [filterStatsPath, ...(umi ? [umiPath] : [])];
+
+	/**
+	 * Filters (and translates) the batch's reads into a FASTA file or stream and records the filter stats
+	 * @param {string | import("node:stream").Writable} destination
+	 */
+	const filterReads = async (destination) => {
+		if (mode === "dna") {
+			// Filter reads only; nucleotide sequences are searched directly
+			console.log(`Filtering: ${fastqName}...`);
+		} else {
+			// Translate in all 6 reading frames
+			console.log(`Translating: ${fastqName}...`);
 		}
+		const stats = await filterAndTranslateInto(
+			split_fastq_path,
+			destination,
+			{ min_quality, mode, umi },
+			umiPath,
+		);
+		console.log(
+			`${fastqName}: ${stats.passed_quality} of ${stats.total_reads} reads passed min_quality ${min_quality} (${stats.failed_quality} dropped)`,
+		);
+		if (umi && stats.missing_umi > 0) {
+			console.log(`${fastqName}: no UMI found in ${stats.missing_umi} reads`);
+		}
+		if (stats.records_written === 0) {
+			// Suggest lowering the min_quality threshold
+			throw new Error(
+				`No sequences found in ${fastqName}. Try lowering the 'min_quality' threshold!`,
+			);
+		}
+		fs.writeFileSync(filterStatsPath, JSON.stringify(stats));
+	};
+
+	const translate = () =>
+		runStep(
+			manifest,
+			`${stepPrefix}/translate`,
+			translateFingerprint,
+			[translatedFastaPath, ...filterOutputs],
+			() => filterReads(translatedFastaPath),
+		);
 
-		// Convert Set to an array for consistent ordering of models
-		const allModelNames = Array.from(allModels);
-
-		const seqCounts = new Map();
-		let totalCount = 0; // Initialize total count
-
-		// Count unique sequence combinations across all targets
-		for (const sequenceLists of targetSequences.values()) {
-			for (const sequences of sequenceLists) {
-				// Create a unique key for each sequence combination
-				const seqKey = allModelNames
-					.map((model) => `${model}:${sequences.get(model)}`)
-					.join("|");
+	const search = () =>
+		runStep(
+			manifest,
+			`${stepPrefix}/search`,
+			searchFingerprint,
+			[domtblPath, stdoutPath, ...(pipeTranslation ? filterOutputs : [])],
+			async () => {
+				if (!pipeTranslation) {
+					await translate();
+				}
+				fs.rmSync(stdoutPath, { force: true }); // Don't append to output of an interrupted run
+
+				if (mode === "dna") {
+					console.log(
+						`Running nhmmer for: ${translatedFastaPath} with model ${modelName}...`,
+					);
+					await runNHMMER(
+						model_path,
+						translatedFastaPath,
+						domtblPath,
+						stdoutPath,
+						threads,
+					);
+				} else if (pipeTranslation) {
+					// Run HMMER on all translated sequences as they are translated
+					console.log(
+						`Running hmmsearch for: ${fastqName} with model ${modelName}...`,
+					);
+					await runHMMSearch(model_path, "-", domtblPath, stdoutPath, {
+						cpu: threads,
+						domT,
+						writeInput: filterReads,
+					});
+				} else {
+					// Run HMMER on all translated sequences
+					console.log(
+						`Running hmmsearch for: ${translatedFastaPath} with model ${modelName}...`,
+					);
+					await runHMMSearch(
+						model_path,
+						translatedFastaPath,
+						domtblPath,
+						stdoutPath,
+						{ cpu: threads, domT },
+					);
+				}
+			},
+		);
 
-				if (!seqCounts.has(seqKey)) {
-					seqCounts.set(seqKey, {
-						sequences: Object.fromEntries(sequences),
-						count: 0,
+	const extractHits = () =>
+		runStep(
+			manifest,
+			`${stepPrefix}/bed`,
+			bedFingerprint,
+			[bedOut, ...(linkers ? [linkerBedPath] : [])],
+			async () => {
+				await search();
+
+				// Generate BED file of best hits and their alignment coordinates
+				console.log(
+					`Mapping trimmed sequences to target names for: ${trimmedFasta}...`,
+				);
+				if (mode === "dna") {
+					await extractBestNHMMERHits(
+						domtblPath,
+						hmm_coverage,
+						modelLength,
+						bedOut,
+					);
+				} else {
+					await extractBestHMMHits(domtblPath, selection, bedOut, {
+						maxDomains: max_domains,
+						linkerBedPath: linkers ? linkerBedPath : undefined,
 					});
 				}
+			},
+		);
 
-				seqCounts.get(seqKey).count++;
-			}
-		}
+	const trim = () =>
+		runStep(
+			manifest,
+			`${stepPrefix}/trim`,
+			trimFingerprint,
+			[trimmedFasta, ...(linkers ? [linkerFasta] : [])],
+			async () => {
+				await extractHits();
+
+				// Trim sequences based on alignment coordinates
+				if (mode === "aa") {
+					// Translate the frames with hits again rather than reading the translated reads back
+					await trimTranslatedReads(split_fastq_path, [
+						{ bedPath: bedOut, outPath: trimmedFasta },
+						...(linkers
+							? [{ bedPath: linkerBedPath, outPath: linkerFasta }]
+							: []),
+					]);
+				} else {
+					await translate();
+					await trimSeqs(translatedFastaPath, bedOut, trimmedFasta);
+				}
+			},
+		);
 
-		totalCount = Array.from(seqCounts.values()).reduce(
-			(sum, entry) => sum + entry.count,
-			0,
+	const locate = () =>
+		runStep(
+			manifest,
+			`${stepPrefix}/locate`,
+			fingerprint("locate", trimFingerprint, sample, "table"),
+			[hitsPath],
+			async () => {
+				await extractHits();
+
+				// Map hit coordinates back onto the original reads
+				console.log(`Locating hits on reads for: ${fastqName}...`);
+				await locateHits(split_fastq_path, bedOut, hitsPath, {
+					mode,
+					sample,
+					model: modelName,
+				});
+			},
 		);
 
-		// Convert results to sorted array
-		return Array.from(seqCounts.values())
-			.sort((a, b) => b.count - a.count)
-			.map(({ sequences, count }) => ({
-				...Object.fromEntries(
-					Object.entries(sequences).map(([model, seq]) => [
-						`${model.replace(/\.[^.]+$/, "")}`, // Remove file extension
-						seq,
-					]),
-				),
-				Count: count,
-				Total_Count: totalCount,
-				Frequency: count / totalCount,
-			}));
-	} catch (error) {
-		console.error("Error processing sequence counts:", error);
-		throw error;
-	}
-}
+	const screen = () =>
+		runStep(
+			manifest,
+			`${stepPrefix}/screen`,
+			fingerprint("screen", trimFingerprint, productivity?.max_indel ?? null),
+			[screenPath],
+			async () => {
+				await search();
+				await trim();
+
+				// Net gap of every selected hit, to detect frameshifts
+				/** @type {Map<string, import("./src/productivity.js").ScreenedHit>} */
+				const screenedHits = new Map();
+				if (mode === "dna") {
+					const hits = await selectBestNhmmerHits(
+						domtblPath,
+						hmm_coverage,
+						modelLength,
+					);
+					for (const [target, hit] of hits) {
+						screenedHits.set(hitKeyOf(target, hit.start, hit.end), {
+							indel: alignmentIndel(
+								hit.start,
+								hit.end,
+								hit.hmm_from,
+								hit.hmm_to,
+							),
+							frame: codonOffset(hit.hmm_from),
+						});
+					}
+				} else {
+					const hits = await selectDomainHits(
+						readDomtblout(domtblPath),
+						selection,
+						max_domains,
+					);
+					for (const [target, targetHits] of hits) {
+						for (const hit of targetHits) {
+							const { from, to } = hitCoordinates(hit, selection);
+							screenedHits.set(hitKeyOf(target, from, to), {
+								indel: alignmentIndel(
+									hit.ali_from,
+									hit.ali_to,
+									hit.hmm_from,
+									hit.hmm_to,
+								),
+							});
+						}
+					}
+				}
 
-/**
- * Write data to a CSV file
- * @param {Array<{[key: string]: string | number}>} data
- * @param {string} outputPath
- */
-function writeCSV(data, outputPath) {
-	if (data.length === 0) {
-		console.log("No data to write.");
-		return;
-	}
+				const rejected = await screenTrimmedFasta(
+					trimmedFasta,
+					screenedHits,
+					screenPath,
+					{ mode, maxIndel: productivity?.max_indel ?? DEFAULT_MAX_INDEL },
+				);
+				console.log(
+					`${fastqName}: ${rejected} non-productive sequences for model ${modelName}`,
+				);
+			},
+		);
 
-	// Collect all unique headers across data entries
-	const allHeaders = new Set();
-	for (const row of data) {
-		for (const key of Object.keys(row)) {
-			allHeaders.add(key);
-		}
-	}
-	const headers = Array.from(allHeaders);
+	const align = () =>
+		runStep(
+			manifest,
+			`${stepPrefix}/align`,
+			fingerprint("align", trimFingerprint, sample),
+			[alignmentPath],
+			async () => {
+				await search();
+
+				// Alignment of the selected domain of every target, from the hmmsearch output
+				const bestHits = await selectBestHits(
+					readDomtblout(domtblPath),
+					selection,
+				);
+				const wanted = new Map(
+					Array.from(bestHits, ([target, hit]) => [target, hit.dom_index]),
+				);
+				console.log(`Aligning hits to model states for: ${fastqName}...`);
+				await writeModelAlignments(
+					stdoutPath,
+					wanted,
+					modelLength,
+					alignmentPath,
+					{ sample, model: modelName },
+				);
+			},
+		);
 
-	// Convert data to CSV format
-	const csvRows = [
-		headers.join(","), // Header row
-		...data.map(
-			(row) => headers.map((col) => row[col] || "NA").join(","), // Data rows
-		),
-	];
+	const summarize = () =>
+		runStep(
+			manifest,
+			`${stepPrefix}/qc`,
+			fingerprint("qc", trimFingerprint),
+			[qcPath],
+			async () => {
+				await search(); // Records the filter stats, after translate() unless reads are piped
+				await trim();
+
+				// Summarise where reads of this batch were lost
+				/** @type {import("./src/translate.js").FilterStats} */
+				const filterStats = JSON.parse(
+					fs.readFileSync(filterStatsPath, "utf8"),
+				);
+				const qc =
+					mode === "dna"
+						? await summarizeBatch(
+								filterStats,
+								readNhmmerHits(domtblPath, modelLength),
+								(hit) => hit.coverage,
+								bedOut,
+								trimmedFasta,
+							)
+						: await summarizeBatch(
+								filterStats,
+								readDomtblout(domtblPath),
+								hmmCoverage,
+								bedOut,
+								trimmedFasta,
+							);
+				fs.writeFileSync(qcPath, JSON.stringify(qc));
+			},
+		);
 
-	// Write CSV to file
-	fs.writeFileSync(outputPath, csvRows.join("\n"), "utf8");
+	console.log(
+		`Processing: ${fastqName} with model ${modelName} (${mode} mode)`,
+	);
+	const ran = await trim();
+	if (!ran) {
+		console.log(
+			`Skipping completed batch: ${fastqName} with model ${modelName}`,
+		);
+	}
+	if (locate_hits) {
+		await locate();
+	}
+	if (productivity) {
+		await screen();
+	}
+	const alignHits = (align_hits || Boolean(regions)) && mode === "aa"; // nhmmer alignments are not parsed
+	if (alignHits) {
+		await align();
+	}
+	await summarize();
+
+	return {
+		trimmedFasta,
+		qcPath,
+		hitsPath: locate_hits ? hitsPath : null,
+		umiPath: umi ? umiPath : null,
+		screenPath: productivity ? screenPath : null,
+		alignmentPath: alignHits ? alignmentPath : null,
+		domainBedPath: max_domains > 1 ? bedOut : null,
+		linkerFasta: linkers ? linkerFasta : null,
+		linkerBedPath: linkers ? linkerBedPath : null,
+		regions: alignHits ? regions : undefined,
+		modelName,
+		sample,
+	};
 }
 
 async function main() {
 	// Read config
-	const config_path = await get_config_path_by_args();
+	const { config_path, keep_intermediates } = await get_args();
 	const config = get_config_by_path(config_path);
 	console.log(config);
-	if (config === null) {
-		return; // exit program if config is null
-	}
 
 	// Extract parameters from config object
 	const { counts_outpath, min_quality, hmm_coverage, input_pairs } = config;
 
-	// Create temporary directory to store intermediate output
-	const mainTempDir = fs.mkdtempSync(path.join(os.tmpdir(), "main-"));
-	const batchTempDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-")); // base directory to store split fastq files
+	// nhmmer is only needed for "dna" models
+	const modes = await Promise.all(
+		input_pairs.map(
+			async ({ mode, model_path }) =>
+				mode ?? (await readHMMHeader(model_path)).alphabet,
+		),
+	);
+	await checkTools([
+		"seqkit",
+		"hmmsearch",
+		...(modes.includes("dna") ? ["nhmmer"] : []),
+	]);
+	const mergeOptions = { ...DEFAULT_MERGE_OPTIONS, ...config.merge_pairs };
+	const max_parallel = config.max_parallel ?? 1;
+	const chunk_size = config.chunk_size ?? 500000;
+	const totalThreads = os.availableParallelism();
+	const threadsPerBatch = Math.max(1, Math.floor(totalThreads / max_parallel));
+	const locate_hits = Boolean(config.hits_outpath || config.output_nucleotides);
+
+	// Use the configured work directory (resumable) or a fresh temporary one
+	const workDir = config.work_dir
+		? path.resolve(config.work_dir)
+		: fs.mkdtempSync(path.join(os.tmpdir(), "main-"));
+	const intermediateDir = path.join(workDir, "intermediates"); // per-batch search and trimming output
+	const batchDir = path.join(workDir, "batches"); // base directory to store split fastq files
+	fs.mkdirSync(intermediateDir, { recursive: true });
+	fs.mkdirSync(batchDir, { recursive: true });
+	const manifest = loadManifest(workDir);
+	console.log(`Working directory: ${workDir}`);
 
 	// Create a map to store the split FASTQ paths and their corresponding model paths
+	/** @type {Map<string, Omit<BatchJob, "split_fastq_path">>} */
 	const split_input_pairs = new Map();
 
+	// Sample names in order of first appearance, used for per-sample count columns
+	/** @type {string[]} */
+	const samples = [];
+
+	// `{model}_{region}` columns declared by the input pairs, to check count_regions against
+	/** @type {Set<string>} */
+	const regionColumns = new Set();
+
+	// Numbering scheme per model name ("aa" models only)
+	/** @type {Map<string, import("./src/numbering.js").NumberingScheme>} */
+	const schemes = new Map();
+
+	// Domains kept per read and linker extraction, per model name
+	/** @type {Map<string, import("./src/counting.js").DomainLayout>} */
+	const domainLayouts = new Map();
+
+	// Mate merging statistics per sample, for the QC report
+	/** @type {Map<string, import("./src/merge_pairs.js").MergeStats>} */
+	const mergeStats = new Map();
+
+	// Merged FASTQ paths keyed by R1/R2 pair, so mates shared by several models are merged once
+	/** @type {Map<string, { path: string, fingerprint: string }>} */
+	const mergedFastqPaths = new Map();
+
 	// Split all FASTQ files
-	for (const { fastq_path, model_path } of input_pairs) {
+	for (const {
+		fastq_path: r1_path,
+		fastq_path_r2,
+		model_path,
+		mode: requestedMode,
+		sample_name,
+		regions,
+		max_domains = 1,
+		linkers = false,
+	} of input_pairs) {
+		let fastq_path = r1_path;
+		const sample =
+			sample_name ?? path.basename(r1_path).replace(/\.(fastq|fq)(\.gz)?$/, "");
+		if (!samples.includes(sample)) {
+			samples.push(sample);
+		}
+		let sourceFingerprint = fingerprint(fileSignature(r1_path));
+
+		// Use the requested mode or detect it from the model alphabet
+		const modelHeader = await readHMMHeader(model_path);
+		const mode = requestedMode ?? modelHeader.alphabet;
+		if (mode !== modelHeader.alphabet) {
+			throw new Error(
+				`Mode '${mode}' does not match the alphabet of model ${model_path} ('${modelHeader.alphabet}')`,
+			);
+		}
+		const modelBaseName = path.basename(model_path, path.extname(model_path));
+		if (config.numbering && mode === "aa" && !schemes.has(modelBaseName)) {
+			schemes.set(
+				modelBaseName,
+				readNumberingScheme(
+					config.numbering.scheme_paths?.[modelBaseName] ??
+						defaultSchemePath(model_path),
+					modelHeader.length,
+				),
+			);
+		}
+		if (regions) {
+			if (mode !== "aa") {
+				throw new Error(
+					`Regions of model ${model_path} need an "aa" model; nhmmer alignments are not parsed`,
+				);
+			}
+			for (const [region, [, to]] of Object.entries(regions)) {
+				if (to > modelHeader.length) {
+					throw new Error(
+						`Region ${region} of model ${model_path} ends after the last match state (${modelHeader.length})`,
+					);
+				}
+				regionColumns.add(`${modelBaseName}_${region}`);
+			}
+		}
+		if (max_domains > 1 || linkers) {
+			if (mode !== "aa" || max_domains < 2) {
+				throw new Error(
+					`max_domains and linkers of model ${model_path} need an "aa" model and max_domains above 1`,
+				);
+			}
+			if (regions || config.numbering || config.alignments_outpath) {
+				throw new Error(
+					`Model ${model_path} keeps several domains per read; this cannot be combined with regions, numbering or alignments_outpath`,
+				);
+			}
+		}
+		const layout = domainLayouts.get(modelBaseName);
+		if (
+			layout &&
+			(layout.max_domains !== max_domains || layout.linkers !== linkers)
+		) {
+			throw new Error(
+				`Input pairs of model ${modelBaseName} disagree on max_domains or linkers`,
+			);
+		}
+		domainLayouts.set(modelBaseName, { max_domains, linkers });
+
+		// Merge overlapping mates into consensus reads before splitting
+		if (fastq_path_r2) {
+			const pairKey = `${r1_path}\t${fastq_path_r2}`;
+			const existing = mergedFastqPaths.get(pairKey);
+			if (existing) {
+				fastq_path = existing.path;
+				sourceFingerprint = existing.fingerprint;
+			} else {
+				const r1BaseName = path
+					.basename(r1_path)
+					.replace(/\.(fastq|fq)(\.gz)?$/, "");
+				const mergedDir = path.join(batchDir, "merged");
+				fs.mkdirSync(mergedDir, { recursive: true });
+				const mergedPath = path.join(mergedDir, `${r1BaseName}.fastq`);
+				const statsPath = path.join(mergedDir, `${r1BaseName}.stats.json`);
+				const mergeFingerprint = fingerprint(
+					"merge",
+					fileSignature(r1_path),
+					fileSignature(fastq_path_r2),
+					mergeOptions,
+				);
+
+				await runStep(
+					manifest,
+					`merge/${r1BaseName}`,
+					mergeFingerprint,
+					[mergedPath, statsPath],
+					async () => {
+						console.log(`Merging mates: ${r1_path} + ${fastq_path_r2}...`);
+						const stats = await mergeFastqPair(
+							r1_path,
+							fastq_path_r2,
+							mergedPath,
+							mergeOptions,
+						);
+						fs.writeFileSync(statsPath, JSON.stringify(stats));
+					},
+				);
+
+				/** @type {import("./src/merge_pairs.js").MergeStats} */
+				const stats = JSON.parse(fs.readFileSync(statsPath, "utf8"));
+				const mergeRate =
+					stats.total_pairs > 0 ? stats.merged / stats.total_pairs : 0;
+				console.log(
+					`Merged ${stats.merged} of ${stats.total_pairs} pairs for ${r1BaseName} (${(mergeRate * 100).toFixed(2)}%); ` +
+						`${stats.unmerged_kept} unmerged kept, ${stats.unmerged_discarded} discarded (policy: ${mergeOptions.unmerged_policy})`,
+				);
+				mergeStats.set(sample, stats);
+
+				fastq_path = mergedPath;
+				sourceFingerprint = mergeFingerprint;
+				mergedFastqPaths.set(pairKey, {
+					path: mergedPath,
+					fingerprint: mergeFingerprint,
+				});
+			}
+		}
+
 		// Extract filename without extension for unique directory
 		const fastqBaseName = path.basename(fastq_path, path.extname(fastq_path));
 		const modelName = path.basename(model_path, path.extname(model_path));
 
-		// Define a unique subdirectory inside batchTempDir
-		const fastqOutputDir = path.join(batchTempDir, fastqBaseName, modelName);
-
-		// Ensure batchSeqKit uses a unique directory for each FASTQ file
-		await batchSeqKit(fastq_path, fastqOutputDir);
+		// Define a unique subdirectory inside batchDir
+		const fastqOutputDir = path.join(batchDir, fastqBaseName, modelName);
+		const splitFingerprint = fingerprint(
+			"split",
+			sourceFingerprint,
+			chunk_size,
+		);
 
-		// Read the split files inside the output directory
-		const splitFiles = fs
-			.readdirSync(fastqOutputDir)
-			.filter((f) => f.endsWith(".fastq.gz") || f.endsWith(".fastq")) // Allow both zipped and unzipped FASTQ files
-			.map((f) => path.join(fastqOutputDir, f)); // Get full paths
+		/**
+		 * Lists the split files inside the output directory
+		 * @returns {string[]}
+		 */
+		const listSplitFiles = () =>
+			fs
+				.readdirSync(fastqOutputDir)
+				.filter((f) => f.endsWith(".fastq.gz") || f.endsWith(".fastq")) // Allow both zipped and unzipped FASTQ files
+				.sort()
+				.map((f) => path.join(fastqOutputDir, f)); // Get full paths
 
-		if (splitFiles.length === 0) {
-			throw new Error(`No FASTQ files found in ${fastqOutputDir}`);
-		}
+		// Ensure batchSeqKit uses a unique directory for each FASTQ file
+		const splitStepId = `split/${fastqBaseName}/${modelName}`;
+		await runStep(
+			manifest,
+			splitStepId,
+			splitFingerprint,
+			[fastqOutputDir],
+			async () => {
+				// Files are split one at a time before the pool starts, so the split gets every thread
+				await batchSeqKit(fastq_path, fastqOutputDir, chunk_size, totalThreads);
+				const splitFiles = listSplitFiles();
+				if (splitFiles.length === 0) {
+					throw new Error(`No FASTQ files found in ${fastqOutputDir}`);
+				}
+			},
+		);
 
 		// Store each split file separately with the corresponding model
-		for (const file of splitFiles) {
-			split_input_pairs.set(file, model_path);
+		for (const file of listSplitFiles()) {
+			split_input_pairs.set(file, {
+				splitFingerprint,
+				model_path,
+				mode,
+				modelLength: modelHeader.length,
+				sample,
+				regions,
+				max_domains,
+				linkers,
+			});
 		}
 	}
 
-	// Initialize empty map for sequences
-	/** @type {Map<string, { model: string; sequence: string }[]>} */
-	let seqMap = new Map();
-
-	for (const [split_fastq_path, model_path] of split_input_pairs) {
-		// Extract file names
-		const fastqName = path.basename(
-			split_fastq_path,
-			path.extname(split_fastq_path),
+	if (config.numbering && config.count_regions) {
+		throw new Error(
+			"numbering needs whole model sequences in the counts; it cannot be combined with count_regions",
 		);
-		const modelName = path.basename(model_path, path.extname(model_path));
-		console.log(`Processing: ${fastqName} with model ${modelName}`);
+	}
 
-		// Define intermediate file paths
-		const translatedFastaPath = path.join(
-			mainTempDir,
-			`${fastqName}_${modelName}_translated.fasta`,
+	// Counting on regions needs every selected region to be declared by its model
+	const unknownRegions = (config.count_regions ?? []).filter(
+		(column) => !regionColumns.has(column),
+	);
+	if (unknownRegions.length > 0) {
+		throw new Error(
+			`count_regions ${unknownRegions.join(", ")} not declared by any model; declared: ${Array.from(regionColumns).join(", ") || "none"}`,
 		);
-		const domtblPath = path.join(
-			mainTempDir,
-			`${fastqName}_${modelName}.domtblout`,
-		);
-		const stdoutPath = path.join(
-			mainTempDir,
-			`${fastqName}_${modelName}.stdout`,
+	}
+
+	// Process split batches concurrently; each batch gets an equal share of the CPU threads
+	const batchJobs = Array.from(
+		split_input_pairs,
+		([split_fastq_path, job]) => ({
+			split_fastq_path,
+			...job,
+		}),
+	);
+	console.log(
+		`Processing ${batchJobs.length} batches with up to ${max_parallel} in parallel (${threadsPerBatch} threads each)...`,
+	);
+	const batchResults = await runPool(batchJobs, max_parallel, (job) =>
+		processBatch(job, {
+			workDir: intermediateDir,
+			manifest,
+			min_quality,
+			hmm_coverage,
+			selection: { ...config.hit_selection, min_coverage: hmm_coverage },
+			domT: config.domain_score_threshold,
+			threads: threadsPerBatch,
+			keep_intermediates,
+			locate_hits,
+			umi: config.umi,
+			productivity: config.productivity,
+			align_hits: Boolean(config.alignments_outpath || config.numbering),
+		}),
+	);
+
+	// Names of all models searched; every counted read needs a hit for each
+	const models = Array.from(
+		new Set(batchResults.map(({ modelName }) => modelName)),
+	);
+	const backend = config.counting?.backend ?? "memory";
+	const normalizeReadId = createReadIdNormalizer(config.read_pairing);
+
+	/**
+	 * Loads the per-hit annotations of a batch
+	 * @param {(typeof batchResults)[number]} result
+	 * @param {boolean} withAlignments - Keep the model alignment of every hit, for numbering
+	 * @returns {Promise<HitAnnotations>}
+	 */
+	const loadAnnotations = async (
+		{ hitsPath, screenPath, alignmentPath, domainBedPath, regions, modelName },
+		withAlignments,
+	) => {
+		/** @type {HitAnnotations} */
+		const annotations = {};
+		if (hitsPath) {
+			annotations.locations = await readHitLocations(hitsPath);
+		}
+		if (screenPath) {
+			annotations.rejected = await readScreenResults(screenPath);
+		}
+		if (domainBedPath) {
+			annotations.domains = readBedOrdinals(domainBedPath, "domains");
+		}
+		const numbered = withAlignments && schemes.has(modelName);
+		const alignments =
+			alignmentPath && (regions || numbered)
+				? await readModelAlignments(alignmentPath)
+				: undefined;
+		if (regions && alignments) {
+			// Split every hit into the named regions of its model
+			annotations.regions = new Map();
+			for (const [target, alignment] of alignments) {
+				annotations.regions.set(target, extractRegions(alignment, regions));
+			}
+		}
+		if (numbered) {
+			annotations.alignments = alignments;
+		}
+		return annotations;
+	};
+
+	/**
+	 * Streams the trimmed sequences (then linkers) of all batches in batch order
+	 * @param {boolean} withAlignments
+	 */
+	async function* batchEntries(withAlignments) {
+		for (const result of batchResults) {
+			yield* readFastaEntries(
+				result.trimmedFasta,
+				result.modelName,
+				result.sample,
+				await loadAnnotations(result, withAlignments),
+				normalizeReadId,
+			);
+			if (result.linkerFasta && result.linkerBedPath) {
+				yield* readFastaEntries(
+					result.linkerFasta,
+					result.modelName,
+					result.sample,
+					{ linkers: readBedOrdinals(result.linkerBedPath, "linkers") },
+					normalizeReadId,
+				);
+			}
+		}
+	}
+
+	// Non-productive sequences, reported as they are mapped (memory) or counted (external)
+	/** @type {Map<string, number>} */
+	const reasonTotals = new Map();
+	let rejectCount = 0;
+	// Opened on the first reject (cast so the closure below does not narrow it to null)
+	let rejectsWriter =
+		/** @type {ReturnType<typeof createTableWriter> | null} */ (null);
+	/**
+	 * @param {string} target_name
+	 * @param {SeqEntry} entry
+	 */
+	const reportReject = async (target_name, { model, sequence, rejected }) => {
+		if (!rejected || !config.productivity) {
+			return;
+		}
+		rejectCount++;
+		for (const reason of rejected) {
+			reasonTotals.set(reason, (reasonTotals.get(reason) ?? 0) + 1);
+		}
+		if (config.productivity.rejects_outpath) {
+			rejectsWriter ??= createTableWriter(config.productivity.rejects_outpath, {
+				columns: REJECT_COLUMNS,
+				sequenceColumns: ["Sequence"],
+			});
+			const [readId, sample] = target_name.split("|");
+			await rejectsWriter.write({
+				Read: readId,
+				Sample: sample,
+				Model: model,
+				Sequence: sequence,
+				Reasons: rejected.join(";"),
+			});
+		}
+	};
+
+	// Map trimmed sequences in batch order so seqMap matches a serial run
+	/** @type {Map<string, SeqEntry[]> | null} */
+	let seqMap = null;
+	if (backend === "memory") {
+		seqMap = new Map();
+		for await (const { target_name, entry } of batchEntries(true)) {
+			// If 'target_name' is not found in the Map assign an empty array
+			const sequences = seqMap.get(target_name) ?? [];
+			sequences.push(entry);
+			seqMap.set(target_name, sequences); // Save it back to map
+		}
+		console.log(`Finished mapping. seqMap size: ${seqMap.size}`);
+		for (const [target_name, entries] of seqMap) {
+			for (const entry of entries) {
+				await reportReject(target_name, entry);
+			}
+		}
+	}
+
+	// Write frame, strand and read coordinates of every hit
+	if (config.hits_outpath) {
+		await writeHitTable(
+			batchResults.flatMap(({ hitsPath }) => (hitsPath ? [hitsPath] : [])),
+			config.hits_outpath,
 		);
-		const bedOut = path.join(
-			mainTempDir,
-			`${fastqName}_${modelName}_output.bed`,
+		console.log(`Hit locations saved to: ${config.hits_outpath}`);
+	}
+
+	// Write best hits placed on the model match states
+	if (config.alignments_outpath) {
+		await writeAlignmentTable(
+			batchResults.flatMap(({ alignmentPath }) =>
+				alignmentPath ? [alignmentPath] : [],
+			),
+			config.alignments_outpath,
 		);
-		const trimmedFasta = path.join(
-			mainTempDir,
-			`${fastqName}_${modelName}_trimmed.fasta`,
+		console.log(
+			`Model-aligned sequences saved to: ${config.alignments_outpath}`,
 		);
+	}
+
+	// Once all sequences have been mapped, count the sequences
+	console.log(`Generating count file (${backend} backend)...`);
+	/** @type {Map<string, CountingFunnel>} */
+	const countingFunnel = new Map();
+	const countOptions = {
+		models,
+		funnel: countingFunnel,
+		productivity: config.productivity?.policy,
+		includeNucleotides: config.output_nucleotides,
+		mergeUmiMismatches: config.umi?.merge_mismatches,
+		samples: config.count_mode === "per_sample" ? samples : undefined,
+		countRegions: config.count_regions,
+		domains: Object.fromEntries(
+			Array.from(domainLayouts).filter(([, layout]) => layout.max_domains > 1),
+		),
+	};
+
+	/** @type {Array<{ [key: string]: string | number }> | null} */
+	let seqCounts = null;
+	/** @type {Awaited<ReturnType<typeof countSeqsExternal>> | null} */
+	let externalCounts = null;
+
+	// Load the UMI of every read that passed the quality filter (memory backend)
+	/** @type {Map<string, string> | undefined} */
+	let umis;
+	if (seqMap && config.umi) {
+		umis = new Map();
+		for (const { umiPath, sample } of batchResults) {
+			if (umiPath) {
+				// Keyed like seqMap, as read IDs can repeat across samples
+				for await (const { readId, umi } of readUmiRecords(umiPath)) {
+					umis.set(`${normalizeReadId(readId)}|${sample}`, umi);
+				}
+			}
+		}
+	}
 
-		// Translate in all 6 reading frames
-		console.log(`Translating: ${fastqName}...`);
-		await fullSeqKit(split_fastq_path, min_quality, translatedFastaPath);
+	/**
+	 * Streams UMIs and trimmed sequences into the external sort, numbering entries in seqMap order
+	 * @param {boolean} reportRejects - Report non-productive sequences on the way (first pass only)
+	 * @returns {AsyncGenerator<import("./src/counting.js").CountItem>}
+	 */
+	const countItems = async function* (reportRejects) {
+		let ord = 0;
+		for (const { umiPath, sample } of batchResults) {
+			if (umiPath) {
+				for await (const { readId, umi } of readUmiRecords(umiPath)) {
+					yield { read: normalizeReadId(readId), sample, umi };
+				}
+			}
+		}
+		for await (const { target_name, entry } of batchEntries(false)) {
+			if (reportRejects) {
+				await reportReject(target_name, entry);
+			}
+			const separator = target_name.indexOf("|");
+			yield {
+				read: target_name.slice(0, separator),
+				sample: target_name.slice(separator + 1),
+				ord: ord++,
+				entry,
+			};
+		}
+	};
+	const externalOptions = {
+		withUmis: Boolean(config.umi),
+		dir: path.join(intermediateDir, "counting"),
+		budgetBytes: (config.counting?.memory_budget_mb ?? 512) * 1024 * 1024,
+	};
+
+	if (seqMap) {
+		seqCounts = await countSeqs(seqMap, { ...countOptions, umis });
+	} else {
+		externalCounts = await countSeqsExternal(countItems(true), {
+			...countOptions,
+			...externalOptions,
+		});
+		if (config.clustering) {
+			// Clustering compares rows with each other, so it needs the counts in memory
+			seqCounts = [];
+			for await (const row of externalCounts.rows()) {
+				seqCounts.push(row);
+			}
+		}
+	}
 
-		// Run HMMER on all translated sequences
+	// Report non-productive sequences
+	if (config.productivity) {
 		console.log(
-			`Running hmmsearch for: ${translatedFastaPath} with model ${modelName}...`,
+			`Non-productive sequences: ${rejectCount} (${
+				Array.from(
+					reasonTotals,
+					([reason, total]) => `${reason}: ${total}`,
+				).join(", ") || "none"
+			}); policy: ${config.productivity.policy}`,
+		);
+		if (rejectsWriter) {
+			await rejectsWriter.close();
+			console.log(
+				`Non-productive sequences saved to: ${config.productivity.rejects_outpath}`,
+			);
+		}
+	}
+
+	// Sequence columns of the counts: model columns, or the regions counted on
+	const modelColumns =
+		config.count_regions ??
+		models.flatMap((modelName) =>
+			domainColumns(modelName, domainLayouts.get(modelName)).map((column) =>
+				column.replace(/\.[^.]+$/, ""),
+			),
 		);
-		await runHMMSearch(model_path, translatedFastaPath, domtblPath, stdoutPath);
 
-		// Generate BED file of best hits and their alignment coordinates
+	// Absorb sequencing-error variants into their abundant parents
+	let outputCounts = seqCounts;
+	if (config.clustering && seqCounts) {
+		const clustered = clusterVariants(
+			seqCounts,
+			modelColumns,
+			config.clustering,
+		);
 		console.log(
-			`Mapping trimmed sequences to target names for: ${trimmedFasta}...`,
+			`Clustering absorbed ${clustered.variants.length} variants into ${clustered.rows.length} sequence combinations`,
 		);
-		await extractBestHMMHits(domtblPath, hmm_coverage, bedOut);
+		outputCounts = clustered.rows;
+		if (config.clustering.variants_outpath) {
+			await writeResults(
+				clustered.variants,
+				config.clustering.variants_outpath,
+				modelColumns.map((column) => `${column}_Variant`),
+			);
+			console.log(
+				`Absorbed variants saved to: ${config.clustering.variants_outpath}`,
+			);
+		}
+	}
+	if (outputCounts) {
+		await writeResults(outputCounts, counts_outpath, modelColumns);
+	} else if (externalCounts && externalCounts.columns.length > 0) {
+		await writeTable(externalCounts.rows(), counts_outpath, {
+			columns: externalCounts.columns,
+			sequenceColumns: modelColumns,
+		});
+	} else {
+		console.log("No data to write.");
+	}
 
-		// Trim sequences based on alignment coordinates
-		await trimSeqs(translatedFastaPath, bedOut, trimmedFasta);
-		seqMap = await mapFastaSeqs(trimmedFasta, modelName, fastqName, seqMap); // Update seqMap with each FASTA file
+	// Count reads missing a model separately instead of discarding them
+	const unpairedPath = config.read_pairing?.unpaired_outpath;
+	if (unpairedPath) {
+		const unpairedOptions = {
+			...countOptions,
+			funnel: undefined,
+			unpaired: true,
+		};
+		let unpairedRows = 0;
+		if (seqMap) {
+			const rows = await countSeqs(seqMap, { ...unpairedOptions, umis });
+			await writeResults(rows, unpairedPath, modelColumns);
+			unpairedRows = rows.length;
+		} else {
+			// A directory of its own, the runs of the counts above are read again for numbering
+			const unpaired = await countSeqsExternal(countItems(false), {
+				...unpairedOptions,
+				...externalOptions,
+				dir: path.join(intermediateDir, "counting_unpaired"),
+			});
+			if (unpaired.columns.length > 0) {
+				unpairedRows = await writeTable(unpaired.rows(), unpairedPath, {
+					columns: unpaired.columns,
+					sequenceColumns: modelColumns,
+				});
+			}
+		}
+		if (unpairedRows > 0) {
+			console.log(
+				`${unpairedRows} unpaired sequence combinations saved to: ${unpairedPath}`,
+			);
+		}
 	}
 
-	// Once all sequences have been added to seqMap, count the sequences
-	console.log("Generating count file...");
-	const seqCounts = await countSeqs(seqMap);
-	await writeCSV(seqCounts, counts_outpath);
+	/**
+	 * Rows of the counts as written, in memory or streamed from the sorted runs
+	 * @returns {Iterable<{ [key: string]: string | number }> | AsyncIterable<{ [key: string]: string | number }>}
+	 */
+	const countRows = () => outputCounts ?? externalCounts?.rows() ?? [];
+
+	// Number the sequences of every counts row with the scheme of its model
+	if (config.numbering) {
+		/** @type {Map<string, { hmm_from: number, a2m: string }>} */
+		const sequenceAlignments = new Map();
+		/** @param {SeqEntry} entry */
+		const keepAlignment = ({ model, sequence, alignment }) => {
+			const key = `${model}|${sequence}`;
+			if (alignment && !sequenceAlignments.has(key)) {
+				sequenceAlignments.set(key, alignment);
+			}
+		};
+		if (seqMap) {
+			for (const entries of seqMap.values()) {
+				entries.forEach(keepAlignment);
+			}
+		} else {
+			// Look up the alignments of the counted sequences in a second pass over the batches
+			/** @type {Set<string>} */
+			const wanted = new Set();
+			for await (const row of countRows()) {
+				for (const model of schemes.keys()) {
+					wanted.add(`${model}|${row[model]}`);
+				}
+			}
+			for await (const { entry } of batchEntries(true)) {
+				if (wanted.has(`${entry.model}|${entry.sequence}`)) {
+					keepAlignment(entry);
+				}
+			}
+		}
+		/** @type {import("./src/numbering.js").NumberedSequence[]} */
+		const numbered = [];
+		let index = 0;
+		for await (const row of countRows()) {
+			index++;
+			for (const [model, scheme] of schemes) {
+				const sequence = String(row[model]);
+				const alignment = sequenceAlignments.get(`${model}|${sequence}`);
+				if (!alignment) {
+					continue;
+				}
+				numbered.push({
+					id: String(index),
+					model,
+					sequence,
+					scheme: scheme.scheme,
+					chain: scheme.chain,
+					numbering: numberAlignment(alignment, scheme),
+				});
+			}
+		}
+		await writeNumbering(
+			numbered,
+			config.numbering.outpath,
+			config.numbering.format,
+		);
+		console.log(`Numbered sequences saved to: ${config.numbering.outpath}`);
+	}
 
-	// Remove temporary directories and all contents
-	console.log("Cleaning up temporary files...");
-	fs.rmSync(mainTempDir, { recursive: true, force: true });
-	fs.rmSync(batchTempDir, { recursive: true, force: true });
+	// Report where reads were lost, per sample and model
+	const qcReport = buildQcReport(
+		batchResults.map(({ qcPath, sample, modelName }) => ({
+			sample,
+			model: modelName,
+			qc: JSON.parse(fs.readFileSync(qcPath, "utf8")),
+		})),
+		{
+			settings: { min_quality, hmm_coverage },
+			merges: mergeStats,
+			counting: countingFunnel,
+		},
+	);
+	const qcJsonPath =
+		config.qc_outpath ?? `${stripTableExtension(counts_outpath)}_qc.json`;
+	const qcTextPath = qcJsonPath.replace(/(\.json)?$/, ".txt");
+	writeQcReport(qcReport, qcJsonPath, qcTextPath);
+	console.log(`QC report saved to: ${qcJsonPath} and ${qcTextPath}`);
+
+	if (keep_intermediates) {
+		console.log(`Intermediate files kept in: ${workDir}`);
+	} else if (config.work_dir) {
+		// Remove intermediate output and checkpoints but keep the configured directory itself
+		console.log("Cleaning up intermediate files...");
+		fs.rmSync(intermediateDir, { recursive: true, force: true });
+		fs.rmSync(batchDir, { recursive: true, force: true });
+		fs.rmSync(manifest.path, { force: true });
+	} else {
+		// Remove temporary directories and all contents
+		console.log("Cleaning up temporary files...");
+		fs.rmSync(workDir, { recursive: true, force: true });
+	}
 	console.log(`Pipeline completed! Counts saved to: ${counts_outpath}`);
 
-	return seqCounts;
+	return outputCounts;
 }
 
 // Execute main function
-main().catch(console.error);
+main().catch((error) => {
+	console.error(error instanceof Error ? error.message : error);
+	process.exitCode = 1;
+});
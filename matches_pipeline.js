@@ -2,48 +2,97 @@ import { spawn } from "node:child_process";
 import fs from "node:fs";
 import os from "node:os";
 import path from "node:path";
-import readline from "node:readline";
-import csv from "csv-parser";
+import {
+	extractBestHMMHits,
+	hitCoordinates,
+	hmmCoverage,
+	readDomtblout,
+} from "./src/domtblout.js";
+import { alignToModel, readDomainAlignments } from "./src/hmm_alignment.js";
+import { readHMMHeader } from "./src/hmm_model.js";
+import { runHMMSearch } from "./src/hmmer.js";
 import {
 	get_config_by_path,
 	get_config_path_by_args,
 } from "./src/match_config.js";
+import { loadMatchIndex, searchMatchIndex } from "./src/match_index.js";
+import { createMatchScorer } from "./src/metrics.js";
+import {
+	defaultSchemePath,
+	listMutations,
+	numberAlignment,
+	readNumbering,
+	readNumberingScheme,
+	writeNumbering,
+} from "./src/numbering.js";
+import { loadQueryEntries } from "./src/queries.js";
+import {
+	appendQueryCache,
+	modelChecksum,
+	queryCacheKey,
+	queryCachePath,
+	readQueryCache,
+} from "./src/query_cache.js";
+import { extractRegions } from "./src/regions.js";
+import {
+	collectColumns,
+	readTable,
+	readTableColumns,
+	stripTableExtension,
+	writeTable,
+} from "./src/tables.js";
+import { checkTools } from "./src/tools.js";
+
+/** Residues joining the chains of a query into the one sequence searched */
+const QUERY_CHAIN_LINKER = "X".repeat(20);
+
+/**
+ * Columns of the trim report, one row per query and model
+ * - Status: "trimmed", "filtered" (best domain fails hmm_coverage or hit_selection), "no_hit" (no domain above domain_score_threshold) or "pretrimmed"
+ * - Chain: Query chains (1-based) the hit overlaps
+ */
+const TRIM_REPORT_COLUMNS = [
+	"Query",
+	"Model",
+	"Status",
+	"Chain",
+	"Score",
+	"Coverage",
+	"HMM_From",
+	"HMM_To",
+	"Query_From",
+	"Query_To",
+];
 
 /**
  * Define function to check column names
  * @param {{name: string, model_paths: string[], counts_path: string}[]} libraries
+ * @param {string[]} [matchRegions] - `{model}_{region}` columns every library must have
  * @returns {Promise<boolean>} - Resolves to true if all models are found, otherwise false
  */
-async function checkColNames(libraries) {
+async function checkColNames(libraries, matchRegions = []) {
 	for (const library of libraries) {
-		// Open counts file and read the first line
-		const fileStream = fs.createReadStream(library.counts_path);
-		const rl = readline.createInterface({
-			input: fileStream,
-			crlfDelay: Number.POSITIVE_INFINITY,
-		});
-
-		let headerLine = null;
-		for await (const line of rl) {
-			headerLine = line;
-			break; // Only read the first line (header)
-		}
+		// Read the column names of the counts table (header row or first record)
+		const header = await readTableColumns(library.counts_path);
 
 		// Handle empty file case
-		if (!headerLine) {
-			console.error(`Error: CSV file '${library.counts_path}' is empty.`);
+		if (header.length === 0) {
+			console.error(`Error: counts file '${library.counts_path}' is empty.`);
 			return false;
 		}
 
-		// Extract column names from the CSV header
-		const columns = new Set(headerLine.split(",").map((col) => col.trim()));
+		const columns = new Set(header.map((col) => col.trim()));
 
 		// Exclude constant columns
-		const constantColumns = new Set(["Count", "Total_Count", "Frequency"]);
-		const modelColumns = new Set(
-			[...columns].filter((col) => !constantColumns.has(col)),
-		);
-
+		const constantColumns = new Set([
+			"Count",
+			"UMI_Count",
+			"Total_Count",
+			"Frequency",
+			"Parent_Count",
+			"Absorbed_Variants",
+			"Productive",
+		]);
 		// Extract expected model column names from model_paths
 		const expectedColumns = new Set(
 			library.model_paths.map((modelPath) =>
@@ -51,155 +100,53 @@ async function checkColNames(libraries) {
 			),
 		);
 
+		// Region columns ('{model}_{region}') stand in for their model when counted on regions
+		const regionModels = new Set(
+			[...expectedColumns].filter((model) =>
+				[...columns].some((col) => col.startsWith(`${model}_`)),
+			),
+		);
+		const modelColumns = new Set(
+			[...columns].filter(
+				(col) =>
+					!constantColumns.has(col) &&
+					!/_(Count|Frequency)$/.test(col) && // Per-sample columns from 'count_mode'
+					!(col.endsWith("_nt") && columns.has(col.slice(0, -3))) && // Nucleotide columns from 'output_nucleotides'
+					![...regionModels].some((model) => col.startsWith(`${model}_`)),
+			),
+		);
+
 		// Ensure both sets match exactly
 		if (
 			![...modelColumns].every((col) => expectedColumns.has(col)) ||
-			![...expectedColumns].every((col) => modelColumns.has(col))
+			![...expectedColumns].every(
+				(col) => modelColumns.has(col) || regionModels.has(col),
+			)
 		) {
 			console.error(
 				`Mismatch found in '${library.counts_path}'. Expected: ${[...expectedColumns]}. Found: ${[...modelColumns]}`,
 			);
 			return false;
 		}
-	}
-	return true;
-}
-
-/**
- * Define function to run hmmsearch
- * @param {string} modelPath
- * @param {string} fastaPath
- * @param {string} domtblPath
- * @param {string} stdoutPath
- * @returns {Promise<void>}
- */
-async function runHMMSearch(modelPath, fastaPath, domtblPath, stdoutPath) {
-	return new Promise((resolve, reject) => {
-		const hmmsearch = spawn("hmmsearch", [
-			"--domT",
-			"150", // Domain score filter
-			"--domtblout",
-			domtblPath,
-			modelPath,
-			fastaPath,
-		]);
-
-		// Create stream for the stdout file
-		const stdoutStream = fs.createWriteStream(stdoutPath, { flags: "a" });
-
-		// Capture and write any data from stdout to the file
-		hmmsearch.stdout.on("data", (data) => {
-			stdoutStream.write(data);
-		});
-
-		// Capture and log any error messages generated by hmmsearch
-		hmmsearch.stderr.on("data", (data) => {
-			console.error(`stderr: ${data}`);
-		});
-
-		hmmsearch.on("close", (code) => {
-			// Check exit code to determine if hmmsearch was successful
-			if (code === 0) {
-				stdoutStream.end(); // Close the stdout file stream
-				resolve();
-			} else {
-				// If exit code is non-zero, an error occurred
-				reject(new Error(`hmmsearch process exited with code ${code}`));
-			}
-		});
-	});
-}
-
-/**
- * Define function to parse full hmmsearch output, determine best hit per target and generate a BED file
- * @param {string} domtblPath - Path to the hmmsearch domtblout file
- * @param {number} coverage - Minimum required HMM coverage
- * @param {string} bedFilePath - Path to output the BED file
- * @returns {Promise<void>}
- */
-async function extractBestHMMHits(domtblPath, coverage, bedFilePath) {
-	try {
-		// Create readable stream for hmmer output
-		const fileStream = fs.createReadStream(domtblPath, "utf8");
-
-		// Create readline interface to read the file line by line
-		const rl = readline.createInterface({
-			input: fileStream,
-			crlfDelay: Number.POSITIVE_INFINITY,
-		});
 
-		/** @type {Map<string, { target_name: string, score: number, ali_from: number, ali_to: number }>} */
-		const bestEntries = new Map(); // Initialize map to store highest-scoring hmmsearch hit for each target sequence
-
-		// Parse valid entries
-		for await (const line of rl) {
-			if (line.startsWith("#") || line.trim() === "") {
-				continue; // Skip comment/empty lines
-			}
-
-			const columns = line.trim().split(/\s+/);
-			if (columns.length < 23) {
-				continue; // Skip lines that don't have enough columns
-			}
-
-			// Extract relevant columns
-			const entry = {
-				target_name: columns[0], // Target sequence name
-				qlen: Number.parseInt(columns[5], 10), // Model length
-				score: Number.parseFloat(columns[13]), // Bit score for each domain
-				hmm_from: Number.parseInt(columns[15], 10), // HMM start
-				hmm_to: Number.parseInt(columns[16], 10), // HMM end
-				ali_from: Number.parseInt(columns[17], 10), // Alignment start
-				ali_to: Number.parseInt(columns[18], 10), // Alignment end
-			};
-
-			// Skip entries that do not cover at least X% of the hmm
-			const hmm_covered = entry.hmm_to - entry.hmm_from + 1;
-			if (hmm_covered / entry.qlen < coverage) {
-				continue;
-			}
-
-			// Group entries by target_name and store the highest-scoring hit
-			const existing = bestEntries.get(entry.target_name);
-			if (!existing || entry.score > existing.score) {
-				bestEntries.set(entry.target_name, entry);
-			}
-		}
-
-		// Generate the BED file content
-		/** @type {string[]} bedContent - An array of strings, where each string represents a line in the BED file */
-		const bedContent = [];
-		for (const entry of bestEntries.values()) {
-			// Format the BED file line
-			const bedLine = [
-				entry.target_name, // Target name
-				entry.ali_from - 1, // Start position (BED format is 0-based)
-				entry.ali_to, // End position
-				entry.score, // Bit score
-			].join("\t");
-			bedContent.push(bedLine);
-		}
-
-		// Write the BED content to a file
-		fs.writeFileSync(bedFilePath, bedContent.join("\n"));
-	} catch (error) {
-		if (error instanceof Error) {
-			console.error(error.message);
-		} else {
-			console.error("Unknown error occurred.");
+		const missingRegions = matchRegions.filter((col) => !columns.has(col));
+		if (missingRegions.length > 0) {
+			console.error(
+				`Region columns missing from '${library.counts_path}': ${missingRegions}`,
+			);
+			return false;
 		}
-		throw error;
 	}
+	return true;
 }
 
 /**
  * Define function to trim sequences based on coordinates from HMMER
  * @param {string} inFastaFilePath - Path to input fasta file (raw protein sequences)
  * @param {string} bedFilePath - Path to BED file with trimming coordinates from each HMMER hit
- * @param {string} newHeader
- * @returns {Promise<Map<string, string>>}
+ * @returns {Promise<Map<string, string>>} - Trimmed sequence per query name
  */
-async function trimSeqs(inFastaFilePath, bedFilePath, newHeader) {
+async function trimSeqs(inFastaFilePath, bedFilePath) {
 	return new Promise((resolve, reject) => {
 		const command = `seqkit subseq --bed ${bedFilePath} ${inFastaFilePath}`;
 		const seqkitSubseq = spawn(command, { shell: true });
@@ -218,42 +165,27 @@ async function trimSeqs(inFastaFilePath, bedFilePath, newHeader) {
 
 		seqkitSubseq.on("close", (code) => {
 			if (code === 0) {
-				// Append the results to the output FASTA file with the model name in the header
-				const cleanedOutput = output
-					.split("\n")
-					.map((line) => {
-						if (line.startsWith(">")) {
-							// Clean the header: remove everything after the first space
-							return `>${newHeader}`;
-						}
-						return line;
-					})
-					.join("\n");
-
-				// Create a Map to store the trimmed sequences with newHeader as the key
+				// Create a Map to store the trimmed sequences with the query name as the key
 				const trimmedSequencesMap = new Map();
-				let currentSequence = "";
+				/** @type {string | null} */
+				let currentName = null;
 
-				// Process each line in the cleaned output
-				const lines = cleanedOutput.split("\n");
-				for (const line of lines) {
+				// Headers are "{query}_{start}-{end}:." followed by the original header
+				for (const line of output.split("\n")) {
 					if (line.startsWith(">")) {
-						// If a new header line is found, store the current sequence in the map
-						if (currentSequence) {
-							trimmedSequencesMap.set(newHeader, currentSequence);
+						currentName = line.match(/^>(\S+?)_\d+-\d+:[-+.]/)?.[1] ?? null;
+						if (currentName) {
+							trimmedSequencesMap.set(currentName, "");
 						}
-						currentSequence = ""; // Reset the current sequence
-					} else {
+					} else if (currentName) {
 						// Append sequence data to the current sequence
-						currentSequence += line;
+						trimmedSequencesMap.set(
+							currentName,
+							trimmedSequencesMap.get(currentName) + line.trim(),
+						);
 					}
 				}
 
-				// Store the last sequence in the map
-				if (currentSequence) {
-					trimmedSequencesMap.set(newHeader, currentSequence);
-				}
-
 				resolve(trimmedSequencesMap); // Return the map of trimmed sequences
 			} else {
 				console.error(
@@ -271,111 +203,261 @@ async function trimSeqs(inFastaFilePath, bedFilePath, newHeader) {
 	});
 }
 
+/**
+ * Summarises a domain hit for the query hit cache and trim report
+ * @param {import("./src/domtblout.js").DomainHit} hit
+ * @param {import("./src/domtblout.js").HitSelection} selection
+ * @returns {import("./src/query_cache.js").QueryHit}
+ */
+function describeHit(hit, selection) {
+	const { score, hmm_from, hmm_to } = hit;
+	const { from, to } = hitCoordinates(hit, selection);
+	return { score, coverage: hmmCoverage(hit), from, to, hmm_from, hmm_to };
+}
+
+/**
+ * Numbers (1-based) of the chains a hit overlaps, e.g. "2" or "1+2" for a hit across the linker
+ * @param {string[]} sequences - Chains of the query, searched joined by QUERY_CHAIN_LINKER
+ * @param {number} from - First residue of the hit in the joined sequence (1-based)
+ * @param {number} to - Last residue of the hit in the joined sequence
+ * @returns {string} - "NA" if the hit only covers the linker
+ */
+function hitChains(sequences, from, to) {
+	const chains = [];
+	let start = 1;
+	for (const [i, sequence] of sequences.entries()) {
+		const end = start + sequence.length - 1;
+		if (from <= end && to >= start) {
+			chains.push(i + 1);
+		}
+		start = end + 1 + QUERY_CHAIN_LINKER.length;
+	}
+	return chains.join("+") || "NA";
+}
+
+/**
+ * Searches every query against one model in a single hmmsearch and trims the best hits
+ * @param {string} modelPath
+ * @param {Array<{name: string, sequence: string}>} queries - Query names with their chains joined as searched
+ * @param {import("./src/domtblout.js").HitSelection} selection - Best-hit filters (including model coverage) and ranking.
+ * @param {number} domT - Domain score threshold for hmmsearch.
+ * @param {string} workDir - Directory for the FASTA, domtblout, stdout and BED files of this model
+ * @returns {Promise<Map<string, import("./src/query_cache.js").QueryHit>>} - Hit per query name; queries without a domain above `domT` are missing
+ */
+async function searchQueries(modelPath, queries, selection, domT, workDir) {
+	fs.mkdirSync(workDir, { recursive: true });
+	const fastaPath = path.join(workDir, "queries.fasta");
+	const domtblPath = path.join(workDir, "queries.domtbl");
+	const stdoutPath = path.join(workDir, "queries.stdout");
+	const bedFilePath = path.join(workDir, "queries.bed");
+	fs.writeFileSync(
+		fastaPath,
+		queries.map(({ name, sequence }) => `>${name}\n${sequence}\n`).join(""),
+	);
+
+	// Process raw query sequences with HMM search and trimming
+	await runHMMSearch(modelPath, fastaPath, domtblPath, stdoutPath, { domT });
+	const bestHits = await extractBestHMMHits(domtblPath, selection, bedFilePath);
+	const trimmedSequences = await trimSeqs(fastaPath, bedFilePath);
+
+	// Keep the best domain of queries whose domains all fail the selection filters
+	/** @type {Map<string, import("./src/query_cache.js").QueryHit>} */
+	const hits = new Map();
+	for await (const hit of readDomtblout(domtblPath)) {
+		const best = hits.get(hit.target_name);
+		if (!bestHits.has(hit.target_name) && !(best && best.score >= hit.score)) {
+			hits.set(hit.target_name, describeHit(hit, selection));
+		}
+	}
+
+	// Every best hit is trimmed, whether or not its alignment can be read back
+	for (const [target, [hit]] of bestHits) {
+		const trimmed = trimmedSequences.get(target);
+		hits.set(target, {
+			...describeHit(hit, selection),
+			...(trimmed !== undefined ? { trimmed } : {}),
+		});
+	}
+
+	// Place each trimmed hit on the model
+	const { length } = await readHMMHeader(modelPath);
+	const wanted = new Map(
+		Array.from(bestHits, ([target, [hit]]) => [target, hit.dom_index]),
+	);
+	for await (const alignment of readDomainAlignments(stdoutPath, wanted)) {
+		const hit = hits.get(alignment.target_name);
+		if (hit?.trimmed !== undefined) {
+			hit.a2m = alignToModel(alignment, length).a2m;
+		}
+	}
+	return hits;
+}
+
 /**
  * Define function to process query sequences (hmmer, score filtering, trimming) into a map
- * @param {Array<{name: string, sequences: string[]}>} queryEntries - Array of query entries.
+ * Every distinct model is searched once with all queries. Hits are cached by model checksum and
+ * query sequence, so queries searched before with the same settings skip HMMER. Pre-trimmed
+ * sequences of a query replace its hit on their model or region.
+ * @param {import("./src/queries.js").QueryEntry[]} queryEntries - Array of query entries.
  * @param {Array<{name: string, model_paths: string[], counts_path: string}>} libraries - Array of libraries.
- * @param {number} coverage - Filter for model coverage.
+ * @param {import("./src/domtblout.js").HitSelection} selection - Best-hit filters (including model coverage) and ranking.
+ * @param {number} domT - Domain score threshold for hmmsearch.
+ * @param {string} cachePath - JSON Lines cache of query hits, created if missing
+ * @param {Record<string, import("./src/regions.js").RegionMap>} [regions] - Named regions per model name; adds "query|model_region" keys.
+ * @param {Map<string, { hmm_from: number, a2m: string }>} [alignments] - If given, filled with the model alignment of every hit, keyed by "query|model".
+ * @param {Array<Record<string, string | number>>} [report] - If given, filled with a trim report row per query and model (see TRIM_REPORT_COLUMNS).
  * @returns {Promise<Map<string, string>>} A promise that resolves to a Map where keys are a combination of query name and model name and values are the corresponding trimmed sequences.
  */
-async function createQueryMap(queryEntries, libraries, coverage) {
-	// Define temporary directories
+async function createQueryMap(
+	queryEntries,
+	libraries,
+	selection,
+	domT,
+	cachePath,
+	regions = {},
+	alignments = undefined,
+	report = undefined,
+) {
+	// Define temporary directory
 	const mainTempDir = fs.mkdtempSync(path.join(os.tmpdir(), "main-"));
-	const infastaTempDir = path.join(mainTempDir, "query_fastas");
-	const domtblTempDir = path.join(mainTempDir, "hmmer_domtblout");
-	const stdoutTempDir = path.join(mainTempDir, "hmmer_stdout");
-	const bedFileTempDir = path.join(mainTempDir, "hmmer_bedout");
 
-	// Create directories
-	fs.mkdirSync(infastaTempDir, { recursive: true });
-	fs.mkdirSync(domtblTempDir, { recursive: true });
-	fs.mkdirSync(stdoutTempDir, { recursive: true });
-	fs.mkdirSync(bedFileTempDir, { recursive: true });
+	// Chains of a query are searched as one sequence, separated by a run of X
+	const queries = queryEntries
+		.filter(({ sequences = [] }) => sequences.length > 0)
+		.map(({ name, sequences = [] }) => ({
+			name,
+			sequences,
+			sequence: sequences.join(QUERY_CHAIN_LINKER),
+		}));
+
+	// Models shared by several libraries are searched once
+	const modelPaths = Array.from(
+		new Set(libraries.flatMap(({ model_paths }) => model_paths)),
+	);
+
+	const cache = await readQueryCache(cachePath);
+	/** @type {Map<string, import("./src/query_cache.js").QueryHit | null>} */
+	const newHits = new Map();
 
 	// Initialize a Map to store all trimmed sequences
 	const allTrimmedSequences = new Map();
 
-	// Write query sequences to fasta files for processing
-	for (const entry of queryEntries) {
-		const { name, sequences } = entry;
-		const fastaContent = `>${name}\n${sequences.join("X".repeat(20))}\n`;
-		const fastaPath = path.join(infastaTempDir, `${name}.fasta`);
-		fs.writeFileSync(fastaPath, fastaContent);
-
-		// Loop through each model in the libraries
-		for (const library of libraries) {
-			for (const modelPath of library.model_paths) {
-				const newHeader = `${name}|${path.basename(modelPath, path.extname(modelPath))}`;
-				const domtblPath = path.join(domtblTempDir, `${name}.domtbl`);
-				const stdoutPath = path.join(stdoutTempDir, `${name}.stdout`);
-				const bedFilePath = path.join(bedFileTempDir, `${name}.bed`);
-
-				// Process raw query sequence with HMM search and trimming
-				await runHMMSearch(modelPath, fastaPath, domtblPath, stdoutPath);
-				await extractBestHMMHits(domtblPath, coverage, bedFilePath);
-
-				// Trim sequences and store results in the Map
-				const trimmedSequencesMap = await trimSeqs(
-					fastaPath,
-					bedFilePath,
-					newHeader,
-				);
-				for (const [key, sequence] of trimmedSequencesMap) {
-					allTrimmedSequences.set(key, sequence);
+	for (const [i, modelPath] of modelPaths.entries()) {
+		const modelName = path.basename(modelPath, path.extname(modelPath));
+		const checksum = modelChecksum(modelPath);
+		const keys = new Map(
+			queries.map(({ name, sequence }) => [
+				name,
+				queryCacheKey(checksum, sequence, selection, domT),
+			]),
+		);
+
+		// Search the queries without a cached hit
+		const uncached = queries.filter(
+			({ name }) => !cache.has(keys.get(name) ?? ""),
+		);
+		console.log(
+			`${modelName}: ${queries.length - uncached.length} of ${queries.length} queries cached`,
+		);
+		if (uncached.length > 0) {
+			const hits = await searchQueries(
+				modelPath,
+				uncached,
+				selection,
+				domT,
+				path.join(mainTempDir, `${i}_${modelName}`),
+			);
+			for (const { name } of uncached) {
+				const key = keys.get(name) ?? "";
+				const hit = hits.get(name) ?? null;
+				cache.set(key, hit);
+				newHits.set(key, hit);
+			}
+		}
+
+		// The alignment is only needed to split regions or number the sequence
+		const modelRegions = regions[modelName] ?? {};
+		const needsAlignment =
+			alignments !== undefined || Object.keys(modelRegions).length > 0;
+
+		// Store the trimmed sequences, and split each hit into the named regions of the model
+		for (const { name, sequences } of queries) {
+			const hit = cache.get(keys.get(name) ?? "");
+			report?.push({
+				Query: name,
+				Model: modelName,
+				Status: !hit
+					? "no_hit"
+					: hit.trimmed === undefined
+						? "filtered"
+						: hit.a2m === undefined && needsAlignment
+							? "no_alignment"
+							: "trimmed",
+				Chain: hit ? hitChains(sequences, hit.from, hit.to) : "NA",
+				Score: hit?.score ?? "NA",
+				Coverage: hit ? Math.round(hit.coverage * 1000) / 1000 : "NA",
+				HMM_From: hit?.hmm_from ?? "NA",
+				HMM_To: hit?.hmm_to ?? "NA",
+				Query_From: hit?.from ?? "NA",
+				Query_To: hit?.to ?? "NA",
+			});
+			if (hit?.trimmed === undefined) {
+				continue;
+			}
+			const newHeader = `${name}|${modelName}`;
+			const { trimmed, hmm_from, hmm_to, a2m } = hit;
+			allTrimmedSequences.set(newHeader, trimmed);
+			if (a2m === undefined) {
+				continue;
+			}
+			alignments?.set(newHeader, { hmm_from, a2m });
+			const regionSequences = extractRegions(
+				{ hmm_from, hmm_to, a2m },
+				modelRegions,
+			);
+			for (const [region, sequence] of Object.entries(regionSequences)) {
+				if (sequence !== null) {
+					allTrimmedSequences.set(`${newHeader}_${region}`, sequence);
 				}
 			}
 		}
 	}
+	appendQueryCache(cachePath, newHits);
+
+	// Pre-trimmed sequences are taken as they are
+	for (const { name, trimmed = {} } of queryEntries) {
+		for (const [column, sequence] of Object.entries(trimmed)) {
+			allTrimmedSequences.set(`${name}|${column}`, sequence);
+			report?.push({
+				Query: name,
+				Model: column,
+				Status: "pretrimmed",
+				Chain: "NA",
+				Score: "NA",
+				Coverage: "NA",
+				HMM_From: "NA",
+				HMM_To: "NA",
+				Query_From: "NA",
+				Query_To: "NA",
+			});
+		}
+	}
 
 	// Return the final map of all trimmed sequences
 	return allTrimmedSequences;
 }
 
 /**
- * Function to compute Levenshtein distance between two sequences
- * @param {string} a first protein sequence
- * @param {string} b second protein sequence
- * @returns {number} levenshtein distance between sequence a and sequence b
- */
-function levenshteinDistance(a, b) {
-	// Create 2D array
-	const dp = Array(a.length + 1)
-		.fill(null)
-		.map(() => Array(b.length + 1).fill(null));
-
-	// Initialize the first column
-	for (let i = 0; i <= a.length; i++) {
-		dp[i][0] = i;
-	}
-
-	// Initialize the first row
-	for (let j = 0; j <= b.length; j++) {
-		dp[0][j] = j;
-	}
-
-	for (let i = 1; i <= a.length; i++) {
-		for (let j = 1; j <= b.length; j++) {
-			// Determine if amino acids are the same (cost 0) or different (cost 1)
-			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
-
-			// if different, take the minimum
-			dp[i][j] = Math.min(
-				dp[i - 1][j] + 1, // deletion
-				dp[i][j - 1] + 1, // insertion
-				dp[i - 1][j - 1] + cost, // substitution
-			);
-		}
-	}
-	return dp[a.length][b.length];
-}
-
-/**
- * Reads a CSV file and searches for the closest matching protein sequences
- * @param {string} csvFile - CSV file path
+ * Reads a counts table and searches for the closest matching protein sequences
+ * Candidates come from a BK-tree index of every matched column, built once and saved next to the
+ * table; matches are the same as comparing every query with every row. Every candidate is then
+ * scored, and possibly dropped, under the configured metric.
+ * @param {string} csvFile - Counts table path (CSV, TSV, JSON Lines or FASTA, optionally gzipped)
  * @param {string} libName - Library name
  * @param {Map<string, Map<string, string>>} queries - Map of query names to models and corresponding trimmed query sequences
  * @param {number} [maxLevenshteinDistance=Infinity] - Optional filter on Levenshtein distance
  * @param {Map<string, Array<Object>>} finalMap - Map with trimmed query sequences as keys and its corresponding matches as the value
+ * @param {import("./src/metrics.js").MetricConfig} [metric] - Metric of the `{model}_Score` and `{model}_Identity` columns
  * @returns {Promise<void>}
  */
 async function findClosestMatches(
@@ -384,109 +466,123 @@ async function findClosestMatches(
 	queries,
 	maxLevenshteinDistance = Number.POSITIVE_INFINITY,
 	finalMap = new Map(), // Initialize an empty map if not provided
+	metric = {},
 ) {
-	/** @type {Array<Record<string, string>>} */
-	const records = []; // Array to store all rows from the CSV
-
-	return new Promise((resolve, reject) => {
-		fs.createReadStream(csvFile)
-			.pipe(csv())
-			.on("data", (row) => {
-				// Store each row from the CSV as an object
-				if (row && typeof row === "object") {
-					records.push(row);
+	const columns = Array.from(
+		new Set(
+			Array.from(queries.values()).flatMap((queryMap) => [...queryMap.keys()]),
+		),
+	);
+	const index = await loadMatchIndex(csvFile, columns);
+
+	const scoreMatch = createMatchScorer(metric, maxLevenshteinDistance);
+
+	// Rows within the distance in every model that the metric keeps, with the scores per model, for each query
+	/** @type {Map<number, Array<{ queryName: string, distances: number[], scores: import("./src/metrics.js").MatchScore[] }>>} */
+	const matchedRows = new Map();
+	for (const [queryName, queryMap] of queries.entries()) {
+		const models = Array.from(queryMap, ([column, query]) => ({
+			query,
+			columnIndex: /** @type {import("./src/match_index.js").ColumnIndex} */ (
+				index.columns.get(column)
+			),
+			/** @type {Map<number, import("./src/metrics.js").MatchScore | null>} */
+			scores: new Map(), // By index of the distinct sequence
+		}));
+		for (const { row, distances } of searchMatchIndex(
+			index,
+			queryMap,
+			maxLevenshteinDistance,
+		)) {
+			/** @type {import("./src/metrics.js").MatchScore[]} */
+			const scores = [];
+			for (const [
+				i,
+				{ query, columnIndex, scores: cache },
+			] of models.entries()) {
+				const id = columnIndex.rowValues[row];
+				let score = cache.get(id);
+				if (score === undefined) {
+					score = scoreMatch(query, columnIndex.values[id], distances[i]);
+					cache.set(id, score);
 				}
-			})
-			.on("end", () => {
-				// Iterate over each query (queryName -> modelName -> querySeq)
-				for (const [queryName, queryMap] of queries.entries()) {
-					// Compute Levenshtein distances for each CSV row
-					const matches = records
-						.map((row) => {
-							/** @type {Record<string, any>} tempResult - Base object for one match result */
-							const tempResult = { Query: queryName };
-							let allWithinThresh = true; // Flag to ensure all distances are under max_LD
-
-							// Loop through all modelName -> querySeq pairs in the queryMap
-							for (const [modelName, querySeq] of queryMap) {
-								const sequence = row[modelName];
-								const dist = levenshteinDistance(querySeq, sequence);
-
-								// Store sequence and LD for this model
-								tempResult[`${modelName}_Match`] = sequence;
-								tempResult[`${modelName}_LD`] = dist;
-
-								// If any distance exceeds threshold, discard the entire match
-								if (dist > maxLevenshteinDistance) {
-									allWithinThresh = false;
-									break;
-								}
-							}
-
-							if (!allWithinThresh) { return null };
-
-							// Append additional row info from CSV
-							return {
-								...tempResult,
-								Library: libName,
-								Count: Number(row.Count),
-								Total_Count: Number(row.Total_Count),
-								Frequency: Number(row.Frequency),
-							};
-						})
-						.filter(Boolean); // Remove any null results
-
-					// Accumulate matches for each queryName
-					const existingMatches = finalMap.get(queryName) || [];
-					finalMap.set(queryName, /** @type {Object[]} */([...existingMatches, ...matches]));
+				if (score === null) {
+					break;
 				}
-				resolve();
-			})
-			.on("error", reject);
-	});
+				scores.push(score);
+			}
+			if (scores.length < models.length) {
+				continue;
+			}
+			const rowMatches = matchedRows.get(row) ?? [];
+			rowMatches.push({ queryName, distances, scores });
+			matchedRows.set(row, rowMatches);
+		}
+	}
+
+	// Collect the matched rows in table order
+	/** @type {Map<string, Array<Record<string, any>>>} */
+	const matchesByQuery = new Map(
+		Array.from(queries.keys(), (queryName) => [queryName, []]),
+	);
+	let rowIndex = 0;
+	for await (const row of readTable(csvFile)) {
+		for (const { queryName, distances, scores } of matchedRows.get(rowIndex) ??
+			[]) {
+			/** @type {Record<string, any>} tempResult - Base object for one match result */
+			const tempResult = { Query: queryName };
+
+			// Store sequence, LD and metric scores for every model of the query
+			let i = 0;
+			for (const modelName of queries.get(queryName)?.keys() ?? []) {
+				tempResult[`${modelName}_Match`] = row[modelName];
+				tempResult[`${modelName}_LD`] = distances[i];
+				tempResult[`${modelName}_Score`] = scores[i].score;
+				tempResult[`${modelName}_Identity`] = scores[i].identity;
+				i++;
+			}
+
+			// Append additional row info from CSV
+			matchesByQuery.get(queryName)?.push({
+				...tempResult,
+				Library: libName,
+				Count: Number(row.Count),
+				...(row.UMI_Count !== undefined
+					? { UMI_Count: Number(row.UMI_Count) }
+					: {}),
+				Total_Count: Number(row.Total_Count),
+				Frequency: Number(row.Frequency),
+			});
+		}
+		rowIndex++;
+	}
+
+	// Accumulate matches for each queryName
+	for (const [queryName, matches] of matchesByQuery) {
+		const existingMatches = finalMap.get(queryName) || [];
+		finalMap.set(queryName, [...existingMatches, ...matches]);
+	}
 }
 
 /**
- * Function to write data to a CSV file
+ * Function to write data to a result table; CSV, TSV, JSON Lines or FASTA (optionally gzipped) by file extension
  * @param {Map<string, Array<Record<string, any>>>} data
  * @param {string} outputPath
+ * @returns {Promise<void>}
  */
-function writeCSV(data, outputPath) {
+async function writeResults(data, outputPath) {
 	if (data.size === 0) {
 		console.log("No data to write.");
 		return;
 	}
 
-	// Collect all unique headers across all objects in the map
-	const allHeaders = new Set();
-	for (const [, rows] of data) {
-		for (const row of rows) {
-			for (const key of Object.keys(row)) {
-				allHeaders.add(key);
-			}
-		}
-	}
-
-	const headers = Array.from(allHeaders);
-
-	// Convert map data to CSV format
-	const csvRows = [
-		headers.join(","), // Header row
-	];
-
-	// Flatten the rows and create CSV data
-	for (const [, rows] of data) {
-		for (const row of rows) {
-			csvRows.push(
-				headers
-					.map((col) => (row[col] === undefined ? "NA" : row[col]))
-					.join(","),
-			);
-		}
-	}
-
-	// Write CSV to file
-	fs.writeFileSync(outputPath, csvRows.join("\n"), "utf8");
+	// Flatten the rows; columns of all rows, in order of first appearance
+	const rows = Array.from(data.values()).flat();
+	const columns = collectColumns(rows);
+	await writeTable(rows, outputPath, {
+		columns,
+		sequenceColumns: columns.filter((column) => column.endsWith("_Match")),
+	});
 }
 
 // Main logic
@@ -495,37 +591,148 @@ async function main() {
 	const config_path = await get_config_path_by_args();
 	const config = get_config_by_path(config_path);
 	console.log(config);
-	if (config === null) {
-		return; // exit program if config is null
-	}
+	const queryEntries = await loadQueryEntries(config);
+	await checkTools(["seqkit", "hmmsearch"]);
 
 	// Extract parameters from config object
-	const { max_LD, hmm_coverage, queryEntries, libraries, output_path } = config;
+	const { max_LD, hmm_coverage, libraries, output_path } = config;
+	const modelNames = new Set(
+		libraries.flatMap(({ model_paths }) =>
+			model_paths.map((modelPath) =>
+				path.basename(modelPath, path.extname(modelPath)),
+			),
+		),
+	);
 
 	// Check that all models are present as columns in counts_path
-	const modelsValid = await checkColNames(libraries);
+	const modelsValid = await checkColNames(libraries, config.match_regions);
 	if (!modelsValid) {
 		// Terminate if models do not match counts_path columns
 		console.error(
-			`Model names and library columns do not match. Exiting pipeline.`,
+			"Model names and library columns do not match. Exiting pipeline.",
 		);
 		process.exit(1);
 	}
 
+	// Load the numbering scheme of every model
+	/** @type {Map<string, import("./src/numbering.js").NumberingScheme>} */
+	const schemes = new Map();
+	if (config.numbering) {
+		for (const { model_paths } of libraries) {
+			for (const modelPath of model_paths) {
+				const modelName = path.basename(modelPath, path.extname(modelPath));
+				if (!schemes.has(modelName)) {
+					const { length } = await readHMMHeader(modelPath);
+					schemes.set(
+						modelName,
+						readNumberingScheme(
+							config.numbering.scheme_paths?.[modelName] ??
+								defaultSchemePath(modelPath),
+							length,
+						),
+					);
+				}
+			}
+		}
+	}
+
 	// Process query sequences into a map
-	const allTrimmedSequences = await createQueryMap(queryEntries, libraries, hmm_coverage);
+	/** @type {Map<string, { hmm_from: number, a2m: string }>} */
+	const queryAlignments = new Map();
+	/** @type {Array<Record<string, string | number>>} */
+	const trimReport = [];
+	const allTrimmedSequences = await createQueryMap(
+		queryEntries,
+		libraries,
+		{ ...config.hit_selection, min_coverage: hmm_coverage },
+		config.domain_score_threshold ?? 150,
+		config.query_cache_path ?? queryCachePath(output_path),
+		config.regions,
+		config.numbering ? queryAlignments : undefined,
+		trimReport,
+	);
+	const trimReportPath =
+		config.trim_report_path ??
+		`${stripTableExtension(output_path)}.trim_report.csv`;
+	await writeTable(trimReport, trimReportPath, {
+		columns: TRIM_REPORT_COLUMNS,
+	});
+	console.log("Query trim report saved to:", trimReportPath);
+
+	// Number the trimmed query sequences
+	/** @type {Map<string, import("./src/numbering.js").NumberedSequence>} */
+	const queryNumbering = new Map();
+	for (const [queryKey, alignment] of queryAlignments) {
+		const [queryName, modelName] = queryKey.split("|");
+		const scheme = schemes.get(modelName);
+		const sequence = allTrimmedSequences.get(queryKey);
+		if (scheme && sequence) {
+			queryNumbering.set(queryKey, {
+				id: queryName,
+				model: modelName,
+				sequence,
+				scheme: scheme.scheme,
+				chain: scheme.chain,
+				numbering: numberAlignment(alignment, scheme),
+			});
+		}
+	}
+	if (config.numbering) {
+		await writeNumbering(
+			Array.from(queryNumbering.values()),
+			config.numbering.outpath,
+			config.numbering.format,
+		);
+		console.log("Numbered query sequences saved to:", config.numbering.outpath);
+	}
 
-	// Group sequences by queryName
+	// Group sequences by queryName, keeping the selected regions or else the whole model sequences
 	const groupedQueries = new Map();
+	const matchColumns = new Set(config.match_regions ?? modelNames);
 
 	for (const [queryKey, sequence] of allTrimmedSequences.entries()) {
 		const [queryName, modelName] = queryKey.split("|");
+		if (!matchColumns.has(modelName)) {
+			continue;
+		}
 		if (!groupedQueries.has(queryName)) {
 			groupedQueries.set(queryName, new Map());
 		}
 		groupedQueries.get(queryName).set(modelName, sequence);
 	}
 
+	// Apply the missing-model policy to queries without a sequence for every column
+	const missingModelsPolicy = config.missing_models ?? "partial";
+	/** @type {Map<string, string[]>} */
+	const missingModels = new Map();
+	for (const { name } of queryEntries) {
+		const queryMap = groupedQueries.get(name) ?? new Map();
+		const missing = [...matchColumns].filter((col) => !queryMap.has(col));
+		if (missing.length > 0) {
+			missingModels.set(name, missing);
+		}
+	}
+	if (missingModels.size > 0 && missingModelsPolicy === "fail") {
+		throw new Error(
+			`Queries without a sequence for every model (see ${trimReportPath}):\n${Array.from(
+				missingModels,
+				([queryName, missing]) => `  - ${queryName}: ${missing.join(", ")}`,
+			).join("\n")}`,
+		);
+	}
+	for (const [queryName, missing] of missingModels) {
+		if (missingModelsPolicy === "skip" || !groupedQueries.has(queryName)) {
+			console.warn(
+				`Skipping query ${queryName}: no sequence for ${missing.join(", ")}`,
+			);
+			groupedQueries.delete(queryName);
+		} else {
+			console.warn(
+				`Query ${queryName} has no sequence for ${missing.join(", ")}; matching on ${[...groupedQueries.get(queryName).keys()].join(", ")}`,
+			);
+		}
+	}
+
 	// Final map to store all the matches
 	const finalMap = new Map();
 
@@ -536,15 +743,57 @@ async function main() {
 			groupedQueries,
 			max_LD,
 			finalMap,
+			config.metric,
 		);
 	}
 
+	// Name the models each match was not compared on
+	if (missingModelsPolicy === "partial") {
+		for (const [queryName, matches] of finalMap) {
+			for (const match of matches) {
+				match.Missing_Models = (missingModels.get(queryName) ?? []).join(";");
+			}
+		}
+	}
+
+	// Report differences to the query by position, for libraries with numbered sequences
+	for (const library of libraries) {
+		if (!library.numbering_path || queryNumbering.size === 0) {
+			continue;
+		}
+		const libraryNumbering = readNumbering(library.numbering_path);
+		for (const [queryName, matches] of finalMap) {
+			for (const match of matches) {
+				if (match.Library !== library.name) {
+					continue;
+				}
+				for (const modelName of groupedQueries.get(queryName)?.keys() ?? []) {
+					const query = queryNumbering.get(`${queryName}|${modelName}`);
+					const numbered = libraryNumbering.get(
+						`${modelName}|${match[`${modelName}_Match`]}`,
+					);
+					match[`${modelName}_Mutations`] =
+						query && numbered
+							? listMutations(
+									query.numbering,
+									numbered.numbering,
+									query.chain,
+								).join(";")
+							: "NA";
+				}
+			}
+		}
+	}
+
 	console.log(finalMap);
 
 	// Write map to CSV
-	writeCSV(finalMap, output_path);
-	console.log("CSV of sequence matches saved to:", output_path);
+	await writeResults(finalMap, output_path);
+	console.log("Sequence matches saved to:", output_path);
 }
 
 // Execute main function
-main().catch(console.error);
+main().catch((error) => {
+	console.error(error instanceof Error ? error.message : error);
+	process.exitCode = 1;
+});
@@ -0,0 +1,179 @@
+import { boundedLevenshtein } from "./distance.js";
+import { buildColumnIndex, searchColumnIndex } from "./match_index.js";
+
+/**
+ * Options for absorbing sequencing-error variants into abundant parents
+ * @typedef {object} ClusteringConfig
+ * @property {number} max_distance - Maximum edit distance between variant and parent, checked in every model column
+ * @property {number} min_ratio - Minimum parent:variant count ratio for a variant to be absorbed
+ * @property {string} [variants_outpath] - Path to write the table mapping each absorbed variant to its parent
+ */
+
+/**
+ * @typedef {{ [key: string]: string | number }} CountRow
+ */
+
+/**
+ * Checks whether every model column of `variant` is within `maxDistance` edits of `parent`
+ * @param {CountRow} variant
+ * @param {CountRow} parent
+ * @param {string[]} modelColumns
+ * @param {number} maxDistance
+ * @returns {boolean}
+ */
+function isWithinDistance(variant, parent, modelColumns, maxDistance) {
+	for (const column of modelColumns) {
+		const a = String(variant[column]);
+		const b = String(parent[column]);
+		// Length difference is a lower bound of the edit distance
+		if (Math.abs(a.length - b.length) > maxDistance) {
+			return false;
+		}
+		if (a !== b && boundedLevenshtein(a, b, maxDistance) > maxDistance) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Absorbs low-abundance sequence combinations into much more abundant parents
+ * Rows are visited from most to least abundant. A row becomes a variant of the most abundant parent
+ * that has at least `min_ratio` times its count and is within `max_distance` edits in every model
+ * column; otherwise it becomes a parent itself. Variants are never parents, so clusters do not chain.
+ * Candidate parents are looked up in a BK-tree of the first model column rather than compared one by one.
+ * Count columns (`Count`, `UMI_Count`, `{sample}_Count`, ...) of variants are added to their parent and
+ * frequency columns are recomputed from the new counts.
+ * @param {CountRow[]} rows - Output of countSeqs
+ * @param {string[]} modelColumns - Sequence columns compared between rows
+ * @param {ClusteringConfig} config
+ * @returns {{ rows: CountRow[], variants: CountRow[] }} - Clustered rows (with `Parent_Count` and `Absorbed_Variants`) and the variant -> parent table
+ */
+function clusterVariants(rows, modelColumns, config) {
+	const countColumns = Object.keys(rows[0] ?? {}).filter(
+		(key) => /(^|_)Count$/.test(key) && key !== "Total_Count",
+	);
+
+	// Column totals used to recompute frequencies
+	/** @type {Map<string, number>} */
+	const columnTotals = new Map();
+	for (const column of countColumns) {
+		columnTotals.set(
+			column,
+			rows.reduce((sum, row) => sum + Number(row[column]), 0),
+		);
+	}
+
+	const ordered = [...rows].sort((a, b) => Number(b.Count) - Number(a.Count));
+
+	// Rows (by position in `ordered`) of every distinct sequence of the first model column
+	const [keyColumn] = modelColumns;
+	const index = buildColumnIndex(
+		ordered.map((row) =>
+			keyColumn === undefined ? "" : String(row[keyColumn]),
+		),
+	);
+	/** @type {number[][]} */
+	const valueRows = index.values.map(() => []);
+	index.rowValues.forEach((value, position) => {
+		valueRows[value].push(position);
+	});
+
+	/** @type {{ row: CountRow, clustered: CountRow, absorbed: number }[]} */
+	const parents = [];
+	/** @type {Map<number, { row: CountRow, clustered: CountRow, absorbed: number }>} */
+	const parentAt = new Map();
+	/** @type {CountRow[]} */
+	const variants = [];
+	for (const [position, row] of ordered.entries()) {
+		const count = Number(row.Count);
+
+		// The most abundant parent (earliest position) in reach of every model column
+		let parentPosition = Number.POSITIVE_INFINITY;
+		for (const value of searchColumnIndex(
+			index,
+			index.values[index.rowValues[position]],
+			config.max_distance,
+		).keys()) {
+			for (const candidatePosition of valueRows[value]) {
+				const candidate = parentAt.get(candidatePosition);
+				if (
+					candidate &&
+					candidatePosition < parentPosition &&
+					Number(candidate.row.Count) >= config.min_ratio * count &&
+					isWithinDistance(
+						row,
+						candidate.row,
+						modelColumns,
+						config.max_distance,
+					)
+				) {
+					parentPosition = candidatePosition;
+				}
+			}
+		}
+		const parent = parentAt.get(parentPosition);
+
+		if (!parent) {
+			const newParent = { row, clustered: { ...row }, absorbed: 0 };
+			parents.push(newParent);
+			parentAt.set(position, newParent);
+			continue;
+		}
+
+		parent.absorbed++;
+		for (const column of countColumns) {
+			parent.clustered[column] =
+				Number(parent.clustered[column]) + Number(row[column]);
+		}
+		variants.push({
+			...Object.fromEntries(
+				modelColumns.map((column) => [`${column}_Variant`, row[column]]),
+			),
+			...Object.fromEntries(
+				modelColumns.map((column) => [`${column}_Parent`, parent.row[column]]),
+			),
+			Variant_Count: count,
+			Parent_Count: Number(parent.row.Count),
+		});
+	}
+
+	/** @type {CountRow[]} */
+	const clusteredRows = parents.map(({ row, clustered, absorbed }) => {
+		// Recompute frequencies from the cluster counts
+		for (const key of Object.keys(clustered)) {
+			if (!key.endsWith("Frequency")) {
+				continue;
+			}
+			const countColumn = `${key.slice(0, -"Frequency".length)}Count`;
+			const total = columnTotals.get(countColumn);
+			if (total !== undefined) {
+				clustered[key] = total > 0 ? Number(clustered[countColumn]) / total : 0;
+			}
+		}
+		return {
+			...clustered,
+			Parent_Count: Number(row.Count),
+			Absorbed_Variants: absorbed,
+		};
+	});
+	clusteredRows.sort((a, b) => Number(b.Count) - Number(a.Count));
+
+	return { rows: clusteredRows, variants };
+}
+
+/**
+ * Schema of a ClusteringConfig in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const CLUSTERING_CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		max_distance: { type: "integer", min: 0 },
+		min_ratio: { type: "number", min: 1 },
+		variants_outpath: { type: "string" },
+	},
+	required: ["max_distance", "min_ratio"],
+};
+
+export { CLUSTERING_CONFIG_SCHEMA, clusterVariants };
@@ -0,0 +1,237 @@
+import fs from "node:fs";
+
+/**
+ * Expected shape of a config value
+ * - "string": optionally one of `values`, non-empty, a valid regular expression or a readable file (`format`)
+ * - "number" / "integer": optionally within `min`..`max` (inclusive) or above `exclusiveMin`
+ * - "array": `items` of one schema, optionally non-empty or of an exact `length`
+ * - "object": known `properties`, some of them `required`; other fields are reported as unknown
+ * - "record": any keys, `items` as values
+ * @typedef {object} Schema
+ * @property {"string" | "number" | "integer" | "boolean" | "array" | "object" | "record"} type
+ * @property {string[]} [values] - Allowed strings
+ * @property {boolean} [nonEmpty] - Reject empty strings and arrays
+ * @property {"pattern" | "file"} [format] - "pattern": a valid regular expression; "file": an existing, readable file
+ * @property {number} [min] - Smallest allowed number
+ * @property {number} [max] - Largest allowed number
+ * @property {number} [exclusiveMin] - Numbers must be above this
+ * @property {number} [length] - Exact array length
+ * @property {Schema} [items] - Schema of array items or record values
+ * @property {Record<string, Schema>} [properties] - Schema of each known object field
+ * @property {string[]} [required] - Object fields that must be present
+ * @property {(value: any) => string[]} [check] - Rules across fields, run once the value has the right shape; returns the problems found
+ */
+
+/**
+ * Describes the values a schema accepts, e.g. "a number between 0 and 1"
+ * @param {Schema} schema
+ * @returns {string}
+ */
+function describeSchema(schema) {
+	switch (schema.type) {
+		case "string":
+			if (schema.values) {
+				return `one of ${schema.values.map((value) => JSON.stringify(value)).join(", ")}`;
+			}
+			if (schema.format === "file") {
+				return "a path to a readable file";
+			}
+			if (schema.format === "pattern") {
+				return "a regular expression";
+			}
+			return schema.nonEmpty ? "a non-empty string" : "a string";
+		case "number":
+		case "integer": {
+			const noun = schema.type === "number" ? "a number" : "an integer";
+			if (schema.min !== undefined && schema.max !== undefined) {
+				return `${noun} between ${schema.min} and ${schema.max}`;
+			}
+			if (schema.min !== undefined) {
+				return `${noun} of at least ${schema.min}`;
+			}
+			if (schema.exclusiveMin !== undefined) {
+				return `${noun} above ${schema.exclusiveMin}`;
+			}
+			if (schema.max !== undefined) {
+				return `${noun} of at most ${schema.max}`;
+			}
+			return noun;
+		}
+		case "boolean":
+			return "true or false";
+		case "array": {
+			const items = schema.items ? ` of ${describeSchema(schema.items)}` : "";
+			if (schema.length !== undefined) {
+				return `an array of ${schema.length} items${items.replace(/^ of/, ":")}`;
+			}
+			return `${schema.nonEmpty ? "a non-empty array" : "an array"}${items}`;
+		}
+		case "object":
+			return "an object";
+		case "record":
+			return schema.items
+				? `an object with ${describeSchema(schema.items)} as values`
+				: "an object";
+	}
+}
+
+/**
+ * Formats a value for an error message, shortening long ones
+ * @param {unknown} value
+ * @returns {string}
+ */
+function showValue(value) {
+	const shown = JSON.stringify(value) ?? String(value);
+	return shown.length > 60 ? `${shown.slice(0, 57)}...` : shown;
+}
+
+/**
+ * Lists every way a value breaks a schema
+ * @param {Schema} schema
+ * @param {unknown} value
+ * @param {string} [field] - Path of the value in the config, e.g. "input_pairs[0].model_path"
+ * @returns {string[]} - Problems as "field: message"; empty if the value is valid
+ */
+function validateSchema(schema, value, field = "config") {
+	const invalid = [
+		`${field}: expected ${describeSchema(schema)}, got ${showValue(value)}`,
+	];
+	switch (schema.type) {
+		case "string": {
+			if (typeof value !== "string") {
+				return invalid;
+			}
+			if (
+				(schema.values && !schema.values.includes(value)) ||
+				(schema.nonEmpty && value === "")
+			) {
+				return invalid;
+			}
+			if (schema.format === "pattern") {
+				try {
+					new RegExp(value);
+				} catch {
+					return [`${field}: invalid regular expression ${showValue(value)}`];
+				}
+			}
+			if (schema.format === "file") {
+				try {
+					fs.accessSync(value, fs.constants.R_OK);
+					if (!fs.statSync(value).isFile()) {
+						return [`${field}: not a file: ${value}`];
+					}
+				} catch {
+					return [`${field}: file not found or not readable: ${value}`];
+				}
+			}
+			break;
+		}
+		case "number":
+		case "integer": {
+			if (
+				typeof value !== "number" ||
+				!Number.isFinite(value) ||
+				(schema.type === "integer" && !Number.isInteger(value)) ||
+				(schema.min !== undefined && value < schema.min) ||
+				(schema.max !== undefined && value > schema.max) ||
+				(schema.exclusiveMin !== undefined && value <= schema.exclusiveMin)
+			) {
+				return invalid;
+			}
+			break;
+		}
+		case "boolean":
+			if (typeof value !== "boolean") {
+				return invalid;
+			}
+			break;
+		case "array": {
+			if (
+				!Array.isArray(value) ||
+				(schema.nonEmpty && value.length === 0) ||
+				(schema.length !== undefined && value.length !== schema.length)
+			) {
+				return invalid;
+			}
+			const { items } = schema;
+			if (items) {
+				const problems = value.flatMap((item, i) =>
+					validateSchema(items, item, `${field}[${i}]`),
+				);
+				if (problems.length > 0) {
+					return problems;
+				}
+			}
+			break;
+		}
+		case "object":
+		case "record": {
+			if (typeof value !== "object" || value === null || Array.isArray(value)) {
+				return invalid;
+			}
+			/** @type {Record<string, unknown>} */
+			const object = /** @type {any} */ (value);
+			/** @type {string[]} */
+			const problems = [];
+			if (schema.type === "record") {
+				const { items } = schema;
+				for (const [key, item] of Object.entries(object)) {
+					if (items) {
+						problems.push(...validateSchema(items, item, `${field}.${key}`));
+					}
+				}
+			} else {
+				const properties = schema.properties ?? {};
+				for (const key of schema.required ?? []) {
+					if (object[key] === undefined) {
+						problems.push(
+							`${field}.${key}: missing, expected ${describeSchema(properties[key])}`,
+						);
+					}
+				}
+				for (const [key, item] of Object.entries(object)) {
+					if (!(key in properties)) {
+						problems.push(`${field}.${key}: unknown field`);
+					} else if (item !== undefined) {
+						problems.push(
+							...validateSchema(properties[key], item, `${field}.${key}`),
+						);
+					}
+				}
+			}
+			if (problems.length > 0) {
+				return problems;
+			}
+			break;
+		}
+	}
+	return (schema.check?.(value) ?? []).map((problem) => `${field}: ${problem}`);
+}
+
+/**
+ * Reads a JSON config file and checks it against its schema
+ * @param {string} configPath
+ * @param {Schema} schema
+ * @returns {any} - The parsed config
+ * @throws {Error} - Naming every invalid field if the file cannot be read, parsed or validated
+ */
+function loadConfig(configPath, schema) {
+	/** @type {unknown} */
+	let config;
+	try {
+		config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+	} catch (error) {
+		throw new Error(
+			`Cannot read config ${configPath}: ${error instanceof Error ? error.message : error}`,
+		);
+	}
+	const problems = validateSchema(schema, config);
+	if (problems.length > 0) {
+		throw new Error(
+			`Invalid config ${configPath}:\n${problems.map((problem) => `  - ${problem.replace(/^config[.:]\s*/, "")}`).join("\n")}`,
+		);
+	}
+	return config;
+}
+
+export { describeSchema, loadConfig, validateSchema };
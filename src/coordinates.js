@@ -0,0 +1,265 @@
+import fs from "node:fs";
+import readline from "node:readline";
+import { readFastq, reverseComplement } from "./fastq.js";
+import { createTableWriter, readTable } from "./tables.js";
+
+/**
+ * Location of a trimmed hit on the original read
+ * @typedef {object} HitLocation
+ * @property {string} target - Target name of the hit (read ID plus "_frame=N" in "aa" mode)
+ * @property {string} read_id - Read ID
+ * @property {number | null} frame - Winning reading frame (1, 2, 3, -1, -2, -3), null in "dna" mode
+ * @property {"+" | "-"} strand - Read strand the hit lies on
+ * @property {number | null} aa_from - First aligned residue in the translated frame (1-based), null in "dna" mode
+ * @property {number | null} aa_to - Last aligned residue in the translated frame, null in "dna" mode
+ * @property {number} nt_from - First nucleotide of the hit on the read (1-based, forward strand)
+ * @property {number} nt_to - Last nucleotide of the hit on the read (inclusive, forward strand)
+ * @property {string} nt_sequence - Trimmed nucleotide sequence, in coding orientation
+ */
+
+/** Columns of the hit location tables */
+const HIT_COLUMNS = [
+	"Read",
+	"Sample",
+	"Model",
+	"Frame",
+	"Strand",
+	"AA_From",
+	"AA_To",
+	"NT_From",
+	"NT_To",
+	"NT_Sequence",
+];
+
+/** Numeric columns of the hit location tables, "NA" where they do not apply */
+const NUMERIC_HIT_COLUMNS = ["Frame", "AA_From", "AA_To", "NT_From", "NT_To"];
+
+/**
+ * Maps 1-based amino-acid coordinates in a translated frame back to forward-strand nucleotide coordinates
+ * @param {number} frame - Reading frame the residues were translated from
+ * @param {number} aaFrom - First residue (1-based)
+ * @param {number} aaTo - Last residue (inclusive)
+ * @param {number} readLength - Length of the nucleotide read
+ * @returns {{ strand: "+" | "-", nt_from: number, nt_to: number }}
+ */
+function aaToNucleotide(frame, aaFrom, aaTo, readLength) {
+	// Positions on the translated strand (the reverse complement for negative frames)
+	const offset = Math.abs(frame) - 1;
+	const start = offset + 3 * (aaFrom - 1) + 1;
+	const end = offset + 3 * aaTo;
+	if (frame > 0) {
+		return { strand: "+", nt_from: start, nt_to: end };
+	}
+	return {
+		strand: "-",
+		nt_from: readLength - end + 1,
+		nt_to: readLength - start + 1,
+	};
+}
+
+/**
+ * Reads BED rows written for trimming, keyed by read ID
+ * @param {string} bedPath
+ * @param {"aa" | "dna"} mode
+ * @returns {Promise<Map<string, { target: string, frame: number | null, start: number, end: number, strand: string }[]>>}
+ */
+async function readBedByRead(bedPath, mode) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(bedPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+
+	/** @type {Map<string, { target: string, frame: number | null, start: number, end: number, strand: string }[]>} */
+	const byRead = new Map();
+	for await (const line of rl) {
+		if (line.trim() === "") {
+			continue;
+		}
+		const columns = line.split("\t");
+		const target = columns[0];
+		let readId = target;
+		/** @type {number | null} */
+		let frame = null;
+		if (mode === "aa") {
+			const match = target.match(/^(.*)_frame=(-?\d)$/);
+			if (!match) {
+				continue; // Not a six-frame translation target
+			}
+			readId = match[1];
+			frame = Number.parseInt(match[2], 10);
+		}
+		const rows = byRead.get(readId) ?? [];
+		rows.push({
+			target,
+			frame,
+			start: Number.parseInt(columns[1], 10),
+			end: Number.parseInt(columns[2], 10),
+			strand: columns[5] ?? "+",
+		});
+		byRead.set(readId, rows);
+	}
+	return byRead;
+}
+
+/**
+ * Locates every trimmed hit on its original read and writes a hit location table
+ * @param {string} fastqPath - FASTQ batch the hits were found in
+ * @param {string} bedPath - BED file used for trimming (amino-acid coordinates in "aa" mode)
+ * @param {string} outPath - Output table path; the format follows the extension
+ * @param {{ mode: "aa" | "dna", sample: string, model: string }} options
+ * @returns {Promise<void>}
+ */
+async function locateHits(fastqPath, bedPath, outPath, options) {
+	const byRead = await readBedByRead(bedPath, options.mode);
+	const out = createTableWriter(outPath, { columns: HIT_COLUMNS });
+
+	for await (const record of readFastq(fastqPath)) {
+		const rows = byRead.get(record.id);
+		if (!rows) {
+			continue;
+		}
+		for (const row of rows) {
+			const location = locateHit(record.id, record.sequence, row);
+			await out.write({
+				Read: location.read_id,
+				Sample: options.sample,
+				Model: options.model,
+				Frame: location.frame,
+				Strand: location.strand,
+				AA_From: location.aa_from,
+				AA_To: location.aa_to,
+				NT_From: location.nt_from,
+				NT_To: location.nt_to,
+				NT_Sequence: location.nt_sequence,
+			});
+		}
+	}
+
+	await out.close();
+}
+
+/**
+ * Computes the location of a single BED row on its read
+ * @param {string} readId
+ * @param {string} sequence - Nucleotide read sequence
+ * @param {{ target: string, frame: number | null, start: number, end: number, strand: string }} row
+ * @returns {HitLocation}
+ */
+function locateHit(readId, sequence, row) {
+	if (row.frame === null) {
+		// nhmmer hits are already in nucleotide coordinates
+		const slice = sequence.slice(row.start, row.end);
+		const strand = row.strand === "-" ? "-" : "+";
+		return {
+			target: row.target,
+			read_id: readId,
+			frame: null,
+			strand,
+			aa_from: null,
+			aa_to: null,
+			nt_from: row.start + 1,
+			nt_to: row.end,
+			nt_sequence: strand === "-" ? reverseComplement(slice) : slice,
+		};
+	}
+
+	const aa_from = row.start + 1; // BED is 0-based
+	const aa_to = row.end;
+	const { strand, nt_from, nt_to } = aaToNucleotide(
+		row.frame,
+		aa_from,
+		aa_to,
+		sequence.length,
+	);
+	const slice = sequence.slice(nt_from - 1, nt_to);
+	return {
+		target: row.target,
+		read_id: readId,
+		frame: row.frame,
+		strand,
+		aa_from,
+		aa_to,
+		nt_from,
+		nt_to,
+		nt_sequence: strand === "-" ? reverseComplement(slice) : slice,
+	};
+}
+
+/**
+ * Key of one trimmed hit: its target and 1-based coordinates, as in the seqkit subseq header without the strand
+ * Hits are keyed this way because a target can carry more than one selected domain.
+ * @param {string} target - Target name (read ID plus "_frame=N" in "aa" mode)
+ * @param {number} from - First residue (or base) of the hit on the target
+ * @param {number} to - Last residue (or base) of the hit on the target
+ * @returns {string}
+ */
+function hitKeyOf(target, from, to) {
+	return `${target}_${from}-${to}`;
+}
+
+/**
+ * Loads a hit location table keyed by hit (see hitKeyOf)
+ * @param {string} hitsPath
+ * @returns {Promise<Map<string, { frame: string, strand: string, nt_from: number, nt_to: number, nt_sequence: string }>>}
+ */
+async function readHitLocations(hitsPath) {
+	/** @type {Map<string, { frame: string, strand: string, nt_from: number, nt_to: number, nt_sequence: string }>} */
+	const locations = new Map();
+	for await (const row of readTable(hitsPath)) {
+		const {
+			Read: read,
+			Frame: frame,
+			Strand: strand,
+			AA_From: aa_from,
+			AA_To: aa_to,
+			NT_From: nt_from,
+			NT_To: nt_to,
+			NT_Sequence: nt_sequence,
+		} = row;
+		// Targets are trimmed on residue coordinates in "aa" mode and base coordinates in "dna" mode
+		const key =
+			frame === "NA"
+				? hitKeyOf(read, Number(nt_from), Number(nt_to))
+				: hitKeyOf(`${read}_frame=${frame}`, Number(aa_from), Number(aa_to));
+		locations.set(key, {
+			frame,
+			strand,
+			nt_from: Number(nt_from),
+			nt_to: Number(nt_to),
+			nt_sequence,
+		});
+	}
+	return locations;
+}
+
+/**
+ * Combines per-batch hit location tables into one table; the format and gzip compression follow the extension
+ * @param {string[]} hitsPaths - Per-batch tables, in output order
+ * @param {string} outPath
+ * @returns {Promise<void>}
+ */
+async function writeHitTable(hitsPaths, outPath) {
+	const out = createTableWriter(outPath, {
+		columns: HIT_COLUMNS,
+		sequenceColumns: ["NT_Sequence"],
+	});
+	for (const hitsPath of hitsPaths) {
+		for await (const row of readTable(hitsPath)) {
+			/** @type {import("./tables.js").TableRow} */
+			const hit = { ...row };
+			for (const column of NUMERIC_HIT_COLUMNS) {
+				hit[column] = row[column] === "NA" ? null : Number(row[column]);
+			}
+			await out.write(hit);
+		}
+	}
+	await out.close();
+}
+
+export {
+	aaToNucleotide,
+	hitKeyOf,
+	locateHits,
+	readHitLocations,
+	writeHitTable,
+};
@@ -0,0 +1,830 @@
+import {
+	createExternalSorter,
+	estimateBytes,
+	mergeRuns,
+	removeRuns,
+} from "./external_sort.js";
+import { countMolecules } from "./umi.js";
+
+/**
+ * Trimmed sequence of one model hit on one read
+ * @typedef {object} SeqEntry
+ * @property {string} model - Model name
+ * @property {string} sequence - Trimmed sequence
+ * @property {string} [frame] - Winning reading frame ("NA" in dna mode)
+ * @property {string} [strand] - Read strand of the hit
+ * @property {number} [nt_from] - First nucleotide of the hit on the read
+ * @property {number} [nt_to] - Last nucleotide of the hit on the read
+ * @property {string} [nt_sequence] - Trimmed nucleotide sequence
+ * @property {string[]} [rejected] - Reasons the sequence looks non-productive, if it does
+ * @property {Record<string, string | null>} [regions] - Residues of each named model region (null if not covered)
+ * @property {{ hmm_from: number, a2m: string }} [alignment] - Model alignment of the hit, kept for numbering
+ * @property {number} [domain] - Position of the hit among the domains of its model on the read (models keeping several domains)
+ * @property {number} [linker] - For a linker, the domain it follows; `sequence` is then the linker
+ */
+
+/**
+ * Domains kept per read for one model
+ * @typedef {object} DomainLayout
+ * @property {number} max_domains - Domains kept per read; above 1 they are counted as `{model}_1`, `{model}_2`, ...
+ * @property {boolean} linkers - Whether the residues between consecutive domains are counted as `{model}_Linker_{n}`
+ */
+
+/**
+ * Reads dropped and counted by countSeqs for one sample
+ * @typedef {object} CountingFunnel
+ * @property {number} dropped_missing_model - Reads without a hit for every model
+ * @property {number} dropped_nonproductive - Reads dropped by the "drop" productivity policy
+ * @property {number} dropped_missing_region - Reads missing a region selected by `countRegions`
+ * @property {number} counted - Reads counted
+ */
+
+/**
+ * @typedef {object} CountOptions
+ * @property {string[]} [models] - Names of all models searched; reads need a hit for each (default: models seen so far while counting)
+ * @property {boolean} [includeNucleotides] - Count protein + nucleotide combinations and add `{model}_nt` columns
+ * @property {Map<string, string>} [umis] - UMI per read, keyed like seqMap ("readId|sample")
+ * @property {boolean} [mergeUmiMismatches] - Treat UMIs one mismatch apart as the same molecule
+ * @property {string[]} [samples] - Sample names in column order; counts reads per sample instead of pooling them only
+ * @property {Map<string, CountingFunnel>} [funnel] - Filled with the reads dropped and counted per sample
+ * @property {"keep" | "drop" | "flag"} [productivity] - Handling of reads with a non-productive sequence (default "keep")
+ * @property {string[]} [countRegions] - Count combinations of these `{model}_{region}` columns instead of whole sequences
+ * @property {Record<string, DomainLayout>} [domains] - Models keeping several domains per read
+ * @property {boolean} [unpaired] - Count only the reads missing a model instead, with "NA" for its sequences
+ */
+
+/**
+ * Options of the external counting backend; UMIs arrive as items instead of through `umis`
+ * @typedef {Omit<CountOptions, "umis"> & { models: string[], withUmis?: boolean, dir: string, budgetBytes: number }} ExternalCountOptions
+ */
+
+/**
+ * Input of the external counting backend: an entry of a read, or the UMI of a read
+ * `ord` numbers the entries in the order they would be added to a seqMap.
+ * @typedef {{ read: string, sample: string, ord: number, entry: SeqEntry } | { read: string, sample: string, umi: string }} CountItem
+ */
+
+/**
+ * Entries of one read as they come out of the external sort, with its UMI
+ * @typedef {{ target_name: string, ord: number, umi: string | undefined, entries: SeqEntry[] }} ReadGroup
+ */
+
+/**
+ * Backend and memory budget of the counting step
+ * - "memory": keep every read in memory and count at the end (default)
+ * - "external": group reads and aggregate counts through sorted runs on disk, keeping memory below the budget
+ * @typedef {object} CountingConfig
+ * @property {"memory" | "external"} [backend] - Counting backend (default "memory")
+ * @property {number} [memory_budget_mb] - Approximate memory for buffered reads and counts in the "external" backend (default 512)
+ */
+
+/**
+ * Sequences of one read that passed the counting filters
+ * @typedef {object} ReadSummary
+ * @property {Record<string, string>} sequences - Trimmed sequence per model
+ * @property {Record<string, string>} ntSequences - Trimmed nucleotide sequence per model ("NA" if unknown)
+ * @property {Record<string, string | null>} regions - `{model}_{region}` columns of the read
+ * @property {boolean} productive - Whether no sequence of the read was flagged non-productive
+ */
+
+/**
+ * Reads sharing a sequence combination; the sequences are those of its first read
+ * @typedef {object} Combination
+ * @property {Record<string, string>} sequences
+ * @property {Record<string, string>} ntSequences
+ * @property {Record<string, string | null>} regions
+ * @property {number} count - Reads counted
+ * @property {number} nonproductive - Non-productive reads among them
+ * @property {Map<string, number>} umiCounts - Reads per UMI
+ * @property {Map<string, number>} sampleCounts - Reads per sample
+ * @property {Map<string, Map<string, number>>} sampleUmiCounts - Reads per UMI per sample
+ */
+
+/**
+ * Flattens the named regions of a read's entries into `{model}_{region}` columns
+ * @param {SeqEntry[]} entries - Entries of one read, one per model
+ * @returns {Record<string, string | null>}
+ */
+function regionColumnsOf(entries) {
+	/** @type {Record<string, string | null>} */
+	const columns = {};
+	for (const { model, regions } of entries) {
+		const modelColumn = model.replace(/\.[^.]+$/, ""); // Remove file extension
+		for (const [region, sequence] of Object.entries(regions ?? {})) {
+			columns[`${modelColumn}_${region}`] = sequence;
+		}
+	}
+	return columns;
+}
+
+/**
+ * Sequence columns of a model in read order: the model itself, or its domains with the linkers between them
+ * @param {string} model
+ * @param {DomainLayout} [layout]
+ * @returns {string[]}
+ */
+function domainColumns(model, layout) {
+	if (!layout || layout.max_domains < 2) {
+		return [model];
+	}
+	return Array.from({ length: layout.max_domains }, (_, i) => [
+		...(i > 0 && layout.linkers ? [`${model}_Linker_${i}`] : []),
+		`${model}_${i + 1}`,
+	]).flat();
+}
+
+/**
+ * Gets (and registers) the counting funnel of a sample
+ * @param {Map<string, CountingFunnel> | undefined} funnels
+ * @param {string} sample
+ * @returns {CountingFunnel}
+ */
+function funnelOf(funnels, sample) {
+	const funnel = funnels?.get(sample) ?? {
+		dropped_missing_model: 0,
+		dropped_nonproductive: 0,
+		dropped_missing_region: 0,
+		counted: 0,
+	};
+	funnels?.set(sample, funnel);
+	return funnel;
+}
+
+/**
+ * Applies the counting filters to the entries of one read
+ * The last entry of a model (or domain) wins; models of the read are added to `allModels` after checking it.
+ * Models keeping several domains fill every domain and linker column, "NA" where the read has none.
+ * With `unpaired`, reads with every model are skipped (`dropped` null) and the others are counted,
+ * "NA" filling the models they miss and the selected regions of those models.
+ * @param {SeqEntry[]} entries
+ * @param {Set<string>} allModels - Models every read needs a hit for
+ * @param {CountOptions} options
+ * @returns {{ dropped: keyof CountingFunnel | null } | { read: ReadSummary }}
+ */
+function summarizeRead(entries, allModels, options) {
+	/** @type {Record<string, string>} */
+	const sequences = {};
+	/** @type {Record<string, string>} */
+	const ntSequences = {};
+	/** @type {Set<string>} */
+	const readModels = new Set();
+	let productive = true;
+	for (const entry of entries) {
+		const { model, sequence, nt_sequence, rejected, domain, linker } = entry;
+		if (rejected) {
+			productive = false;
+		}
+		const layout = options.domains?.[model];
+		if (!layout) {
+			sequences[model] = sequence;
+			ntSequences[model] = nt_sequence ?? "NA";
+			readModels.add(model);
+			continue;
+		}
+
+		// Reserve the columns of every domain and linker, in read order
+		for (const column of domainColumns(model, layout)) {
+			sequences[column] ??= "NA";
+			if (!column.startsWith(`${model}_Linker_`)) {
+				ntSequences[column] ??= "NA";
+			}
+		}
+		if (linker !== undefined) {
+			sequences[`${model}_Linker_${linker}`] = sequence;
+		} else if (domain !== undefined && domain <= layout.max_domains) {
+			sequences[`${model}_${domain}`] = sequence;
+			ntSequences[`${model}_${domain}`] = nt_sequence ?? "NA";
+			readModels.add(model);
+		}
+	}
+
+	const missingModel = Array.from(allModels).some(
+		(model) => !readModels.has(model),
+	);
+	for (const model of readModels) {
+		allModels.add(model);
+	}
+	if (options.unpaired) {
+		if (!missingModel) {
+			return { dropped: null };
+		}
+	} else if (missingModel) {
+		return { dropped: "dropped_missing_model" };
+	}
+	if (!productive && options.productivity === "drop") {
+		return { dropped: "dropped_nonproductive" };
+	}
+	const regions = regionColumnsOf(entries);
+	if (options.unpaired) {
+		// Every model column in model order, "NA" for the models the read misses
+		const columns = Array.from(allModels).flatMap((model) =>
+			domainColumns(model, options.domains?.[model]),
+		);
+		return {
+			read: {
+				sequences: Object.fromEntries(
+					columns.map((column) => [column, sequences[column] ?? "NA"]),
+				),
+				ntSequences: Object.fromEntries(
+					columns
+						.filter((column) => !/_Linker_\d+$/.test(column))
+						.map((column) => [column, ntSequences[column] ?? "NA"]),
+				),
+				regions,
+				productive,
+			},
+		};
+	}
+	if (options.countRegions?.some((column) => !regions[column])) {
+		return { dropped: "dropped_missing_region" };
+	}
+	return { read: { sequences, ntSequences, regions, productive } };
+}
+
+/**
+ * Key of the sequence (or selected region) combination of a read
+ * Domains are keyed by their position, so the same domains in another order are another combination.
+ * @param {ReadSummary} read
+ * @param {string[]} models - Model names in key order
+ * @param {CountOptions} options
+ * @returns {string}
+ */
+function seqKeyOf(read, models, options) {
+	if (options.countRegions) {
+		return options.countRegions
+			.map((column) => `${column}:${read.regions[column] ?? "NA"}`)
+			.join("|");
+	}
+	return models
+		.flatMap((model) => domainColumns(model, options.domains?.[model]))
+		.map((column) =>
+			options.includeNucleotides
+				? `${column}:${read.sequences[column]}/${read.ntSequences[column]}`
+				: `${column}:${read.sequences[column]}`,
+		)
+		.join("|");
+}
+
+/**
+ * Starts a combination from its first read
+ * @param {ReadSummary} read
+ * @returns {Combination}
+ */
+function createCombination({ sequences, ntSequences, regions }) {
+	return {
+		sequences,
+		ntSequences,
+		regions,
+		count: 0,
+		nonproductive: 0,
+		umiCounts: new Map(),
+		sampleCounts: new Map(),
+		sampleUmiCounts: new Map(),
+	};
+}
+
+/**
+ * Rough heap cost of one new Map entry keyed by a string
+ * @param {string} key
+ * @returns {number}
+ */
+function mapEntryBytes(key) {
+	return 2 * key.length + 64;
+}
+
+/**
+ * Adds reads to a combination
+ * @param {Combination} combination
+ * @param {{ count: number, nonproductive: number, umiCounts: Iterable<[string, number]>, sampleCounts: Iterable<[string, number]>, sampleUmiCounts: Iterable<[string, Iterable<[string, number]>]> }} reads
+ * @returns {number} - Estimated bytes the UMI and per-sample maps of the combination grew by
+ */
+function addReads(combination, reads) {
+	combination.count += reads.count;
+	combination.nonproductive += reads.nonproductive;
+	let grownBytes = 0;
+	for (const [umi, count] of reads.umiCounts) {
+		const previous = combination.umiCounts.get(umi);
+		if (previous === undefined) {
+			grownBytes += mapEntryBytes(umi);
+		}
+		combination.umiCounts.set(umi, (previous ?? 0) + count);
+	}
+	for (const [sample, count] of reads.sampleCounts) {
+		const previous = combination.sampleCounts.get(sample);
+		if (previous === undefined) {
+			grownBytes += mapEntryBytes(sample);
+		}
+		combination.sampleCounts.set(sample, (previous ?? 0) + count);
+	}
+	for (const [sample, umiCounts] of reads.sampleUmiCounts) {
+		let sampleUmis = combination.sampleUmiCounts.get(sample);
+		if (!sampleUmis) {
+			sampleUmis = new Map();
+			combination.sampleUmiCounts.set(sample, sampleUmis);
+			grownBytes += mapEntryBytes(sample) + mapEntryBytes("");
+		}
+		for (const [umi, count] of umiCounts) {
+			const previous = sampleUmis.get(umi);
+			if (previous === undefined) {
+				grownBytes += mapEntryBytes(umi);
+			}
+			sampleUmis.set(umi, (previous ?? 0) + count);
+		}
+	}
+	return grownBytes;
+}
+
+/**
+ * Adds one read of a sample, with its UMI if it has one
+ * @param {Combination} combination
+ * @param {ReadSummary} read
+ * @param {string} sample
+ * @param {string | undefined} umi
+ * @param {boolean} perSample - Whether reads are also counted per sample
+ * @returns {number} - Estimated bytes the UMI and per-sample maps of the combination grew by
+ */
+function addRead(combination, read, sample, umi, perSample) {
+	return addReads(combination, {
+		count: 1,
+		nonproductive: read.productive ? 0 : 1,
+		umiCounts: umi ? [[umi, 1]] : [],
+		sampleCounts: perSample ? [[sample, 1]] : [],
+		sampleUmiCounts: perSample && umi ? [[sample, [[umi, 1]]]] : [],
+	});
+}
+
+/**
+ * Formats a combination as a counts row
+ * @param {Combination} combination
+ * @param {{ totalCount: number, sampleTotals: Map<string, number>, withUmis: boolean }} totals
+ * @param {CountOptions} options
+ * @returns {{ [key: string]: string | number }}
+ */
+function formatCountRow(combination, totals, options) {
+	const {
+		sequences,
+		ntSequences,
+		regions,
+		count,
+		nonproductive,
+		umiCounts,
+		sampleCounts,
+		sampleUmiCounts,
+	} = combination;
+	const { totalCount, sampleTotals, withUmis } = totals;
+	return {
+		...(options.countRegions
+			? Object.fromEntries(
+					options.countRegions.map((column) => [
+						column,
+						regions[column] ?? "NA",
+					]),
+				)
+			: {
+					...Object.fromEntries(
+						Object.entries(sequences).flatMap(([model, seq]) => {
+							const column = `${model.replace(/\.[^.]+$/, "")}`; // Remove file extension
+							// Linkers have no nucleotide column
+							return options.includeNucleotides && model in ntSequences
+								? [
+										[column, seq],
+										[`${column}_nt`, ntSequences[model]],
+									]
+								: [[column, seq]];
+						}),
+					),
+					...Object.fromEntries(
+						Object.entries(regions).map(([column, seq]) => [
+							column,
+							seq ?? "NA",
+						]),
+					),
+				}),
+		// Per-sample columns; samples without the combination get 0
+		...Object.fromEntries(
+			Array.from(sampleTotals).flatMap(([sample, sampleTotal]) => {
+				const sampleCount = sampleCounts.get(sample) ?? 0;
+				return [
+					[`${sample}_Count`, sampleCount],
+					...(withUmis
+						? [
+								[
+									`${sample}_UMI_Count`,
+									countMolecules(
+										sampleUmiCounts.get(sample) ?? new Map(),
+										Boolean(options.mergeUmiMismatches),
+									),
+								],
+							]
+						: []),
+					[
+						`${sample}_Frequency`,
+						sampleTotal > 0 ? sampleCount / sampleTotal : 0,
+					],
+				];
+			}),
+		),
+		Count: count,
+		...(withUmis
+			? {
+					UMI_Count: countMolecules(
+						umiCounts,
+						Boolean(options.mergeUmiMismatches),
+					),
+				}
+			: {}),
+		Total_Count: totalCount,
+		Frequency: count / totalCount,
+		...(options.productivity === "flag"
+			? { Productive: nonproductive === 0 ? "TRUE" : "FALSE" }
+			: {}),
+	};
+}
+
+/**
+ * Define function to count occurrences of unique sequence combinations
+ * With `umis`, reads sharing a UMI within a sequence combination collapse to one molecule (`UMI_Count`).
+ * With `samples`, each sample also gets `{sample}_Count` and `{sample}_Frequency` columns (0 when absent).
+ * With the "flag" productivity policy, combinations seen in any non-productive read get `Productive` FALSE.
+ * Entries with regions add `{model}_{region}` columns ("NA" where the hit does not cover the region).
+ * With `countRegions`, only those region columns are counted and output; reads missing one are dropped.
+ * With `unpaired`, only reads missing a model are counted (pass no `funnel`, they are already in it).
+ * Rows are sorted by count; ties keep the order of their first read in `seqMap`.
+ * @param {Map<string, SeqEntry[]>} seqMap - Entries keyed by "readId|sample"
+ * @param {CountOptions} [options]
+ * @returns {Promise<Array<{ [key: string]: string | number }>>}
+ */
+async function countSeqs(seqMap, options = {}) {
+	try {
+		const allModels = new Set(options.models);
+
+		// Apply the counting filters to every read
+		/** @type {Array<{ target_name: string, read: ReadSummary }>} */
+		const reads = [];
+		for (const [target_name, entries] of seqMap) {
+			const sample = target_name.slice(target_name.indexOf("|") + 1);
+			const funnel = funnelOf(options.funnel, sample);
+			const summary = summarizeRead(entries, allModels, options);
+			if ("dropped" in summary) {
+				if (summary.dropped) {
+					funnel[summary.dropped]++;
+				}
+				continue;
+			}
+			funnel.counted++;
+			reads.push({ target_name, read: summary.read });
+		}
+
+		// Convert Set to an array for consistent ordering of models
+		const allModelNames = Array.from(allModels);
+
+		/** @type {Map<string, Combination>} */
+		const seqCounts = new Map();
+		let readsWithoutUmi = 0;
+		/** @type {Map<string, number>} */
+		const sampleTotals = new Map(
+			(options.samples ?? []).map((sample) => [sample, 0]),
+		);
+
+		// Count unique sequence combinations across all reads
+		for (const { target_name, read } of reads) {
+			const readId = target_name.replace(/\|.*$/, "");
+			const sample = target_name.slice(readId.length + 1);
+			const umi = options.umis?.get(target_name);
+			const seqKey = seqKeyOf(read, allModelNames, options);
+			const combination = seqCounts.get(seqKey) ?? createCombination(read);
+			seqCounts.set(seqKey, combination);
+			addRead(combination, read, sample, umi, Boolean(options.samples));
+			if (options.samples) {
+				sampleTotals.set(sample, (sampleTotals.get(sample) ?? 0) + 1);
+			}
+			if (!umi && options.umis) {
+				readsWithoutUmi++;
+			}
+		}
+
+		if (readsWithoutUmi > 0) {
+			console.log(
+				`${readsWithoutUmi} reads without a UMI are excluded from UMI_Count`,
+			);
+		}
+
+		const totalCount = Array.from(seqCounts.values()).reduce(
+			(sum, combination) => sum + combination.count,
+			0,
+		);
+
+		// Convert results to sorted array
+		const totals = {
+			totalCount,
+			sampleTotals,
+			withUmis: Boolean(options.umis),
+		};
+		return Array.from(seqCounts.values())
+			.sort((a, b) => b.count - a.count)
+			.map((combination) => formatCountRow(combination, totals, options));
+	} catch (error) {
+		console.error("Error processing sequence counts:", error);
+		throw error;
+	}
+}
+
+/**
+ * Combination as written to a run file, with the key it is merged on and the position of its first read
+ * @typedef {object} StoredCombination
+ * @property {string} key
+ * @property {number} rank - `ord` of the first read of the combination
+ * @property {Record<string, string>} sequences
+ * @property {Record<string, string>} ntSequences
+ * @property {Record<string, string | null>} regions
+ * @property {number} count
+ * @property {number} nonproductive
+ * @property {Array<[string, number]>} umiCounts
+ * @property {Array<[string, number]>} sampleCounts
+ * @property {Array<[string, Array<[string, number]>]>} sampleUmiCounts
+ */
+
+/**
+ * @param {Combination} combination
+ * @param {string} key
+ * @param {number} rank
+ * @returns {StoredCombination}
+ */
+function storeCombination(combination, key, rank) {
+	return {
+		key,
+		rank,
+		sequences: combination.sequences,
+		ntSequences: combination.ntSequences,
+		regions: combination.regions,
+		count: combination.count,
+		nonproductive: combination.nonproductive,
+		umiCounts: Array.from(combination.umiCounts),
+		sampleCounts: Array.from(combination.sampleCounts),
+		sampleUmiCounts: Array.from(
+			combination.sampleUmiCounts,
+			([sample, umiCounts]) => [sample, Array.from(umiCounts)],
+		),
+	};
+}
+
+/**
+ * @param {StoredCombination} stored
+ * @returns {Combination}
+ */
+function loadCombination(stored) {
+	const combination = createCombination({ ...stored, productive: true });
+	addReads(combination, stored);
+	return combination;
+}
+
+/**
+ * Orders count items by read ID, then sample and entry order; the UMI of a read comes first
+ * @param {CountItem} a
+ * @param {CountItem} b
+ * @returns {number}
+ */
+function compareItems(a, b) {
+	if (a.read !== b.read) {
+		return a.read < b.read ? -1 : 1;
+	}
+	if (a.sample !== b.sample) {
+		return a.sample < b.sample ? -1 : 1;
+	}
+	return ("umi" in a ? -1 : a.ord) - ("umi" in b ? -1 : b.ord);
+}
+
+/**
+ * Orders stored combinations by key
+ * @param {StoredCombination} a
+ * @param {StoredCombination} b
+ * @returns {number}
+ */
+function compareKeys(a, b) {
+	return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+}
+
+/**
+ * Orders stored combinations like the counts: by count, then by their first read
+ * @param {StoredCombination} a
+ * @param {StoredCombination} b
+ * @returns {number}
+ */
+function compareCounts(a, b) {
+	return b.count - a.count || a.rank - b.rank;
+}
+
+/**
+ * Counts sequence combinations like countSeqs without holding every read in memory
+ * Entries are grouped into reads through an external sort on read ID; combinations are aggregated in
+ * memory until the budget is reached, spilled as runs sorted by key, then merged and sorted by count.
+ * Rows are identical to those of countSeqs on a seqMap filled with the same entries in `ord` order.
+ * @param {AsyncIterable<CountItem>} items - Entries and UMIs of all reads
+ * @param {ExternalCountOptions} options
+ * @returns {Promise<{ columns: string[], rows: () => AsyncGenerator<{ [key: string]: string | number }> }>} - `rows` can be iterated more than once
+ */
+async function countSeqsExternal(items, options) {
+	// Half of the budget buffers items being sorted, the other half aggregates combinations
+	const budgetBytes = options.budgetBytes / 2;
+	const { dir } = options;
+	const perSample = Boolean(options.samples);
+
+	// Group the entries of every read
+	const itemSorter = createExternalSorter(compareItems, {
+		dir,
+		name: "reads",
+		budgetBytes,
+	});
+	for await (const item of items) {
+		await itemSorter.add(item);
+	}
+	const itemRuns = await itemSorter.finish();
+
+	const allModels = new Set(options.models);
+	/** @type {Map<string, number>} */
+	const sampleTotals = new Map(
+		(options.samples ?? []).map((sample) => [sample, 0]),
+	);
+	let readsWithoutUmi = 0;
+
+	/** @type {Map<string, { combination: Combination, rank: number }>} */
+	let aggregated = new Map();
+	let aggregatedBytes = 0;
+	const combinationSorter = createExternalSorter(compareKeys, {
+		dir,
+		name: "combinations",
+		budgetBytes,
+	});
+	const spill = async () => {
+		for (const [key, { combination, rank }] of aggregated) {
+			await combinationSorter.add(storeCombination(combination, key, rank));
+		}
+		aggregated = new Map();
+		aggregatedBytes = 0;
+	};
+
+	/**
+	 * Counts the entries of one read
+	 * @param {ReadGroup} group
+	 */
+	const countRead = async ({ target_name, ord, umi, entries }) => {
+		const sample = target_name.slice(target_name.indexOf("|") + 1);
+		const funnel = funnelOf(options.funnel, sample);
+		const summary = summarizeRead(entries, allModels, options);
+		if ("dropped" in summary) {
+			if (summary.dropped) {
+				funnel[summary.dropped]++;
+			}
+			return;
+		}
+		funnel.counted++;
+
+		const { read } = summary;
+		const key = seqKeyOf(read, options.models, options);
+		let partial = aggregated.get(key);
+		if (!partial) {
+			partial = { combination: createCombination(read), rank: ord };
+			aggregated.set(key, partial);
+			aggregatedBytes +=
+				estimateBytes(JSON.stringify(read)) + mapEntryBytes(key);
+		} else if (ord < partial.rank) {
+			// Keep the sequences of the read that comes first in entry order
+			Object.assign(partial.combination, {
+				sequences: read.sequences,
+				ntSequences: read.ntSequences,
+				regions: read.regions,
+			});
+			partial.rank = ord;
+		}
+		aggregatedBytes += addRead(
+			partial.combination,
+			read,
+			sample,
+			umi,
+			perSample,
+		);
+		if (perSample) {
+			sampleTotals.set(sample, (sampleTotals.get(sample) ?? 0) + 1);
+		}
+		if (!umi && options.withUmis) {
+			readsWithoutUmi++;
+		}
+		if (aggregatedBytes >= budgetBytes) {
+			await spill();
+		}
+	};
+
+	// Items arrive grouped by read ID and sample, the read's UMI first, then its entries in seqMap order
+	let current = /** @type {ReadGroup | null} */ (null);
+	/** @type {string | null} */
+	let umiTarget = null;
+	/** @type {string | undefined} */
+	let umi;
+	for await (const item of mergeRuns(itemRuns, compareItems)) {
+		const target_name = `${item.read}|${item.sample}`;
+		if ("umi" in item) {
+			umiTarget = target_name;
+			umi = item.umi;
+			continue;
+		}
+		if (current?.target_name !== target_name) {
+			if (current) {
+				await countRead(current);
+			}
+			current = {
+				target_name,
+				ord: item.ord,
+				umi: umiTarget === target_name ? umi : undefined,
+				entries: [],
+			};
+		}
+		current.entries.push(item.entry);
+	}
+	if (current) {
+		await countRead(current);
+	}
+	await spill();
+	removeRuns(itemRuns);
+
+	if (readsWithoutUmi > 0) {
+		console.log(
+			`${readsWithoutUmi} reads without a UMI are excluded from UMI_Count`,
+		);
+	}
+
+	// Merge the partial counts of every combination and sort the combinations by count
+	const countSorter = createExternalSorter(compareCounts, {
+		dir,
+		name: "counts",
+		budgetBytes,
+	});
+	let totalCount = 0;
+	const combinationRuns = await combinationSorter.finish();
+	/** @type {StoredCombination | null} */
+	let merged = null;
+	/** @type {Combination | null} */
+	let combination = null;
+	const addMerged = async () => {
+		if (merged && combination) {
+			totalCount += combination.count;
+			await countSorter.add(
+				storeCombination(combination, merged.key, merged.rank),
+			);
+		}
+	};
+	for await (const stored of mergeRuns(combinationRuns, compareKeys)) {
+		if (merged?.key !== stored.key || !combination) {
+			await addMerged();
+			merged = stored;
+			combination = loadCombination(stored);
+			continue;
+		}
+		addReads(combination, stored);
+		if (stored.rank < merged.rank) {
+			Object.assign(combination, {
+				sequences: stored.sequences,
+				ntSequences: stored.ntSequences,
+				regions: stored.regions,
+			});
+			merged = stored;
+		}
+	}
+	await addMerged();
+	removeRuns(combinationRuns);
+	const countRuns = await countSorter.finish();
+
+	const totals = {
+		totalCount,
+		sampleTotals,
+		withUmis: Boolean(options.withUmis),
+	};
+	const rows = async function* () {
+		for await (const stored of mergeRuns(countRuns, compareCounts)) {
+			yield formatCountRow(loadCombination(stored), totals, options);
+		}
+	};
+
+	// Columns of all rows, in order of first appearance
+	/** @type {Set<string>} */
+	const columns = new Set();
+	for await (const row of rows()) {
+		for (const column of Object.keys(row)) {
+			columns.add(column);
+		}
+	}
+	return { columns: Array.from(columns), rows };
+}
+
+/**
+ * Schema of a CountingConfig in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const COUNTING_CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		backend: { type: "string", values: ["memory", "external"] },
+		memory_budget_mb: { type: "number", exclusiveMin: 0 },
+	},
+};
+
+export { COUNTING_CONFIG_SCHEMA, countSeqs, countSeqsExternal, domainColumns };
@@ -1,11 +1,35 @@
-import * as node_fs from "node:fs";
 import yargs from "yargs/yargs";
+import { CLUSTERING_CONFIG_SCHEMA } from "./cluster.js";
+import { loadConfig } from "./config_schema.js";
+import { COUNTING_CONFIG_SCHEMA } from "./counting.js";
+import { HIT_SELECTION_SCHEMA } from "./domtblout.js";
+import { NUMBERING_CONFIG_SCHEMA } from "./numbering.js";
+import { PRODUCTIVITY_CONFIG_SCHEMA } from "./productivity.js";
+import { READ_PAIRING_CONFIG_SCHEMA } from "./read_ids.js";
+import { REGION_MAP_SCHEMA } from "./regions.js";
+import { UMI_CONFIG_SCHEMA } from "./umi.js";
+
+/** @typedef {import("./config_schema.js").Schema} Schema */
 
 /**
  * Represents a pair of input files for the pipeline
  * @typedef {object} InputPair
  * @property {string} fastq_path - Path to the FASTQ file
  * @property {string} model_path - Path to the corresponding HMM model
+ * @property {string} [fastq_path_r2] - Optional path to the R2 mate file; mates are merged before translation
+ * @property {"aa" | "dna"} [mode] - Search translated reads with hmmsearch ("aa") or raw reads with nhmmer ("dna"); detected from the model if omitted
+ * @property {string} [sample_name] - Sample the reads belong to (defaults to the FASTQ file name); pairs sharing a FASTQ file should share it
+ * @property {import("./regions.js").RegionMap} [regions] - Named regions of the model as ranges of match-state positions ("aa" mode); adds `{model}_{region}` columns
+ * @property {number} [max_domains] - Keep up to this many non-overlapping domains per read ("aa" mode, default 1); counted as `{model}_1`, `{model}_2`, ...
+ * @property {boolean} [linkers] - Count the residues between consecutive domains as `{model}_Linker_{n}` columns (needs max_domains above 1)
+ */
+
+/**
+ * Options for merging paired-end reads
+ * @typedef {object} MergePairsConfig
+ * @property {number} [min_overlap] - Minimum overlap between mates (default 20)
+ * @property {number} [max_mismatch_rate] - Maximum mismatch fraction within the overlap (default 0.1)
+ * @property {"discard" | "keep_r1" | "keep_both"} [unmerged_policy] - Handling of mates that do not overlap (default "discard")
  */
 
 /**
@@ -14,93 +38,113 @@ import yargs from "yargs/yargs";
  * @property {number} min_quality - Minimum quality threshold for filtering reads
  * @property {number} hmm_coverage - Minimum required model coverage for hmmsearch hits
  * @property {InputPair[]} input_pairs - List of FASTQ and model file pairs to process
+ * @property {MergePairsConfig} [merge_pairs] - Options for merging R1/R2 mates
+ * @property {number} [max_parallel] - Maximum number of split batches processed at the same time (default 1)
+ * @property {number} [chunk_size] - Number of reads per split FASTQ batch (default 500000)
+ * @property {import("./domtblout.js").HitSelection} [hit_selection] - Filters and ranking rules for choosing the best hmmsearch hit per read
+ * @property {number} [domain_score_threshold] - Domain bit score threshold passed to hmmsearch as --domT
+ * @property {string} [hits_outpath] - Path to write the winning frame, strand and read coordinates of every hit
+ * @property {string} [alignments_outpath] - Path to write every best hit placed on the match states of its model ("aa" mode)
+ * @property {boolean} [output_nucleotides] - Add trimmed nucleotide sequences (`{model}_nt` columns) to the counts
+ * @property {string} [work_dir] - Persistent work directory; completed steps are checkpointed there and skipped on re-runs
+ * @property {import("./umi.js").UmiConfig} [umi] - Where to extract unique molecular identifiers; adds a `UMI_Count` column
+ * @property {"pooled" | "per_sample"} [count_mode] - Pool all samples into one count (default) or add count and frequency columns per sample
+ * @property {import("./cluster.js").ClusteringConfig} [clustering] - Absorb sequencing-error variants into abundant parent sequences
+ * @property {import("./productivity.js").ProductivityConfig} [productivity] - Keep, drop or flag trimmed sequences with stops, ambiguous residues or frameshifts
+ * @property {import("./numbering.js").NumberingConfig} [numbering] - Number the sequences of every counts row ("aa" models) with a per-model scheme such as IMGT
+ * @property {string[]} [count_regions] - Count combinations of these `{model}_{region}` columns instead of whole trimmed sequences
+ * @property {import("./counting.js").CountingConfig} [counting] - Count in memory (default) or through sorted runs on disk within a memory budget
+ * @property {import("./read_ids.js").ReadPairingConfig} [read_pairing] - Normalise read IDs so hits on mates from different FASTQ files pair up, and count unpaired reads
+ * @property {string} [qc_outpath] - Path for the JSON read funnel report (default: next to counts_outpath); a text summary is written alongside
  */
 
 /**
- * Validates whether the given input is an InputPair object
- * @param {any} maybe_input_pair
- * @returns {boolean}
+ * Schema of an InputPair
+ * @type {Schema}
  */
-function is_input_pair(maybe_input_pair) {
-	if (typeof maybe_input_pair !== "object") {
-		return false;
-	}
-	if (maybe_input_pair === null) {
-		return false;
-	}
-	const fastq_path = maybe_input_pair.fastq_path;
-	if (typeof fastq_path !== "string") {
-		return false;
-	}
-	const model_path = maybe_input_pair.model_path;
-	if (typeof model_path !== "string") {
-		return false;
-	}
-
-	return true;
-}
+const INPUT_PAIR_SCHEMA = {
+	type: "object",
+	properties: {
+		fastq_path: { type: "string", format: "file" },
+		model_path: { type: "string", format: "file" },
+		fastq_path_r2: { type: "string", format: "file" },
+		mode: { type: "string", values: ["aa", "dna"] },
+		sample_name: { type: "string", nonEmpty: true },
+		regions: REGION_MAP_SCHEMA,
+		max_domains: { type: "integer", min: 1 },
+		linkers: { type: "boolean" },
+	},
+	required: ["fastq_path", "model_path"],
+};
 
 /**
- * Validates whether the given input is a PipelineConfig object
- * @param {any} maybe_config
- * @returns {boolean}
+ * Schema of a MergePairsConfig
+ * @type {Schema}
  */
-function is_config(maybe_config) {
-	if (typeof maybe_config !== "object") {
-		return false;
-	}
-	if (maybe_config === null) {
-		return false;
-	}
-	const min_quality = maybe_config.min_quality;
-	if (typeof min_quality !== "number") {
-		return false;
-	}
-	const hmm_coverage = maybe_config.hmm_coverage;
-	if (typeof hmm_coverage !== "number") {
-		return false;
-	}
-	const counts_outpath = maybe_config.counts_outpath;
-	if (typeof counts_outpath !== "string") {
-		return false;
-	}
-	const input_pairs = maybe_config.input_pairs;
-	if (!Array.isArray(input_pairs)) {
-		return false;
-	}
-	for (const input_pair of input_pairs) {
-		if (!is_input_pair(input_pair)) {
-			return false;
-		}
-	}
+const MERGE_PAIRS_SCHEMA = {
+	type: "object",
+	properties: {
+		min_overlap: { type: "integer", min: 1 },
+		max_mismatch_rate: { type: "number", min: 0, max: 1 },
+		unmerged_policy: {
+			type: "string",
+			values: ["discard", "keep_r1", "keep_both"],
+		},
+	},
+};
 
-	return true;
-}
+/**
+ * Schema of a PipelineConfig
+ * @type {Schema}
+ */
+const CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		counts_outpath: { type: "string", nonEmpty: true },
+		min_quality: { type: "number", min: 0 },
+		hmm_coverage: { type: "number", min: 0, max: 1 },
+		input_pairs: { type: "array", nonEmpty: true, items: INPUT_PAIR_SCHEMA },
+		merge_pairs: MERGE_PAIRS_SCHEMA,
+		max_parallel: { type: "integer", min: 1 },
+		chunk_size: { type: "integer", min: 1 },
+		hit_selection: HIT_SELECTION_SCHEMA,
+		domain_score_threshold: { type: "number" },
+		hits_outpath: { type: "string", nonEmpty: true },
+		alignments_outpath: { type: "string", nonEmpty: true },
+		output_nucleotides: { type: "boolean" },
+		work_dir: { type: "string", nonEmpty: true },
+		umi: UMI_CONFIG_SCHEMA,
+		count_mode: { type: "string", values: ["pooled", "per_sample"] },
+		clustering: CLUSTERING_CONFIG_SCHEMA,
+		productivity: PRODUCTIVITY_CONFIG_SCHEMA,
+		numbering: NUMBERING_CONFIG_SCHEMA,
+		count_regions: {
+			type: "array",
+			nonEmpty: true,
+			items: { type: "string", nonEmpty: true },
+		},
+		counting: COUNTING_CONFIG_SCHEMA,
+		read_pairing: READ_PAIRING_CONFIG_SCHEMA,
+		qc_outpath: { type: "string", nonEmpty: true },
+	},
+	required: ["counts_outpath", "min_quality", "hmm_coverage", "input_pairs"],
+};
 
 /**
  * Reads + parses a JSON configuration file from given path
  * @param {string} config_path
- * @returns {PipelineConfig | null}
+ * @returns {PipelineConfig}
+ * @throws {Error} - Naming every missing or invalid field, including input files that cannot be read
  */
 function get_config_by_path(config_path) {
-	const config_buffer = node_fs.readFileSync(config_path);
-	const config_string = config_buffer.toString();
-	try {
-		const config = JSON.parse(config_string);
-		if (!is_config(config)) {
-			return null;
-		}
-		return config;
-	} catch (error) {
-		return null;
-	}
+	return loadConfig(config_path, CONFIG_SCHEMA);
 }
 
 /**
- * Parses command-line arguments to extract config file path
- * @returns {Promise<string>}
+ * Parses command-line arguments to extract config file path and run flags
+ * @returns {Promise<{ config_path: string, keep_intermediates: boolean }>}
  */
-async function get_config_path_by_args() {
+async function get_args() {
 	const argv = await yargs(process.argv.slice(2))
 		.usage("Usage: $0 [options]")
 		.option("c", {
@@ -108,11 +152,18 @@ async function get_config_path_by_args() {
 			type: "string",
 			demandOption: true,
 		})
+		.option("keep-intermediates", {
+			describe: "Keep split, domtblout, BED and trimmed FASTA files",
+			type: "boolean",
+			default: false,
+		})
 		.help("h")
 		.alias("h", "help").argv;
 
-	const config_path = argv.c;
-	return config_path;
+	return {
+		config_path: argv.c,
+		keep_intermediates: argv.keepIntermediates,
+	};
 }
 
-export { get_config_path_by_args, get_config_by_path };
+export { get_args, get_config_by_path };
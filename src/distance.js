@@ -0,0 +1,145 @@
+/** Reused DP row of levenshteinDistance and boundedLevenshtein, grown as needed */
+let row = new Uint32Array(256);
+
+/**
+ * Function to compute Levenshtein distance between two sequences
+ * The shared prefix and suffix are skipped, then a single DP row is filled.
+ * @param {string} a first protein sequence
+ * @param {string} b second protein sequence
+ * @returns {number} levenshtein distance between sequence a and sequence b
+ */
+function levenshteinDistance(a, b) {
+	// Skip the shared prefix and suffix, which do not change the distance
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) {
+		start++;
+	}
+	let endA = a.length;
+	let endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+	const lengthA = endA - start;
+	const lengthB = endB - start;
+	if (lengthA === 0 || lengthB === 0) {
+		return lengthA + lengthB;
+	}
+
+	// row[j] holds the distance between the first i residues of a and the first j residues of b
+	if (row.length <= lengthB) {
+		row = new Uint32Array(lengthB + 1);
+	}
+	for (let j = 0; j <= lengthB; j++) {
+		row[j] = j;
+	}
+	for (let i = 1; i <= lengthA; i++) {
+		let diagonal = row[0]; // Distance of the previous row, one column to the left
+		row[0] = i;
+		const residue = a[start + i - 1];
+		for (let j = 1; j <= lengthB; j++) {
+			// Determine if amino acids are the same (cost 0) or different (cost 1)
+			const cost = residue === b[start + j - 1] ? 0 : 1;
+			const above = row[j];
+
+			// if different, take the minimum
+			row[j] = Math.min(
+				above + 1, // deletion
+				row[j - 1] + 1, // insertion
+				diagonal + cost, // substitution
+			);
+			diagonal = above;
+		}
+	}
+	return row[lengthB];
+}
+
+/**
+ * Levenshtein distance if it is at most `maxDistance`, otherwise `maxDistance + 1`
+ * Only the diagonal band of width `2 * maxDistance + 1` is filled, and the DP stops as soon as a
+ * whole row exceeds the limit.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ * @returns {number}
+ */
+function boundedLevenshtein(a, b, maxDistance) {
+	if (!Number.isFinite(maxDistance)) {
+		return levenshteinDistance(a, b);
+	}
+	const over = maxDistance + 1;
+
+	// Skip the shared prefix and suffix; `short` is the shorter remainder
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) {
+		start++;
+	}
+	let endA = a.length;
+	let endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+	const [short, long] =
+		endA - start <= endB - start
+			? [a.slice(start, endA), b.slice(start, endB)]
+			: [b.slice(start, endB), a.slice(start, endA)];
+	if (long.length - short.length > maxDistance) {
+		return over;
+	}
+	if (short.length === 0) {
+		return long.length;
+	}
+
+	if (row.length <= long.length) {
+		row = new Uint32Array(long.length + 1);
+	}
+	for (let j = 0; j <= long.length; j++) {
+		row[j] = Math.min(j, over);
+	}
+	for (let i = 1; i <= short.length; i++) {
+		const from = Math.max(1, i - maxDistance);
+		const to = Math.min(long.length, i + maxDistance);
+		let diagonal = row[from - 1];
+		row[from - 1] = from === 1 ? Math.min(i, over) : over; // Left of the band
+		let rowMin = row[from - 1];
+		const residue = short[i - 1];
+		for (let j = from; j <= to; j++) {
+			const above = row[j];
+			const value = Math.min(
+				above + 1,
+				row[j - 1] + 1,
+				diagonal + (residue === long[j - 1] ? 0 : 1),
+				over,
+			);
+			diagonal = above;
+			row[j] = value;
+			rowMin = Math.min(rowMin, value);
+		}
+		if (rowMin >= over) {
+			return over;
+		}
+	}
+	return row[long.length];
+}
+
+/**
+ * Number of differing positions between two sequences of equal length
+ * @param {string} a
+ * @param {string} b
+ * @returns {number | null} - null if the lengths differ
+ */
+function hammingDistance(a, b) {
+	if (a.length !== b.length) {
+		return null;
+	}
+	let distance = 0;
+	for (let i = 0; i < a.length; i++) {
+		if (a[i] !== b[i]) {
+			distance++;
+		}
+	}
+	return distance;
+}
+
+export { boundedLevenshtein, hammingDistance, levenshteinDistance };
@@ -0,0 +1,427 @@
+import fs from "node:fs";
+import readline from "node:readline";
+import { hitKeyOf } from "./coordinates.js";
+
+/**
+ * One row of a hmmsearch --domtblout file (all 23 columns)
+ * @typedef {object} DomainHit
+ * @property {string} target_name - Target sequence name
+ * @property {string} target_accession - Target accession ("-" if none)
+ * @property {number} tlen - Target sequence length
+ * @property {string} query_name - Query (model) name
+ * @property {string} query_accession - Query accession ("-" if none)
+ * @property {number} qlen - Model length
+ * @property {number} evalue - Full-sequence E-value
+ * @property {number} full_score - Full-sequence bit score
+ * @property {number} full_bias - Full-sequence bias
+ * @property {number} dom_index - Index of this domain within the target ("#")
+ * @property {number} dom_count - Number of domains in the target ("of")
+ * @property {number} c_evalue - Conditional E-value of the domain
+ * @property {number} i_evalue - Independent E-value of the domain
+ * @property {number} score - Domain bit score
+ * @property {number} bias - Domain bias
+ * @property {number} hmm_from - HMM start
+ * @property {number} hmm_to - HMM end
+ * @property {number} ali_from - Alignment start on the target
+ * @property {number} ali_to - Alignment end on the target
+ * @property {number} env_from - Envelope start on the target
+ * @property {number} env_to - Envelope end on the target
+ * @property {number} acc - Mean posterior probability of aligned residues
+ * @property {string} description - Target description (may contain spaces)
+ */
+
+/**
+ * Rules for choosing the best domain hit per target
+ * @typedef {object} HitSelection
+ * @property {number} [min_coverage] - Minimum fraction of the model covered by the hit (set from hmm_coverage)
+ * @property {number} [min_score] - Minimum domain bit score
+ * @property {number} [max_i_evalue] - Maximum independent E-value
+ * @property {number} [max_c_evalue] - Maximum conditional E-value
+ * @property {"ali" | "env"} [coordinates] - Trim to alignment (default) or envelope coordinates
+ * @property {"score" | "i_evalue" | "c_evalue" | "coverage"} [rank_by] - Criterion for the best hit (default "score")
+ * @property {"first" | "longest" | "shortest" | "leftmost"} [tie_breaker] - Choice between equally ranked hits (default "first")
+ */
+
+/** Number of whitespace-delimited columns before the free-text description */
+const FIXED_COLUMNS = 22;
+
+/** Numeric columns in file order, after the five leading name/length columns */
+const NUMERIC_FIELDS = /** @type {const} */ ([
+	"qlen",
+	"evalue",
+	"full_score",
+	"full_bias",
+	"dom_index",
+	"dom_count",
+	"c_evalue",
+	"i_evalue",
+	"score",
+	"bias",
+	"hmm_from",
+	"hmm_to",
+	"ali_from",
+	"ali_to",
+	"env_from",
+	"env_to",
+	"acc",
+]);
+
+/**
+ * Parses one domtblout line, returning null for comments, blank lines and truncated rows
+ * @param {string} line
+ * @returns {DomainHit | null}
+ */
+function parseDomtbloutLine(line) {
+	if (line.startsWith("#") || line.trim() === "") {
+		return null;
+	}
+
+	// Tokenise the fixed columns; whatever follows is the description, spaces included
+	const pattern = /\S+/g;
+	/** @type {string[]} */
+	const columns = [];
+	while (columns.length < FIXED_COLUMNS) {
+		const match = pattern.exec(line);
+		if (!match) {
+			break;
+		}
+		columns.push(match[0]);
+	}
+	if (columns.length < FIXED_COLUMNS) {
+		return null;
+	}
+
+	/** @type {Record<string, any>} */
+	const hit = {
+		target_name: columns[0],
+		target_accession: columns[1],
+		tlen: Number.parseInt(columns[2], 10),
+		query_name: columns[3],
+		query_accession: columns[4],
+		description: line.slice(pattern.lastIndex).trim(),
+	};
+	NUMERIC_FIELDS.forEach((field, i) => {
+		hit[field] = Number(columns[5 + i]);
+	});
+	return /** @type {DomainHit} */ (hit);
+}
+
+/**
+ * Streams parsed rows from a domtblout file
+ * @param {string} domtblPath
+ * @returns {AsyncGenerator<DomainHit>}
+ */
+async function* readDomtblout(domtblPath) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(domtblPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+	for await (const line of rl) {
+		const hit = parseDomtbloutLine(line);
+		if (hit) {
+			yield hit;
+		}
+	}
+}
+
+/**
+ * Fraction of the model covered by a hit
+ * @param {DomainHit} hit
+ * @returns {number}
+ */
+function hmmCoverage(hit) {
+	return (hit.hmm_to - hit.hmm_from + 1) / hit.qlen;
+}
+
+/**
+ * Target coordinates used for trimming
+ * @param {DomainHit} hit
+ * @param {HitSelection} selection
+ * @returns {{ from: number, to: number }}
+ */
+function hitCoordinates(hit, selection) {
+	return selection.coordinates === "env"
+		? { from: hit.env_from, to: hit.env_to }
+		: { from: hit.ali_from, to: hit.ali_to };
+}
+
+/**
+ * Checks a hit against the selection filters
+ * @param {DomainHit} hit
+ * @param {HitSelection} selection
+ * @returns {boolean}
+ */
+function passesFilters(hit, selection) {
+	if (
+		selection.min_coverage !== undefined &&
+		hmmCoverage(hit) < selection.min_coverage
+	) {
+		return false;
+	}
+	if (selection.min_score !== undefined && hit.score < selection.min_score) {
+		return false;
+	}
+	if (
+		selection.max_i_evalue !== undefined &&
+		hit.i_evalue > selection.max_i_evalue
+	) {
+		return false;
+	}
+	if (
+		selection.max_c_evalue !== undefined &&
+		hit.c_evalue > selection.max_c_evalue
+	) {
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Compares two hits by the ranking rule; positive if `a` is better than `b`
+ * @param {DomainHit} a
+ * @param {DomainHit} b
+ * @param {HitSelection} selection
+ * @returns {number}
+ */
+function compareRank(a, b, selection) {
+	switch (selection.rank_by ?? "score") {
+		case "i_evalue":
+			return b.i_evalue - a.i_evalue;
+		case "c_evalue":
+			return b.c_evalue - a.c_evalue;
+		case "coverage":
+			return hmmCoverage(a) - hmmCoverage(b);
+		default:
+			return a.score - b.score;
+	}
+}
+
+/**
+ * Decides whether a newly seen hit replaces an equally ranked existing one
+ * @param {DomainHit} candidate
+ * @param {DomainHit} existing
+ * @param {HitSelection} selection
+ * @returns {boolean}
+ */
+function winsTie(candidate, existing, selection) {
+	const a = hitCoordinates(candidate, selection);
+	const b = hitCoordinates(existing, selection);
+	switch (selection.tie_breaker ?? "first") {
+		case "longest":
+			return a.to - a.from > b.to - b.from;
+		case "shortest":
+			return a.to - a.from < b.to - b.from;
+		case "leftmost":
+			return a.from < b.from;
+		default:
+			return false; // Keep the hit seen first
+	}
+}
+
+/**
+ * Picks the best passing hit for each target
+ * @param {AsyncIterable<DomainHit> | Iterable<DomainHit>} hits
+ * @param {HitSelection} selection
+ * @returns {Promise<Map<string, DomainHit>>}
+ */
+async function selectBestHits(hits, selection) {
+	/** @type {Map<string, DomainHit>} */
+	const bestEntries = new Map();
+	for await (const hit of hits) {
+		if (!passesFilters(hit, selection)) {
+			continue;
+		}
+		const existing = bestEntries.get(hit.target_name);
+		if (!existing) {
+			bestEntries.set(hit.target_name, hit);
+			continue;
+		}
+		const rank = compareRank(hit, existing, selection);
+		if (rank > 0 || (rank === 0 && winsTie(hit, existing, selection))) {
+			bestEntries.set(hit.target_name, hit);
+		}
+	}
+	return bestEntries;
+}
+
+/**
+ * Picks up to `maxDomains` non-overlapping passing hits for each target (the best hit if 1)
+ * Hits are taken from best to worst ranked, skipping any that overlap a hit already taken,
+ * and returned in target order (by start coordinate).
+ * @param {AsyncIterable<DomainHit> | Iterable<DomainHit>} hits
+ * @param {HitSelection} selection
+ * @param {number} maxDomains
+ * @returns {Promise<Map<string, DomainHit[]>>}
+ */
+async function selectDomainHits(hits, selection, maxDomains) {
+	if (maxDomains === 1) {
+		return new Map(
+			Array.from(await selectBestHits(hits, selection), ([target, hit]) => [
+				target,
+				[hit],
+			]),
+		);
+	}
+
+	/** @type {Map<string, DomainHit[]>} */
+	const passing = new Map();
+	for await (const hit of hits) {
+		if (passesFilters(hit, selection)) {
+			const targetHits = passing.get(hit.target_name) ?? [];
+			targetHits.push(hit);
+			passing.set(hit.target_name, targetHits);
+		}
+	}
+
+	/** @type {Map<string, DomainHit[]>} */
+	const selected = new Map();
+	for (const [target, targetHits] of passing) {
+		// Best first; equally ranked hits follow the tie breaker, then the order they were seen in
+		targetHits.sort(
+			(a, b) =>
+				compareRank(b, a, selection) ||
+				(winsTie(a, b, selection) ? -1 : winsTie(b, a, selection) ? 1 : 0),
+		);
+		/** @type {DomainHit[]} */
+		const taken = [];
+		for (const hit of targetHits) {
+			if (taken.length === maxDomains) {
+				break;
+			}
+			const { from, to } = hitCoordinates(hit, selection);
+			const overlaps = taken.some((other) => {
+				const coordinates = hitCoordinates(other, selection);
+				return from <= coordinates.to && coordinates.from <= to;
+			});
+			if (!overlaps) {
+				taken.push(hit);
+			}
+		}
+		selected.set(
+			target,
+			taken.sort(
+				(a, b) =>
+					hitCoordinates(a, selection).from - hitCoordinates(b, selection).from,
+			),
+		);
+	}
+	return selected;
+}
+
+/**
+ * Define function to parse full hmmsearch output, determine best hit per target and generate a BED file
+ * With `maxDomains` above 1, every selected domain of a target gets a BED row, in target order, and
+ * `linkerBedPath` receives the residues between consecutive domains.
+ * @param {string} domtblPath - Path to the hmmsearch domtblout file
+ * @param {HitSelection} selection - Filters and ranking for the best hit
+ * @param {string} bedFilePath - Path to output the BED file
+ * @param {{ maxDomains?: number, linkerBedPath?: string }} [options]
+ * @returns {Promise<Map<string, DomainHit[]>>} - Selected hits per target
+ */
+async function extractBestHMMHits(
+	domtblPath,
+	selection,
+	bedFilePath,
+	options = {},
+) {
+	const selected = await selectDomainHits(
+		readDomtblout(domtblPath),
+		selection,
+		options.maxDomains ?? 1,
+	);
+
+	// Generate the BED file content
+	/** @type {string[]} */
+	const bedContent = [];
+	/** @type {string[]} */
+	const linkerContent = [];
+	for (const [target, hits] of selected) {
+		hits.forEach((hit, i) => {
+			const { from, to } = hitCoordinates(hit, selection);
+			bedContent.push(
+				[
+					target, // Target name
+					from - 1, // Start position (BED format is 0-based)
+					to, // End position
+					hit.score, // Bit score
+				].join("\t"),
+			);
+
+			// Residues between this domain and the next one, if any
+			const next = hits[i + 1];
+			const nextFrom = next ? hitCoordinates(next, selection).from : 0;
+			if (next && nextFrom - 1 > to) {
+				linkerContent.push([target, to, nextFrom - 1, i + 1].join("\t"));
+			}
+		});
+	}
+
+	// Write the BED content to a file
+	fs.writeFileSync(bedFilePath, bedContent.join("\n"));
+	if (options.linkerBedPath) {
+		fs.writeFileSync(options.linkerBedPath, linkerContent.join("\n"));
+	}
+	return selected;
+}
+
+/**
+ * Numbers the rows of a BED file written by extractBestHMMHits, keyed by hit
+ * Domains are numbered by position within their target (1, 2, ...); linkers carry the number
+ * of the domain they follow in their name column.
+ * @param {string} bedPath
+ * @param {"domains" | "linkers"} kind
+ * @returns {Map<string, number>} - Keyed as by hitKeyOf
+ */
+function readBedOrdinals(bedPath, kind) {
+	/** @type {Map<string, number>} */
+	const ordinals = new Map();
+	/** @type {Map<string, number>} */
+	const domainsPerTarget = new Map();
+	for (const line of fs.readFileSync(bedPath, "utf8").split("\n")) {
+		if (line.trim() === "") {
+			continue;
+		}
+		const [target, start, end, name] = line.split("\t");
+		const ordinal =
+			kind === "linkers"
+				? Number(name)
+				: (domainsPerTarget.get(target) ?? 0) + 1;
+		domainsPerTarget.set(target, ordinal);
+		ordinals.set(hitKeyOf(target, Number(start) + 1, Number(end)), ordinal);
+	}
+	return ordinals;
+}
+
+/**
+ * Schema of a HitSelection in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const HIT_SELECTION_SCHEMA = {
+	type: "object",
+	properties: {
+		min_score: { type: "number" },
+		max_i_evalue: { type: "number", min: 0 },
+		max_c_evalue: { type: "number", min: 0 },
+		coordinates: { type: "string", values: ["ali", "env"] },
+		rank_by: {
+			type: "string",
+			values: ["score", "i_evalue", "c_evalue", "coverage"],
+		},
+		tie_breaker: {
+			type: "string",
+			values: ["first", "longest", "shortest", "leftmost"],
+		},
+	},
+};
+
+export {
+	HIT_SELECTION_SCHEMA,
+	extractBestHMMHits,
+	hitCoordinates,
+	hmmCoverage,
+	parseDomtbloutLine,
+	readBedOrdinals,
+	readDomtblout,
+	selectBestHits,
+	selectDomainHits,
+};
@@ -0,0 +1,219 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import { closeStream, writeChunk } from "./fastq.js";
+
+/** Most runs merged at once: every open run holds a file descriptor, a read buffer and its head item */
+const MAX_FAN_IN = 64;
+
+/**
+ * Rough heap cost of buffering one serialised item: the JSON line and the parsed object it came from
+ * @param {string} line
+ * @returns {number}
+ */
+function estimateBytes(line) {
+	return line.length * 4 + 64;
+}
+
+/**
+ * Sorts JSON-serialisable items that may not fit in memory
+ * Items are buffered until their estimated size reaches `budgetBytes`, then sorted and written to a
+ * run file in `dir`. Equal items keep their insertion order, as with Array.prototype.sort.
+ * When more than `fanIn` runs were written, consecutive groups of `fanIn` runs are merged into
+ * intermediate runs, in as many passes as needed, so a final mergeRuns never opens more than `fanIn`.
+ * @template T
+ * @param {(a: T, b: T) => number} compare
+ * @param {{ dir: string, name: string, budgetBytes: number, fanIn?: number }} options
+ * @returns {{ add: (item: T) => Promise<void>, finish: () => Promise<string[]> }} - `finish` returns at most `fanIn` sorted run files
+ */
+function createExternalSorter(compare, options) {
+	fs.mkdirSync(options.dir, { recursive: true });
+	const fanIn = Math.max(2, options.fanIn ?? MAX_FAN_IN);
+	/** @type {{ item: T, line: string }[]} */
+	let buffer = [];
+	let bufferedBytes = 0;
+	/** @type {string[]} */
+	let runPaths = [];
+	let runCount = 0;
+
+	/**
+	 * Writes lines to a new run file
+	 * @param {Iterable<string> | AsyncIterable<string>} lines
+	 * @returns {Promise<string>}
+	 */
+	const writeRun = async (lines) => {
+		const runPath = path.join(
+			options.dir,
+			`${options.name}_run${runCount++}.jsonl`,
+		);
+		const out = fs.createWriteStream(runPath);
+		for await (const line of lines) {
+			await writeChunk(out, `${line}\n`);
+		}
+		await closeStream(out);
+		return runPath;
+	};
+
+	const spill = async () => {
+		if (buffer.length === 0) {
+			return;
+		}
+		buffer.sort((a, b) => compare(a.item, b.item));
+		runPaths.push(await writeRun(buffer.map(({ line }) => line)));
+		buffer = [];
+		bufferedBytes = 0;
+	};
+
+	/**
+	 * Serialises the merged items of some runs
+	 * @param {string[]} group
+	 * @returns {AsyncGenerator<string>}
+	 */
+	const mergedLines = async function* (group) {
+		for await (const item of mergeRuns(group, compare)) {
+			yield JSON.stringify(item);
+		}
+	};
+
+	return {
+		add: async (item) => {
+			const line = JSON.stringify(item);
+			buffer.push({ item, line });
+			bufferedBytes += estimateBytes(line);
+			if (bufferedBytes >= options.budgetBytes) {
+				await spill();
+			}
+		},
+		finish: async () => {
+			await spill();
+			// Groups of consecutive runs keep ties in run order, so each pass stays stable
+			while (runPaths.length > fanIn) {
+				/** @type {string[]} */
+				const merged = [];
+				for (let i = 0; i < runPaths.length; i += fanIn) {
+					const group = runPaths.slice(i, i + fanIn);
+					if (group.length === 1) {
+						merged.push(group[0]);
+						continue;
+					}
+					merged.push(await writeRun(mergedLines(group)));
+					removeRuns(group);
+				}
+				runPaths = merged;
+			}
+			return runPaths;
+		},
+	};
+}
+
+/**
+ * Streams the items of a run file
+ * @param {string} runPath
+ * @returns {AsyncGenerator<any>}
+ */
+async function* readRun(runPath) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(runPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+	for await (const line of rl) {
+		if (line !== "") {
+			yield JSON.parse(line);
+		}
+	}
+}
+
+/**
+ * Merges sorted run files into one sorted stream (ties go to the earlier run, keeping the sort stable)
+ * All runs are open at once; runs from createExternalSorter are already reduced to its fan-in.
+ * @template T
+ * @param {string[]} runPaths - Runs in the order they were written
+ * @param {(a: T, b: T) => number} compare
+ * @returns {AsyncGenerator<T>}
+ */
+async function* mergeRuns(runPaths, compare) {
+	const readers = runPaths.map((runPath) => readRun(runPath));
+
+	// Binary min-heap of the current item of every run
+	/** @type {{ item: T, run: number }[]} */
+	const heap = [];
+	/**
+	 * @param {number} i
+	 * @param {number} j
+	 * @returns {boolean}
+	 */
+	const less = (i, j) =>
+		(compare(heap[i].item, heap[j].item) || heap[i].run - heap[j].run) < 0;
+	/**
+	 * @param {number} i
+	 * @param {number} j
+	 */
+	const swap = (i, j) => {
+		[heap[i], heap[j]] = [heap[j], heap[i]];
+	};
+	/** @param {{ item: T, run: number }} node */
+	const push = (node) => {
+		heap.push(node);
+		let i = heap.length - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (!less(i, parent)) {
+				break;
+			}
+			swap(i, parent);
+			i = parent;
+		}
+	};
+	const pop = () => {
+		const top = heap[0];
+		const last = heap.pop();
+		if (heap.length > 0 && last) {
+			heap[0] = last;
+			let i = 0;
+			for (;;) {
+				const left = 2 * i + 1;
+				const right = left + 1;
+				let smallest = i;
+				if (left < heap.length && less(left, smallest)) {
+					smallest = left;
+				}
+				if (right < heap.length && less(right, smallest)) {
+					smallest = right;
+				}
+				if (smallest === i) {
+					break;
+				}
+				swap(i, smallest);
+				i = smallest;
+			}
+		}
+		return top;
+	};
+
+	for (let run = 0; run < readers.length; run++) {
+		const next = await readers[run].next();
+		if (!next.done) {
+			push({ item: next.value, run });
+		}
+	}
+	while (heap.length > 0) {
+		const { item, run } = pop();
+		yield item;
+		const next = await readers[run].next();
+		if (!next.done) {
+			push({ item: next.value, run });
+		}
+	}
+}
+
+/**
+ * Deletes run files once they have been merged
+ * @param {string[]} runPaths
+ */
+function removeRuns(runPaths) {
+	for (const runPath of runPaths) {
+		fs.rmSync(runPath, { force: true });
+	}
+}
+
+export { createExternalSorter, estimateBytes, mergeRuns, removeRuns };
@@ -0,0 +1,133 @@
+import { once } from "node:events";
+import fs from "node:fs";
+import readline from "node:readline";
+import zlib from "node:zlib";
+
+/**
+ * A single FASTQ record
+ * @typedef {object} FastqRecord
+ * @property {string} id - Read identifier (header up to the first whitespace, without "@")
+ * @property {string} comment - Remainder of the header line after the identifier
+ * @property {string} sequence - Nucleotide sequence
+ * @property {string} quality - Phred+33 encoded quality string
+ */
+
+/**
+ * Opens a FASTQ file for line-by-line reading, transparently decompressing gzipped input
+ * @param {string} fastqPath
+ * @returns {readline.Interface}
+ */
+function openFastqLines(fastqPath) {
+	/** @type {NodeJS.ReadableStream} */
+	let input = fs.createReadStream(fastqPath);
+	if (fastqPath.endsWith(".gz")) {
+		input = input.pipe(zlib.createGunzip());
+	}
+	return readline.createInterface({
+		input,
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+}
+
+/**
+ * Streams records from a plain or gzipped FASTQ file
+ * @param {string} fastqPath
+ * @returns {AsyncGenerator<FastqRecord>}
+ */
+async function* readFastq(fastqPath) {
+	const rl = openFastqLines(fastqPath);
+
+	/** @type {string[]} */
+	let lines = [];
+	for await (const line of rl) {
+		if (lines.length === 0 && line.trim() === "") {
+			continue; // Skip blank lines between records
+		}
+		lines.push(line);
+		if (lines.length < 4) {
+			continue;
+		}
+
+		const [header, sequence, separator, quality] = lines;
+		lines = [];
+		if (!header.startsWith("@") || !separator.startsWith("+")) {
+			throw new Error(`Malformed FASTQ record in ${fastqPath}: ${header}`);
+		}
+
+		// Split header into identifier and comment
+		const match = header.slice(1).match(/^(\S*)\s*(.*)$/);
+		yield {
+			id: match ? match[1] : header.slice(1),
+			comment: match ? match[2] : "",
+			sequence: sequence.trim(),
+			quality: quality.trim(),
+		};
+	}
+
+	if (lines.length > 0) {
+		throw new Error(`Truncated FASTQ record at end of ${fastqPath}`);
+	}
+}
+
+/**
+ * Formats a FASTQ record as text
+ * @param {FastqRecord} record
+ * @returns {string}
+ */
+function formatFastq(record) {
+	const header = record.comment ? `${record.id} ${record.comment}` : record.id;
+	return `@${header}\n${record.sequence}\n+\n${record.quality}\n`;
+}
+
+/** @type {Record<string, string>} */
+const COMPLEMENT = {
+	A: "T",
+	C: "G",
+	G: "C",
+	T: "A",
+	U: "A",
+	N: "N",
+	a: "t",
+	c: "g",
+	g: "c",
+	t: "a",
+	u: "a",
+	n: "n",
+};
+
+/**
+ * Reverse complements a nucleotide sequence (unknown characters become N)
+ * @param {string} sequence
+ * @returns {string}
+ */
+function reverseComplement(sequence) {
+	let result = "";
+	for (let i = sequence.length - 1; i >= 0; i--) {
+		result += COMPLEMENT[sequence[i]] ?? "N";
+	}
+	return result;
+}
+
+/**
+ * Writes a chunk to a stream, waiting for it to drain when its buffer is full
+ * @param {import("node:stream").Writable} stream
+ * @param {string} chunk
+ * @returns {Promise<void>}
+ */
+async function writeChunk(stream, chunk) {
+	if (!stream.write(chunk)) {
+		await once(stream, "drain");
+	}
+}
+
+/**
+ * Ends a write stream and waits until all data has been flushed
+ * @param {import("node:stream").Writable} stream
+ * @returns {Promise<void>}
+ */
+async function closeStream(stream) {
+	stream.end();
+	await once(stream, "finish");
+}
+
+export { readFastq, formatFastq, reverseComplement, writeChunk, closeStream };
@@ -0,0 +1,276 @@
+import fs from "node:fs";
+import readline from "node:readline";
+import { closeStream, writeChunk } from "./fastq.js";
+
+/**
+ * Pairwise alignment of one domain hit, as printed by hmmsearch
+ * @typedef {object} DomainAlignment
+ * @property {string} target_name - Target sequence name
+ * @property {number} dom_index - Domain number within the target
+ * @property {number} hmm_from - First model position of the alignment
+ * @property {number} hmm_to - Last model position of the alignment
+ * @property {number} ali_from - First target residue of the alignment
+ * @property {number} ali_to - Last target residue of the alignment
+ * @property {string} model - Model consensus row (letters for match states, "." for insert states)
+ * @property {string} target - Target row (residues, "-" for deletions)
+ */
+
+/**
+ * Target residues placed on the match states of a model
+ * @typedef {object} ModelAlignment
+ * @property {string} aligned - One character per match state of the model: residue, "-" for a deletion, "." outside the hit
+ * @property {string} a2m - A2M row over the hit: upper case matches, "-" deletions, lower case insertions
+ * @property {{ after: number, residues: string }[]} insertions - Inserted residues and the match state they follow
+ */
+
+/** Columns of the aligned sequence table */
+const ALIGNMENT_COLUMNS = [
+	"Read",
+	"Sample",
+	"Model",
+	"Frame",
+	"HMM_From",
+	"HMM_To",
+	"Aligned",
+	"A2M",
+	"Insertions",
+];
+
+/**
+ * Streams the domain alignments of an hmmsearch output file (the default human-readable output)
+ * @param {string} outputPath - hmmsearch standard output
+ * @param {Map<string, number>} [wanted] - Only yield these domains (domain number per target)
+ * @returns {AsyncGenerator<DomainAlignment>}
+ */
+async function* readDomainAlignments(outputPath, wanted = undefined) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(outputPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+
+	let queryName = "";
+	let targetName = "";
+	/** @type {DomainAlignment | null} */
+	let current = null;
+
+	for await (const line of rl) {
+		const query = line.match(/^Query:\s+(\S+)/);
+		if (query) {
+			queryName = query[1];
+			continue;
+		}
+
+		const target = line.match(/^>>\s+(\S+)/);
+		const domain = line.match(/^\s+== domain (\d+)/);
+		if (
+			target ||
+			domain ||
+			line.startsWith("Internal pipeline statistics") ||
+			line.startsWith("//")
+		) {
+			// A new block ends the alignment being read
+			if (current?.model) {
+				yield current;
+			}
+			current = null;
+		}
+		if (target) {
+			targetName = target[1];
+			continue;
+		}
+		if (domain) {
+			const domIndex = Number.parseInt(domain[1], 10);
+			if (!wanted || wanted.get(targetName) === domIndex) {
+				current = {
+					target_name: targetName,
+					dom_index: domIndex,
+					hmm_from: 0,
+					hmm_to: 0,
+					ali_from: 0,
+					ali_to: 0,
+					model: "",
+					target: "",
+				};
+			}
+			continue;
+		}
+		if (!current) {
+			continue;
+		}
+
+		// Model and target rows: "<name> <from> <aligned sequence> <to>"
+		const row = line.match(/^\s*(\S+)\s+(\d+)\s+(\S+)\s+(\d+)\s*$/);
+		if (!row) {
+			continue; // Match, posterior probability, CS and RF rows
+		}
+		const [, name, from, sequence, to] = row;
+		if (name === queryName) {
+			if (!current.model) {
+				current.hmm_from = Number.parseInt(from, 10);
+			}
+			current.hmm_to = Number.parseInt(to, 10);
+			current.model += sequence;
+		} else if (name === current.target_name) {
+			if (!current.target) {
+				current.ali_from = Number.parseInt(from, 10);
+			}
+			current.ali_to = Number.parseInt(to, 10);
+			current.target += sequence;
+		}
+	}
+	if (current?.model) {
+		yield current;
+	}
+}
+
+/**
+ * Places the target residues of a domain alignment on the match states of the model
+ * @param {DomainAlignment} alignment
+ * @param {number} modelLength - Number of match states in the model
+ * @returns {ModelAlignment}
+ */
+function alignToModel(alignment, modelLength) {
+	const matchStates = Array(modelLength).fill(".");
+	/** @type {{ after: number, residues: string }[]} */
+	const insertions = [];
+	let a2m = "";
+	let state = alignment.hmm_from - 1; // Last match state consumed
+
+	for (let i = 0; i < alignment.model.length; i++) {
+		const residue = alignment.target[i] ?? "-";
+		if (alignment.model[i] === ".") {
+			// Insert state: the residue sits between match states
+			if (residue === "-" || residue === ".") {
+				continue;
+			}
+			const last = insertions[insertions.length - 1];
+			if (last && last.after === state) {
+				last.residues += residue.toLowerCase();
+			} else {
+				insertions.push({ after: state, residues: residue.toLowerCase() });
+			}
+			a2m += residue.toLowerCase();
+			continue;
+		}
+
+		state++;
+		const placed =
+			residue === "-" || residue === "." ? "-" : residue.toUpperCase();
+		if (state >= 1 && state <= modelLength) {
+			matchStates[state - 1] = placed;
+		}
+		a2m += placed;
+	}
+
+	return { aligned: matchStates.join(""), a2m, insertions };
+}
+
+/**
+ * Formats insertions as "after:residues" pairs separated by ";"
+ * @param {{ after: number, residues: string }[]} insertions
+ * @returns {string}
+ */
+function formatInsertions(insertions) {
+	return insertions
+		.map(({ after, residues }) => `${after}:${residues}`)
+		.join(";");
+}
+
+/**
+ * Writes model-aligned sequences of the selected domains as a CSV without header
+ * @param {string} outputPath - hmmsearch standard output
+ * @param {Map<string, number>} wanted - Selected domain number per target
+ * @param {number} modelLength - Number of match states in the model
+ * @param {string} outPath
+ * @param {{ sample: string, model: string }} options
+ * @returns {Promise<number>} - Number of alignments written
+ */
+async function writeModelAlignments(
+	outputPath,
+	wanted,
+	modelLength,
+	outPath,
+	options,
+) {
+	const out = fs.createWriteStream(outPath);
+	let written = 0;
+	for await (const alignment of readDomainAlignments(outputPath, wanted)) {
+		const { aligned, a2m, insertions } = alignToModel(alignment, modelLength);
+		const frame = alignment.target_name.match(/_frame=(-?\d)$/);
+		const readId = frame
+			? alignment.target_name.slice(0, frame.index)
+			: alignment.target_name;
+		await writeChunk(
+			out,
+			`${[
+				readId,
+				options.sample,
+				options.model,
+				frame ? frame[1] : "NA",
+				alignment.hmm_from,
+				alignment.hmm_to,
+				aligned,
+				a2m,
+				formatInsertions(insertions),
+			].join(",")}\n`,
+		);
+		written++;
+	}
+	await closeStream(out);
+	return written;
+}
+
+/**
+ * Loads a per-batch alignment table keyed by target name (as used in the trimmed FASTA headers)
+ * @param {string} alignmentPath
+ * @returns {Promise<Map<string, { hmm_from: number, hmm_to: number, aligned: string, a2m: string }>>}
+ */
+async function readModelAlignments(alignmentPath) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(alignmentPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+
+	/** @type {Map<string, { hmm_from: number, hmm_to: number, aligned: string, a2m: string }>} */
+	const alignments = new Map();
+	for await (const line of rl) {
+		if (line.trim() === "") {
+			continue;
+		}
+		const [read, , , frame, hmm_from, hmm_to, aligned, a2m] = line.split(",");
+		const target = frame === "NA" ? read : `${read}_frame=${frame}`;
+		alignments.set(target, {
+			hmm_from: Number(hmm_from),
+			hmm_to: Number(hmm_to),
+			aligned,
+			a2m,
+		});
+	}
+	return alignments;
+}
+
+/**
+ * Combines per-batch alignment tables into one CSV with a header row
+ * @param {string[]} alignmentPaths - Per-batch tables, in output order
+ * @param {string} outPath
+ * @returns {Promise<void>}
+ */
+async function writeAlignmentTable(alignmentPaths, outPath) {
+	const out = fs.createWriteStream(outPath);
+	await writeChunk(out, `${ALIGNMENT_COLUMNS.join(",")}\n`);
+	for (const alignmentPath of alignmentPaths) {
+		for await (const chunk of fs.createReadStream(alignmentPath, "utf8")) {
+			await writeChunk(out, chunk);
+		}
+	}
+	await closeStream(out);
+}
+
+export {
+	alignToModel,
+	formatInsertions,
+	readDomainAlignments,
+	readModelAlignments,
+	writeAlignmentTable,
+	writeModelAlignments,
+};
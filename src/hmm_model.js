@@ -0,0 +1,50 @@
+import fs from "node:fs";
+import readline from "node:readline";
+
+/**
+ * Header fields of a HMMER3 profile file
+ * @typedef {object} HMMHeader
+ * @property {string} name - Model name (NAME)
+ * @property {number} length - Number of match states (LENG)
+ * @property {"aa" | "dna"} alphabet - Pipeline mode implied by the model alphabet (ALPH)
+ */
+
+/**
+ * Reads the header of a HMMER3 profile, stopping at the start of the model body
+ * @param {string} modelPath - Path to the .hmm file
+ * @returns {Promise<HMMHeader>}
+ */
+async function readHMMHeader(modelPath) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(modelPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+
+	let name = "";
+	let length = Number.NaN;
+	let alph = "";
+	for await (const line of rl) {
+		if (line.startsWith("HMM ")) {
+			break; // Header ends where the model body begins
+		}
+		const [key, ...values] = line.trim().split(/\s+/);
+		if (key === "NAME") {
+			name = values.join(" ");
+		} else if (key === "LENG") {
+			length = Number.parseInt(values[0], 10);
+		} else if (key === "ALPH") {
+			alph = values[0].toLowerCase();
+		}
+	}
+	rl.close();
+
+	if (Number.isNaN(length) || alph === "") {
+		throw new Error(`Could not read LENG/ALPH from HMM file: ${modelPath}`);
+	}
+
+	// nhmmer accepts DNA and RNA profiles; everything else is searched with hmmsearch
+	const alphabet = alph === "dna" || alph === "rna" ? "dna" : "aa";
+	return { name, length, alphabet };
+}
+
+export { readHMMHeader };
@@ -0,0 +1,143 @@
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import { closeStream } from "./fastq.js";
+
+/**
+ * Define function to run hmmsearch
+ * With `writeInput`, fastaPath is "-" and the sequences are written to hmmsearch's stdin instead
+ * of being read from a file.
+ * @param {string} modelPath
+ * @param {string} fastaPath - Sequence file, or "-" for stdin
+ * @param {string} domtblPath
+ * @param {string} stdoutPath
+ * @param {{ cpu?: number, domT?: number, writeInput?: (stdin: import("node:stream").Writable) => Promise<void> }} [options] - Worker threads, optional domain score threshold (--domT) and the writer of the sequences piped to stdin
+ * @returns {Promise<void>}
+ */
+async function runHMMSearch(
+	modelPath,
+	fastaPath,
+	domtblPath,
+	stdoutPath,
+	options = {},
+) {
+	return new Promise((resolve, reject) => {
+		const args = ["--cpu", String(options.cpu ?? 1)];
+		if (options.domT !== undefined) {
+			args.push("--domT", String(options.domT)); // Domain score filter
+		}
+		const hmmsearch = spawn("hmmsearch", [
+			...args,
+			"--domtblout",
+			domtblPath,
+			modelPath,
+			fastaPath,
+		]);
+
+		// Create stream for the stdout file
+		const stdoutStream = fs.createWriteStream(stdoutPath, { flags: "a" });
+
+		// Capture and write any data from stdout to the file
+		hmmsearch.stdout.on("data", (data) => {
+			stdoutStream.write(data);
+		});
+
+		// Capture and log any error messages generated by hmmsearch
+		hmmsearch.stderr.on("data", (data) => {
+			console.error(`stderr: ${data}`);
+		});
+
+		// Pipe the sequences to stdin; a failing writer stops hmmsearch
+		/** @type {Promise<void>} */
+		let input = Promise.resolve();
+		const { writeInput } = options;
+		if (writeInput) {
+			hmmsearch.stdin.on("error", () => {}); // EPIPE if hmmsearch exits early; reported by its exit code
+			input = writeInput(hmmsearch.stdin).then(
+				() => closeStream(hmmsearch.stdin),
+				(error) => {
+					hmmsearch.kill();
+					throw error;
+				},
+			);
+			input.catch(() => {}); // Reported once hmmsearch has closed
+		}
+
+		hmmsearch.on("close", (code) => {
+			input.then(
+				() => {
+					// Check exit code to determine if hmmsearch was successful
+					if (code === 0) {
+						stdoutStream.end(); // Close the stdout file stream
+						resolve();
+					} else {
+						// If exit code is non-zero, an error occurred
+						reject(new Error(`hmmsearch process exited with code ${code}`));
+					}
+				},
+				// The writer's error, unless hmmsearch failed on its own
+				(error) =>
+					reject(
+						code === 0 || code === null
+							? error
+							: new Error(`hmmsearch process exited with code ${code}`),
+					),
+			);
+		});
+
+		hmmsearch.on("error", (err) => {
+			reject(new Error(`Failed to start hmmsearch: ${err.message}`));
+		});
+	});
+}
+
+/**
+ * Define function to run nhmmer on nucleotide sequences
+ * @param {string} modelPath
+ * @param {string} fastaPath
+ * @param {string} tblPath
+ * @param {string} stdoutPath
+ * @param {number} [cpu=1] - Number of nhmmer worker threads
+ * @returns {Promise<void>}
+ */
+async function runNHMMER(modelPath, fastaPath, tblPath, stdoutPath, cpu = 1) {
+	return new Promise((resolve, reject) => {
+		const nhmmer = spawn("nhmmer", [
+			"--cpu",
+			String(cpu),
+			"--tblout",
+			tblPath,
+			modelPath,
+			fastaPath,
+		]);
+
+		// Create stream for the stdout file
+		const stdoutStream = fs.createWriteStream(stdoutPath, { flags: "a" });
+
+		// Capture and write any data from stdout to the file
+		nhmmer.stdout.on("data", (data) => {
+			stdoutStream.write(data);
+		});
+
+		// Capture and log any error messages generated by nhmmer
+		nhmmer.stderr.on("data", (data) => {
+			console.error(`stderr: ${data}`);
+		});
+
+		nhmmer.on("close", (code) => {
+			// Check exit code to determine if nhmmer was successful
+			if (code === 0) {
+				stdoutStream.end(); // Close the stdout file stream
+				resolve();
+			} else {
+				// If exit code is non-zero, an error occurred
+				reject(new Error(`nhmmer process exited with code ${code}`));
+			}
+		});
+
+		nhmmer.on("error", (err) => {
+			reject(new Error(`Failed to start nhmmer: ${err.message}`));
+		});
+	});
+}
+
+export { runHMMSearch, runNHMMER };
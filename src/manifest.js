@@ -0,0 +1,119 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Record of a completed pipeline step
+ * @typedef {object} StepRecord
+ * @property {string} fingerprint - Hash of everything the step's output depends on
+ * @property {string[]} outputs - Files (or directories) the step produced
+ * @property {string} completed_at - ISO timestamp of completion
+ */
+
+/**
+ * Checkpoint manifest stored in the work directory
+ * @typedef {object} Manifest
+ * @property {string} path - Path of the manifest file
+ * @property {Record<string, StepRecord>} steps - Completed steps keyed by step ID
+ */
+
+const MANIFEST_NAME = "manifest.json";
+
+/**
+ * Loads the manifest from a work directory, starting a new one if none exists
+ * @param {string} workDir
+ * @returns {Manifest}
+ */
+function loadManifest(workDir) {
+	const manifestPath = path.join(workDir, MANIFEST_NAME);
+	if (!fs.existsSync(manifestPath)) {
+		return { path: manifestPath, steps: {} };
+	}
+
+	try {
+		const parsed = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+		return { path: manifestPath, steps: parsed.steps ?? {} };
+	} catch {
+		// A corrupt manifest only costs a full re-run
+		console.error(`Ignoring unreadable manifest ${manifestPath}`);
+		return { path: manifestPath, steps: {} };
+	}
+}
+
+/**
+ * Writes the manifest atomically (write to a temporary file, then rename)
+ * @param {Manifest} manifest
+ */
+function saveManifest(manifest) {
+	const tempPath = `${manifest.path}.tmp`;
+	fs.writeFileSync(
+		tempPath,
+		JSON.stringify({ steps: manifest.steps }, null, 2),
+	);
+	fs.renameSync(tempPath, manifest.path);
+}
+
+/**
+ * Hashes the given values into a fingerprint string
+ * @param {...any} parts - JSON-serialisable values the step output depends on
+ * @returns {string}
+ */
+function fingerprint(...parts) {
+	return crypto.createHash("sha1").update(JSON.stringify(parts)).digest("hex");
+}
+
+/**
+ * Describes an input file by path, size and modification time so that edits invalidate dependent steps
+ * @param {string} filePath
+ * @returns {string}
+ */
+function fileSignature(filePath) {
+	const stats = fs.statSync(filePath);
+	return `${path.resolve(filePath)}:${stats.size}:${stats.mtimeMs}`;
+}
+
+/**
+ * Checks whether a step has completed with the same fingerprint and its outputs still exist
+ * @param {Manifest} manifest
+ * @param {string} stepId
+ * @param {string} stepFingerprint
+ * @returns {boolean}
+ */
+function isStepComplete(manifest, stepId, stepFingerprint) {
+	const record = manifest.steps[stepId];
+	if (!record || record.fingerprint !== stepFingerprint) {
+		return false;
+	}
+	return record.outputs.every((output) => fs.existsSync(output));
+}
+
+/**
+ * Runs a step unless it is already complete, then records it in the manifest
+ * @param {Manifest} manifest
+ * @param {string} stepId - Unique step ID, e.g. "batch/part_001/VH/search"
+ * @param {string} stepFingerprint - Fingerprint of the step's inputs and parameters
+ * @param {string[]} outputs - Files produced by the step
+ * @param {() => Promise<void>} run - Runs the step (including any dependencies it needs)
+ * @returns {Promise<boolean>} - True if the step ran, false if it was skipped
+ */
+async function runStep(manifest, stepId, stepFingerprint, outputs, run) {
+	if (isStepComplete(manifest, stepId, stepFingerprint)) {
+		return false;
+	}
+
+	// Forget the old record first so an interrupted re-run is never mistaken for a finished one
+	delete manifest.steps[stepId];
+	saveManifest(manifest);
+
+	await run();
+
+	manifest.steps[stepId] = {
+		fingerprint: stepFingerprint,
+		outputs,
+		completed_at: new Date().toISOString(),
+	};
+	saveManifest(manifest);
+	return true;
+}
+
+export { fileSignature, fingerprint, isStepComplete, loadManifest, runStep };
@@ -1,120 +1,181 @@
-import * as node_fs from "node:fs";
+import path from "node:path";
 import yargs from "yargs/yargs";
+import { loadConfig } from "./config_schema.js";
+import { HIT_SELECTION_SCHEMA } from "./domtblout.js";
+import { METRIC_CONFIG_SCHEMA } from "./metrics.js";
+import { NUMBERING_CONFIG_SCHEMA } from "./numbering.js";
+import { REGION_MAP_SCHEMA } from "./regions.js";
+import { tableFormatOf } from "./tables.js";
 
 /**
  * @typedef {object} MatchesConfig
- * @property {{name: string, sequences: string[]}[]} queryEntries - Array of query objects with names (string) and sequences (array of strings).
+ * @property {import("./queries.js").QueryEntry[]} [queryEntries] - Array of query objects with names (string) and sequences (array of strings).
+ * @property {string} [queries_path] - FASTA file or table (CSV, TSV or JSON Lines) of further queries.
+ * @property {import("./queries.js").QueryColumns} [query_columns] - Name and chain columns of a `queries_path` table.
  * @property {number} max_LD - Maximum Levenshtein distance for matching sequences.
+ * @property {import("./metrics.js").MetricConfig} [metric] - How matches are scored (`{model}_Score` and `{model}_Identity`) and filtered beyond `max_LD`.
  * @property {number} hmm_coverage - Minimum required model coverage for hmmsearch hits.
- * @property {{name: string, model_paths: string[], counts_path: string}[]} libraries -  Array of objects with library name (string), model_paths (array of strings), and counts_path (string).
+ * @property {{name: string, model_paths: string[], counts_path: string, numbering_path?: string}[]} libraries -  Array of objects with library name (string), model_paths (array of strings), counts_path (string) and optionally the numbering_path (string) written by the counts pipeline.
  * @property {string} output_path - Path to write CSV output of all detected matches.
+ * @property {string} [trim_report_path] - Path to write the trim report of the queries (default `{output_path without extension}.trim_report.csv`).
+ * @property {"fail" | "skip" | "partial"} [missing_models] - What to do with queries without a sequence for every matched model or region (default "partial").
+ * @property {string} [query_cache_path] - JSON Lines cache of query hits (default next to `output_path`, as `{output_path without extension}.query_cache.jsonl`).
+ * @property {import("./domtblout.js").HitSelection} [hit_selection] - Filters and ranking rules for choosing the best hmmsearch hit per query.
+ * @property {number} [domain_score_threshold] - Domain bit score threshold passed to hmmsearch as --domT (default 150).
+ * @property {Record<string, import("./regions.js").RegionMap>} [regions] - Named regions (ranges of match-state positions) per model name.
+ * @property {string[]} [match_regions] - Match on these `{model}_{region}` columns instead of whole trimmed sequences.
+ * @property {import("./numbering.js").NumberingConfig} [numbering] - Number the trimmed query sequences and report mutations of matches.
  */
 
 /**
- * Validates whether the given input is a PipelineConfig object
- * @param {any} maybe_config
- * @returns {boolean}
+ * Schema of a MatchesConfig
+ * @type {import("./config_schema.js").Schema}
  */
-function is_config(maybe_config) {
-	if (typeof maybe_config !== "object") {
-		return false;
-	}
-	if (maybe_config === null) {
-		return false;
-	}
-
-	// Validate queryEntries
-	if (
-		!Array.isArray(maybe_config.queryEntries) ||
-		maybe_config.queryEntries.length === 0
-	) {
-		return false;
-	}
-
-	for (const entry of maybe_config.queryEntries) {
-		if (typeof entry !== "object" || entry === null) {
-			return false;
-		}
-		const { name, sequences } = entry;
-
-		if (typeof name !== "string") {
-			return false;
+const CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		queryEntries: {
+			type: "array",
+			nonEmpty: true,
+			items: {
+				type: "object",
+				properties: {
+					name: { type: "string", nonEmpty: true },
+					sequences: {
+						type: "array",
+						nonEmpty: true,
+						items: { type: "string", nonEmpty: true },
+					},
+					trimmed: {
+						type: "record",
+						items: { type: "string", nonEmpty: true },
+					},
+				},
+				required: ["name"],
+			},
+		},
+		queries_path: { type: "string", format: "file" },
+		query_columns: {
+			type: "object",
+			properties: {
+				name: { type: "string", nonEmpty: true },
+				sequences: {
+					type: "array",
+					nonEmpty: true,
+					items: { type: "string", nonEmpty: true },
+				},
+				trimmed: { type: "record", items: { type: "string", nonEmpty: true } },
+			},
+		},
+		max_LD: { type: "integer", min: 0 },
+		metric: METRIC_CONFIG_SCHEMA,
+		hmm_coverage: { type: "number", min: 0, max: 1 },
+		libraries: {
+			type: "array",
+			nonEmpty: true,
+			items: {
+				type: "object",
+				properties: {
+					name: { type: "string", nonEmpty: true },
+					model_paths: {
+						type: "array",
+						nonEmpty: true,
+						items: { type: "string", format: "file" },
+					},
+					counts_path: { type: "string", format: "file" },
+					numbering_path: { type: "string", format: "file" },
+				},
+				required: ["name", "model_paths", "counts_path"],
+			},
+		},
+		output_path: { type: "string", nonEmpty: true },
+		query_cache_path: { type: "string", nonEmpty: true },
+		trim_report_path: { type: "string", nonEmpty: true },
+		missing_models: { type: "string", values: ["fail", "skip", "partial"] },
+		hit_selection: HIT_SELECTION_SCHEMA,
+		domain_score_threshold: { type: "number" },
+		regions: { type: "record", items: REGION_MAP_SCHEMA },
+		match_regions: {
+			type: "array",
+			nonEmpty: true,
+			items: { type: "string", nonEmpty: true },
+		},
+		numbering: NUMBERING_CONFIG_SCHEMA,
+	},
+	required: ["max_LD", "hmm_coverage", "libraries", "output_path"],
+	check: ({
+		queryEntries,
+		queries_path,
+		query_columns,
+		libraries,
+		regions,
+		match_regions,
+	}) => {
+		/** @type {string[]} */
+		const problems = [];
+		if (queryEntries === undefined && queries_path === undefined) {
+			problems.push("queryEntries or queries_path is required");
 		}
 		if (
-			!Array.isArray(sequences) ||
-			sequences.length === 0 ||
-			!sequences.every((seq) => typeof seq === "string")
+			query_columns !== undefined &&
+			(queries_path === undefined ||
+				tableFormatOf(queries_path).format === "fasta")
 		) {
-			return false;
+			problems.push(
+				"query_columns requires a CSV, TSV or JSON Lines queries_path",
+			);
 		}
-	}
 
-	// Validate libraries
-	if (
-		!Array.isArray(maybe_config.libraries) ||
-		maybe_config.libraries.length === 0
-	) {
-		return false;
-	}
-
-	for (const library of maybe_config.libraries) {
-		if (typeof library !== "object" || library === null) {
-			return false;
+		// Every column to match on must name a declared region
+		const declared = new Set(
+			Object.entries(regions ?? {}).flatMap(([model, modelRegions]) =>
+				Object.keys(modelRegions).map((region) => `${model}_${region}`),
+			),
+		);
+		const undeclared = (match_regions ?? []).filter(
+			(/** @type {string} */ column) => !declared.has(column),
+		);
+		if (undeclared.length > 0) {
+			problems.push(
+				`match_regions ${undeclared.join(", ")} not declared in regions; declared: ${Array.from(declared).join(", ") || "none"}`,
+			);
 		}
-		const { name, model_paths, counts_path } = library;
 
-		if (typeof name !== "string") {
-			return false;
-		}
-		if (
-			!Array.isArray(model_paths) ||
-			model_paths.length === 0 ||
-			!model_paths.every((path) => typeof path === "string")
-		) {
-			return false;
-		}
-		if (typeof counts_path !== "string") {
-			return false;
+		// Pre-trimmed sequences stand in for a model or a declared region
+		const models = new Set(
+			libraries.flatMap((/** @type {{ model_paths: string[] }} */ library) =>
+				library.model_paths.map((modelPath) =>
+					path.basename(modelPath, path.extname(modelPath)),
+				),
+			),
+		);
+		const trimmedColumns = new Set([
+			...(queryEntries ?? []).flatMap(
+				(/** @type {{ trimmed?: Record<string, string> }} */ entry) =>
+					Object.keys(entry.trimmed ?? {}),
+			),
+			...Object.keys(query_columns?.trimmed ?? {}),
+		]);
+		const unknown = [...trimmedColumns].filter(
+			(column) => !models.has(column) && !declared.has(column),
+		);
+		if (unknown.length > 0) {
+			problems.push(
+				`trimmed sequences for ${unknown.join(", ")}, which are neither models nor declared regions`,
+			);
 		}
-	}
-
-	// Validate output path
-	const output_path = maybe_config.output_path;
-	if (typeof output_path !== "string") {
-		return false;
-	}
-
-	// Validate levenshtein distance filter
-	const max_LD = maybe_config.max_LD;
-	if (typeof max_LD !== "number") {
-		return false;
-	}
-
-	// Validate hmm coverage filter 
-	const hmm_coverage = maybe_config.hmm_coverage;
-	if (typeof hmm_coverage !== "number") {
-		return false;
-	}
-	return true;
-}
+		return problems;
+	},
+};
 
 /**
  * Reads + parses a JSON configuration file from given path
  * @param {string} config_path
- * @returns {MatchesConfig | null}
+ * @returns {MatchesConfig}
+ * @throws {Error} - Naming every missing or invalid field, including input files that cannot be read
  */
 function get_config_by_path(config_path) {
-	const config_buffer = node_fs.readFileSync(config_path);
-	const config_string = config_buffer.toString();
-	try {
-		const config = JSON.parse(config_string);
-		if (!is_config(config)) {
-			return null;
-		}
-		return config;
-	} catch (error) {
-		return null;
-	}
+	return loadConfig(config_path, CONFIG_SCHEMA);
 }
 
 /**
@@ -0,0 +1,292 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import { boundedLevenshtein, levenshteinDistance } from "./distance.js";
+import { closeStream, writeChunk } from "./fastq.js";
+import { fileSignature } from "./manifest.js";
+import { readTable, stripTableExtension } from "./tables.js";
+
+/**
+ * BK-tree over the distinct sequences of one column of a counts table
+ * Every distinct sequence is a node; node 0 is the root. A child sits at its Levenshtein distance
+ * from the parent, so a range search only descends into children whose edge is within reach.
+ * @typedef {object} ColumnIndex
+ * @property {string[]} values - Distinct sequences in order of first appearance
+ * @property {number[]} rowValues - Sequence (index into `values`) of every table row
+ * @property {Array<Array<[number, number]>>} children - `[distance, child]` edges of every node
+ */
+
+/**
+ * Indexes of the columns of one counts table
+ * @typedef {object} MatchIndex
+ * @property {string} source - Signature of the table the index was built from
+ * @property {number} rows - Number of table rows
+ * @property {Map<string, ColumnIndex>} columns
+ */
+
+/** Format version of persisted indexes; older files are rebuilt */
+const INDEX_VERSION = 1;
+
+/**
+ * Location of the persisted index of a counts table
+ * @param {string} tablePath
+ * @returns {string}
+ */
+function matchIndexPath(tablePath) {
+	return `${stripTableExtension(tablePath)}.match_index.jsonl`;
+}
+
+/**
+ * Builds the BK-tree of one column from its value in every row
+ * @param {string[]} column - Value of every row
+ * @returns {ColumnIndex}
+ */
+function buildColumnIndex(column) {
+	/** @type {Map<string, number>} */
+	const ids = new Map();
+	/** @type {ColumnIndex} */
+	const index = { values: [], rowValues: [], children: [] };
+	for (const value of column) {
+		let id = ids.get(value);
+		if (id === undefined) {
+			id = index.values.length;
+			ids.set(value, id);
+			index.values.push(value);
+			index.children.push([]);
+
+			// Walk down from the root to the free edge at this value's distance
+			let node = 0;
+			while (id > 0) {
+				const distance = levenshteinDistance(value, index.values[node]);
+				const edge = index.children[node].find(([d]) => d === distance);
+				if (!edge) {
+					index.children[node].push([distance, id]);
+					break;
+				}
+				node = edge[1];
+			}
+		}
+		index.rowValues.push(id);
+	}
+	return index;
+}
+
+/**
+ * Finds every distinct sequence of a column within a distance of the query
+ * Exact: the triangle inequality only prunes subtrees that cannot hold a sequence within reach.
+ * A node's distance is only computed up to the limit plus its longest edge; beyond that, neither
+ * the node nor any of its children can be within reach.
+ * @param {ColumnIndex} index
+ * @param {string} query
+ * @param {number} maxDistance
+ * @returns {Map<number, number>} - Distance of every sequence within reach, by index into `values`
+ */
+function searchColumnIndex(index, query, maxDistance) {
+	/** @type {Map<number, number>} */
+	const found = new Map();
+	if (index.values.length === 0) {
+		return found;
+	}
+	const stack = [0];
+	while (stack.length > 0) {
+		const node = /** @type {number} */ (stack.pop());
+		const children = index.children[node];
+		const longestEdge = children.reduce(
+			(max, [edge]) => Math.max(max, edge),
+			0,
+		);
+		const distance = boundedLevenshtein(
+			query,
+			index.values[node],
+			maxDistance + longestEdge,
+		);
+		if (distance <= maxDistance) {
+			found.set(node, distance);
+		}
+		for (const [edge, child] of children) {
+			if (Math.abs(edge - distance) <= maxDistance) {
+				stack.push(child);
+			}
+		}
+	}
+	return found;
+}
+
+/**
+ * Rows of every distinct sequence of a column, built on first use
+ * @type {WeakMap<ColumnIndex, number[][]>}
+ */
+const valueRowsCache = new WeakMap();
+
+/**
+ * @param {ColumnIndex} columnIndex
+ * @returns {number[][]} - Rows of each sequence, by index into `values`
+ */
+function valueRowsOf(columnIndex) {
+	let valueRows = valueRowsCache.get(columnIndex);
+	if (!valueRows) {
+		valueRows = columnIndex.values.map(() => []);
+		columnIndex.rowValues.forEach((id, row) => {
+			valueRows?.[id].push(row);
+		});
+		valueRowsCache.set(columnIndex, valueRows);
+	}
+	return valueRows;
+}
+
+/**
+ * Finds the rows within a distance of the query sequence in every column
+ * @param {MatchIndex} index
+ * @param {Map<string, string>} queryMap - Query sequence per indexed column
+ * @param {number} maxDistance
+ * @returns {Array<{ row: number, distances: number[] }>} - Rows in table order, with the distance per column in `queryMap` order
+ */
+function searchMatchIndex(index, queryMap, maxDistance) {
+	const searches = Array.from(queryMap, ([column, query]) => {
+		const columnIndex = index.columns.get(column);
+		if (!columnIndex) {
+			throw new Error(`Column ${column} is not indexed`);
+		}
+		return {
+			columnIndex,
+			found: searchColumnIndex(columnIndex, query, maxDistance),
+		};
+	});
+	if (searches.length === 0) {
+		return Array.from({ length: index.rows }, (_, row) => ({
+			row,
+			distances: [],
+		}));
+	}
+
+	// Rows of the sequences found in the first column, checked against the others
+	const [first, ...others] = searches;
+	const valueRows = valueRowsOf(first.columnIndex);
+	const rows = Array.from(first.found.keys())
+		.flatMap((id) => valueRows[id])
+		.sort((a, b) => a - b);
+	return rows.flatMap((row) => {
+		const distances = [
+			/** @type {number} */ (first.found.get(first.columnIndex.rowValues[row])),
+		];
+		for (const { columnIndex, found } of others) {
+			const distance = found.get(columnIndex.rowValues[row]);
+			if (distance === undefined) {
+				return [];
+			}
+			distances.push(distance);
+		}
+		return [{ row, distances }];
+	});
+}
+
+/**
+ * Reads a persisted index: a header line, then one line per column
+ * @param {string} indexPath
+ * @returns {Promise<MatchIndex | null>} - null if the file is missing or of another version
+ */
+async function readMatchIndex(indexPath) {
+	if (!fs.existsSync(indexPath)) {
+		return null;
+	}
+	const rl = readline.createInterface({
+		input: fs.createReadStream(indexPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+	/** @type {MatchIndex | null} */
+	let index = null;
+	for await (const line of rl) {
+		if (line === "") {
+			continue;
+		}
+		const record = JSON.parse(line);
+		if (!index) {
+			if (record.version !== INDEX_VERSION) {
+				rl.close();
+				return null;
+			}
+			index = { source: record.source, rows: record.rows, columns: new Map() };
+			continue;
+		}
+		const { column, values, rowValues, children } = record;
+		index.columns.set(column, { values, rowValues, children });
+	}
+	return index;
+}
+
+/**
+ * Writes an index next to its table
+ * @param {MatchIndex} index
+ * @param {string} indexPath
+ * @returns {Promise<void>}
+ */
+async function writeMatchIndex(index, indexPath) {
+	const out = fs.createWriteStream(indexPath);
+	const { source, rows } = index;
+	await writeChunk(
+		out,
+		`${JSON.stringify({ version: INDEX_VERSION, source, rows })}\n`,
+	);
+	for (const [column, { values, rowValues, children }] of index.columns) {
+		await writeChunk(
+			out,
+			`${JSON.stringify({ column, values, rowValues, children })}\n`,
+		);
+	}
+	await closeStream(out);
+}
+
+/**
+ * Loads the index of a counts table, building (and persisting) the columns it lacks
+ * The index is rebuilt when the table changed since it was written. If it cannot be written next
+ * to the table, it is only kept for this run.
+ * @param {string} tablePath
+ * @param {string[]} columns - Columns to index
+ * @returns {Promise<MatchIndex>}
+ */
+async function loadMatchIndex(tablePath, columns) {
+	const indexPath = matchIndexPath(tablePath);
+	const source = fileSignature(tablePath);
+	const persisted = await readMatchIndex(indexPath);
+	const index =
+		persisted?.source === source
+			? persisted
+			: { source, rows: 0, columns: new Map() };
+	const missing = columns.filter((column) => !index.columns.has(column));
+	if (missing.length === 0) {
+		return index;
+	}
+
+	console.log(`Indexing ${missing.join(", ")} of ${tablePath}...`);
+	/** @type {Map<string, string[]>} */
+	const values = new Map(missing.map((column) => [column, []]));
+	let rows = 0;
+	for await (const row of readTable(tablePath)) {
+		for (const [column, columnValues] of values) {
+			columnValues.push(row[column] ?? "");
+		}
+		rows++;
+	}
+	index.rows = rows;
+	for (const [column, columnValues] of values) {
+		index.columns.set(column, buildColumnIndex(columnValues));
+	}
+	try {
+		fs.accessSync(path.dirname(indexPath), fs.constants.W_OK);
+		await writeMatchIndex(index, indexPath);
+		console.log(`Index saved to: ${indexPath}`);
+	} catch (error) {
+		console.warn(
+			`Could not save the index of ${tablePath} (${error instanceof Error ? error.message : error}); it is rebuilt on the next run`,
+		);
+	}
+	return index;
+}
+
+export {
+	buildColumnIndex,
+	loadMatchIndex,
+	matchIndexPath,
+	searchColumnIndex,
+	searchMatchIndex,
+};
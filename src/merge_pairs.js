@@ -0,0 +1,195 @@
+import fs from "node:fs";
+import {
+	closeStream,
+	formatFastq,
+	readFastq,
+	reverseComplement,
+	writeChunk,
+} from "./fastq.js";
+
+/** @typedef {import("./fastq.js").FastqRecord} FastqRecord */
+
+/**
+ * What to do with mate pairs that do not overlap
+ * - "discard": drop the pair
+ * - "keep_r1": keep the R1 mate only
+ * - "keep_both": keep both mates as separate reads (suffixed "_R1" and "_R2")
+ * @typedef {"discard" | "keep_r1" | "keep_both"} UnmergedPolicy
+ */
+
+/**
+ * @typedef {object} MergeOptions
+ * @property {number} min_overlap - Minimum number of overlapping bases between R1 and reverse-complemented R2
+ * @property {number} max_mismatch_rate - Maximum fraction of mismatching bases within the overlap
+ * @property {UnmergedPolicy} unmerged_policy - Handling of pairs that cannot be merged
+ */
+
+/**
+ * @typedef {object} MergeStats
+ * @property {number} total_pairs - Number of read pairs read
+ * @property {number} merged - Number of pairs merged into one consensus read
+ * @property {number} unmerged_kept - Number of unmerged pairs kept according to the policy
+ * @property {number} unmerged_discarded - Number of unmerged pairs dropped
+ */
+
+/** @type {MergeOptions} */
+const DEFAULT_MERGE_OPTIONS = {
+	min_overlap: 20,
+	max_mismatch_rate: 0.1,
+	unmerged_policy: "discard",
+};
+
+/**
+ * Removes Illumina mate suffixes ("/1", "/2") from a read identifier
+ * @param {string} id
+ * @returns {string}
+ */
+function stripMateSuffix(id) {
+	return id.replace(/\/[12]$/, "");
+}
+
+/**
+ * Merges two overlapping mates into a single consensus read
+ * R2 is reverse complemented and slid along R1; the placement with the highest (matches - mismatches) score
+ * is used, preferring the longer overlap on ties. When the insert is shorter than the reads, each mate reads
+ * through into adapter past the other's start; those overhangs are trimmed from the consensus.
+ * At mismatching positions the base with the higher quality wins.
+ * @param {FastqRecord} r1
+ * @param {FastqRecord} r2
+ * @param {MergeOptions} options
+ * @returns {FastqRecord | null} - Merged read, or null if the mates do not overlap
+ */
+function mergeReadPair(r1, r2, options) {
+	const seq2 = reverseComplement(r2.sequence);
+	const qual2 = r2.quality.split("").reverse().join("");
+	const length1 = r1.sequence.length;
+	const length2 = seq2.length;
+
+	// Shift is where reverse-complemented R2 starts on R1; negative shifts are read-through
+	let bestShift = 0;
+	let bestOverlap = 0;
+	let bestScore = Number.NEGATIVE_INFINITY;
+	for (
+		let shift = options.min_overlap - length2;
+		shift <= length1 - options.min_overlap;
+		shift++
+	) {
+		const from = Math.max(0, shift);
+		const overlap = Math.min(length1, shift + length2) - from;
+		let mismatches = 0;
+		const allowed = Math.floor(overlap * options.max_mismatch_rate);
+		for (let i = from; i < from + overlap && mismatches <= allowed; i++) {
+			if (r1.sequence[i] !== seq2[i - shift]) {
+				mismatches++;
+			}
+		}
+		if (mismatches > allowed) {
+			continue;
+		}
+		const score = overlap - 2 * mismatches;
+		if (score > bestScore || (score === bestScore && overlap > bestOverlap)) {
+			bestScore = score;
+			bestShift = shift;
+			bestOverlap = overlap;
+		}
+	}
+
+	if (bestOverlap === 0) {
+		return null;
+	}
+
+	// R1 before the overlap, consensus over it keeping the higher-quality base, then the rest of R2.
+	// R2 before R1's start and R1 past R2's end lie outside the insert and are dropped.
+	const from = Math.max(0, bestShift);
+	let sequence = r1.sequence.slice(0, from);
+	let quality = r1.quality.slice(0, from);
+	for (let i = from; i < from + bestOverlap; i++) {
+		const base1 = r1.sequence[i];
+		const q1 = r1.quality[i];
+		const base2 = seq2[i - bestShift];
+		const q2 = qual2[i - bestShift];
+		if (base1 === base2 || q1 >= q2) {
+			sequence += base1;
+			quality += q1 >= q2 ? q1 : q2;
+		} else {
+			sequence += base2;
+			quality += q2;
+		}
+	}
+	const end = from + bestOverlap - bestShift; // End of the overlap on reverse-complemented R2
+	sequence += seq2.slice(end);
+	quality += qual2.slice(end);
+
+	return { id: stripMateSuffix(r1.id), comment: r1.comment, sequence, quality };
+}
+
+/**
+ * Merges an R1/R2 FASTQ pair into a single FASTQ file of consensus reads
+ * @param {string} r1Path - Path to the R1 FASTQ file (plain or gzipped)
+ * @param {string} r2Path - Path to the R2 FASTQ file (plain or gzipped)
+ * @param {string} outPath - Path to write the merged (uncompressed) FASTQ file
+ * @param {MergeOptions} options
+ * @returns {Promise<MergeStats>}
+ */
+async function mergeFastqPair(r1Path, r2Path, outPath, options) {
+	const reads1 = readFastq(r1Path);
+	const reads2 = readFastq(r2Path);
+	const out = fs.createWriteStream(outPath);
+
+	/** @type {MergeStats} */
+	const stats = {
+		total_pairs: 0,
+		merged: 0,
+		unmerged_kept: 0,
+		unmerged_discarded: 0,
+	};
+
+	while (true) {
+		const [next1, next2] = await Promise.all([reads1.next(), reads2.next()]);
+		if (next1.done || next2.done) {
+			if (!next1.done || !next2.done) {
+				out.destroy();
+				throw new Error(
+					`Mate files have different numbers of reads: ${r1Path}, ${r2Path}`,
+				);
+			}
+			break;
+		}
+
+		const r1 = next1.value;
+		const r2 = next2.value;
+		const id = stripMateSuffix(r1.id);
+		if (id !== stripMateSuffix(r2.id)) {
+			out.destroy();
+			throw new Error(`Mate IDs out of sync: '${r1.id}' vs '${r2.id}'`);
+		}
+		stats.total_pairs++;
+
+		const merged = mergeReadPair(r1, r2, options);
+		if (merged) {
+			stats.merged++;
+			await writeChunk(out, formatFastq(merged));
+			continue;
+		}
+
+		// Apply the unmerged policy
+		if (options.unmerged_policy === "discard") {
+			stats.unmerged_discarded++;
+		} else if (options.unmerged_policy === "keep_r1") {
+			stats.unmerged_kept++;
+			await writeChunk(out, formatFastq({ ...r1, id }));
+		} else {
+			stats.unmerged_kept++;
+			await writeChunk(
+				out,
+				formatFastq({ ...r1, id: `${id}_R1` }) +
+					formatFastq({ ...r2, id: `${id}_R2` }),
+			);
+		}
+	}
+
+	await closeStream(out);
+	return stats;
+}
+
+export { DEFAULT_MERGE_OPTIONS, mergeFastqPair, mergeReadPair };
@@ -0,0 +1,210 @@
+import { hammingDistance } from "./distance.js";
+import { substitutionScorer } from "./substitution_matrices.js";
+
+/**
+ * How a match is scored against its query
+ * Candidates are always the sequences within `max_LD` edits of the query; the metric then scores
+ * them and may drop some.
+ * - "levenshtein" (default): the edit distance
+ * - "hamming": substitutions between sequences of equal length; other lengths are no match
+ * - "blosum62" / "pam250": global alignment score under the substitution matrix, with a linear gap penalty
+ * - "identity": percent identity
+ * @typedef {object} MetricConfig
+ * @property {"levenshtein" | "hamming" | "blosum62" | "pam250" | "identity"} [name] - Metric written as `{model}_Score`
+ * @property {number} [gap_penalty] - Penalty per gap position of matrix alignments (default 8)
+ * @property {number} [min_score] - Drop matches with a lower matrix alignment score
+ * @property {number} [min_identity] - Drop matches with a lower percent identity (0-100)
+ */
+
+/**
+ * Score of a match, as written in the `{model}_Score` and `{model}_Identity` columns
+ * @typedef {object} MatchScore
+ * @property {number} score - Value of the metric
+ * @property {number} identity - Percent of alignment columns with identical residues
+ */
+
+/** Gap penalty of matrix alignments unless configured */
+const DEFAULT_GAP_PENALTY = 8;
+
+/**
+ * Needleman-Wunsch global alignment with a linear gap penalty
+ * Ties in the traceback prefer aligning residues over gaps.
+ * @param {string} a
+ * @param {string} b
+ * @param {(x: string, y: string) => number} substitution - Score of aligning two residues
+ * @param {number} gapPenalty - Subtracted for every residue aligned to a gap
+ * @returns {{ score: number, identical: number, columns: number }} - Alignment score, identical pairs and alignment length
+ */
+function alignGlobal(a, b, substitution, gapPenalty) {
+	const width = b.length + 1;
+	const scores = new Float64Array((a.length + 1) * width);
+	// 0: pair a[i - 1] with b[j - 1], 1: gap in b, 2: gap in a
+	const moves = new Uint8Array(scores.length);
+	for (let i = 1; i <= a.length; i++) {
+		scores[i * width] = -i * gapPenalty;
+		moves[i * width] = 1;
+	}
+	for (let j = 1; j <= b.length; j++) {
+		scores[j] = -j * gapPenalty;
+		moves[j] = 2;
+	}
+	for (let i = 1; i <= a.length; i++) {
+		for (let j = 1; j <= b.length; j++) {
+			const cell = i * width + j;
+			const pair = scores[cell - width - 1] + substitution(a[i - 1], b[j - 1]);
+			const gapB = scores[cell - width] - gapPenalty;
+			const gapA = scores[cell - 1] - gapPenalty;
+			if (pair >= gapB && pair >= gapA) {
+				scores[cell] = pair;
+			} else if (gapB >= gapA) {
+				scores[cell] = gapB;
+				moves[cell] = 1;
+			} else {
+				scores[cell] = gapA;
+				moves[cell] = 2;
+			}
+		}
+	}
+
+	let identical = 0;
+	let columns = 0;
+	let i = a.length;
+	let j = b.length;
+	while (i > 0 || j > 0) {
+		const move = moves[i * width + j];
+		if (move === 0) {
+			identical += a[i - 1] === b[j - 1] ? 1 : 0;
+			i--;
+			j--;
+		} else if (move === 1) {
+			i--;
+		} else {
+			j--;
+		}
+		columns++;
+	}
+	return { score: scores[scores.length - 1], identical, columns };
+}
+
+/**
+ * Percent identity, rounded to two decimals; two empty sequences are identical
+ * @param {number} identical
+ * @param {number} columns
+ * @returns {number}
+ */
+function percentIdentity(identical, columns) {
+	return columns === 0 ? 100 : Math.round((identical / columns) * 10000) / 100;
+}
+
+/**
+ * Percent identity of an alignment with the fewest edits
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editIdentity(a, b) {
+	const { identical, columns } = alignGlobal(
+		a,
+		b,
+		(x, y) => (x === y ? 0 : -1),
+		1,
+	);
+	return percentIdentity(identical, columns);
+}
+
+/**
+ * Builds the scorer of matches under a metric
+ * @param {MetricConfig} [metric]
+ * @param {number} [maxDistance=Infinity] - Largest Levenshtein or Hamming distance of a match (`max_LD`)
+ * @returns {(query: string, sequence: string, distance: number) => MatchScore | null} - Scores a sequence at a Levenshtein distance from the query; null if the metric rejects it
+ */
+function createMatchScorer(
+	metric = {},
+	maxDistance = Number.POSITIVE_INFINITY,
+) {
+	const { name = "levenshtein", min_score, min_identity } = metric;
+	/** @type {(query: string, sequence: string, distance: number) => MatchScore | null} */
+	let scoreMatch;
+	switch (name) {
+		case "levenshtein":
+			scoreMatch = (query, sequence, distance) => ({
+				score: distance,
+				identity: editIdentity(query, sequence),
+			});
+			break;
+		case "hamming":
+			scoreMatch = (query, sequence) => {
+				const distance = hammingDistance(query, sequence);
+				if (distance === null || distance > maxDistance) {
+					return null;
+				}
+				return {
+					score: distance,
+					identity: percentIdentity(query.length - distance, query.length),
+				};
+			};
+			break;
+		case "blosum62":
+		case "pam250": {
+			const substitution = substitutionScorer(name);
+			const gapPenalty = metric.gap_penalty ?? DEFAULT_GAP_PENALTY;
+			scoreMatch = (query, sequence) => {
+				const { score, identical, columns } = alignGlobal(
+					query,
+					sequence,
+					substitution,
+					gapPenalty,
+				);
+				if (min_score !== undefined && score < min_score) {
+					return null;
+				}
+				return { score, identity: percentIdentity(identical, columns) };
+			};
+			break;
+		}
+		case "identity":
+			scoreMatch = (query, sequence) => {
+				const identity = editIdentity(query, sequence);
+				return { score: identity, identity };
+			};
+			break;
+	}
+	if (min_identity === undefined) {
+		return scoreMatch;
+	}
+	return (query, sequence, distance) => {
+		const match = scoreMatch(query, sequence, distance);
+		return match && match.identity >= min_identity ? match : null;
+	};
+}
+
+/**
+ * Schema of a MetricConfig in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const METRIC_CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		name: {
+			type: "string",
+			values: ["levenshtein", "hamming", "blosum62", "pam250", "identity"],
+		},
+		gap_penalty: { type: "number", min: 0 },
+		min_score: { type: "number" },
+		min_identity: { type: "number", min: 0, max: 100 },
+	},
+	// Alignment options only apply to the matrix metrics
+	check: ({ name, gap_penalty, min_score }) => {
+		const matrix = name === "blosum62" || name === "pam250";
+		return [
+			...(gap_penalty !== undefined && !matrix
+				? ['gap_penalty requires name "blosum62" or "pam250"']
+				: []),
+			...(min_score !== undefined && !matrix
+				? ['min_score requires name "blosum62" or "pam250"']
+				: []),
+		];
+	},
+};
+
+export { METRIC_CONFIG_SCHEMA, alignGlobal, createMatchScorer };
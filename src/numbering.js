@@ -0,0 +1,237 @@
+import fs from "node:fs";
+import { closeStream, writeChunk } from "./fastq.js";
+
+/**
+ * Maps the match states of a model onto a residue numbering scheme
+ * @typedef {object} NumberingScheme
+ * @property {string} scheme - Scheme name, e.g. "IMGT"
+ * @property {string} chain - Chain code used in mutations, e.g. "H", "K" or "L"
+ * @property {(string | null)[]} positions - Position label of every match state (null for states without a number)
+ */
+
+/**
+ * Options for writing numbered sequences
+ * @typedef {object} NumberingConfig
+ * @property {string} outpath - Path to write the numbered sequences
+ * @property {"json" | "table"} [format] - JSON records or a wide CSV with one column per position (default "json")
+ * @property {Record<string, string>} [scheme_paths] - Mapping file per model name (default: next to the model, `{model}.imgt.json`)
+ */
+
+/**
+ * One numbered sequence of a counts row or query
+ * @typedef {object} NumberedSequence
+ * @property {string} id - Counts row number or query name
+ * @property {string} model - Model name
+ * @property {string} sequence - Trimmed sequence
+ * @property {string} scheme - Scheme name
+ * @property {string} chain - Chain code
+ * @property {Record<string, string>} numbering - Residue per position label
+ */
+
+/**
+ * Default location of the mapping file of a model
+ * @param {string} modelPath
+ * @returns {string}
+ */
+function defaultSchemePath(modelPath) {
+	return modelPath.replace(/(\.hmm)?$/, ".imgt.json");
+}
+
+/**
+ * Loads the numbering scheme of a model and checks it covers every match state
+ * @param {string} schemePath - Mapping file
+ * @param {number} modelLength - Number of match states in the model
+ * @returns {NumberingScheme}
+ */
+function readNumberingScheme(schemePath, modelLength) {
+	if (!fs.existsSync(schemePath)) {
+		throw new Error(
+			`Numbering scheme not found: ${schemePath} (set numbering.scheme_paths for this model)`,
+		);
+	}
+	const scheme = JSON.parse(fs.readFileSync(schemePath, "utf8"));
+	if (
+		typeof scheme?.scheme !== "string" ||
+		typeof scheme.chain !== "string" ||
+		!Array.isArray(scheme.positions) ||
+		!scheme.positions.every(
+			(/** @type {any} */ position) =>
+				position === null || typeof position === "string",
+		)
+	) {
+		throw new Error(
+			`Invalid numbering scheme ${schemePath}: expected "scheme", "chain" and a "positions" array of strings`,
+		);
+	}
+	if (scheme.positions.length !== modelLength) {
+		throw new Error(
+			`Numbering scheme ${schemePath} has ${scheme.positions.length} positions but the model has ${modelLength} match states`,
+		);
+	}
+	return scheme;
+}
+
+/**
+ * Letter suffix of the n-th insertion after a position (0 -> "A", 25 -> "Z", 26 -> "AA")
+ * @param {number} index
+ * @returns {string}
+ */
+function insertionSuffix(index) {
+	let suffix = "";
+	for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		suffix = String.fromCharCode(65 + ((n - 1) % 26)) + suffix;
+	}
+	return suffix;
+}
+
+/**
+ * Numbers the residues of a hit from its A2M row
+ * Matched residues take the position of their match state; residues inserted after a position
+ * get letter suffixes (111A, 111B, ...). Deleted states have no residue.
+ * @param {{ hmm_from: number, a2m: string }} hit - First model state and A2M row of the hit
+ * @param {NumberingScheme} scheme
+ * @returns {Record<string, string>}
+ */
+function numberAlignment(hit, scheme) {
+	/** @type {Record<string, string>} */
+	const numbering = {};
+	let state = hit.hmm_from - 1; // Last match state consumed
+	/** @type {string | null} */
+	let lastPosition = null; // Last numbered position, for insertions
+	let insertions = 0;
+
+	for (const char of hit.a2m) {
+		if (char >= "a" && char <= "z") {
+			if (lastPosition !== null) {
+				numbering[`${lastPosition}${insertionSuffix(insertions)}`] =
+					char.toUpperCase();
+				insertions++;
+			}
+			continue;
+		}
+		state++;
+		const position = scheme.positions[state - 1] ?? null;
+		if (position === null) {
+			continue;
+		}
+		lastPosition = position;
+		insertions = 0;
+		if (char !== "-") {
+			numbering[position] = char;
+		}
+	}
+	return numbering;
+}
+
+/**
+ * Orders position labels by number, then insertion suffix ("111" < "111A" < "111B" < "112")
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function comparePositions(a, b) {
+	const [, numberA = "", suffixA = ""] = a.match(/^(\d*)(.*)$/) ?? [];
+	const [, numberB = "", suffixB = ""] = b.match(/^(\d*)(.*)$/) ?? [];
+	return (
+		Number(numberA) - Number(numberB) ||
+		suffixA.length - suffixB.length ||
+		suffixA.localeCompare(suffixB)
+	);
+}
+
+/**
+ * Lists the differences between two numbered sequences as "{chain}:{from}{position}{to}"
+ * Positions present in only one sequence are reported with "-" for the missing residue.
+ * @param {Record<string, string>} reference - e.g. the query
+ * @param {Record<string, string>} numbering - e.g. the matched library sequence
+ * @param {string} chain
+ * @returns {string[]}
+ */
+function listMutations(reference, numbering, chain) {
+	const positions = Array.from(
+		new Set([...Object.keys(reference), ...Object.keys(numbering)]),
+	).sort(comparePositions);
+	return positions.flatMap((position) => {
+		const from = reference[position] ?? "-";
+		const to = numbering[position] ?? "-";
+		return from === to ? [] : [`${chain}:${from}${position}${to}`];
+	});
+}
+
+/**
+ * Writes numbered sequences as a JSON array or as a wide CSV table
+ * The table has one row per sequence and one column per position seen in any sequence, in position order.
+ * @param {NumberedSequence[]} sequences
+ * @param {string} outPath
+ * @param {"json" | "table"} [format="json"]
+ * @returns {Promise<void>}
+ */
+async function writeNumbering(sequences, outPath, format = "json") {
+	if (format === "json") {
+		fs.writeFileSync(outPath, JSON.stringify(sequences, null, 2));
+		return;
+	}
+
+	const positions = Array.from(
+		new Set(sequences.flatMap(({ numbering }) => Object.keys(numbering))),
+	).sort(comparePositions);
+	const out = fs.createWriteStream(outPath);
+	await writeChunk(
+		out,
+		`${["Id", "Model", "Scheme", "Chain", "Sequence", ...positions].join(",")}\n`,
+	);
+	for (const { id, model, sequence, scheme, chain, numbering } of sequences) {
+		await writeChunk(
+			out,
+			`${[
+				id,
+				model,
+				scheme,
+				chain,
+				sequence,
+				...positions.map((position) => numbering[position] ?? "-"),
+			].join(",")}\n`,
+		);
+	}
+	await closeStream(out);
+}
+
+/**
+ * Loads numbered sequences written in "json" format, keyed by model and sequence
+ * @param {string} numberingPath
+ * @returns {Map<string, NumberedSequence>} - Keyed by "model|sequence"
+ */
+function readNumbering(numberingPath) {
+	/** @type {NumberedSequence[]} */
+	const sequences = JSON.parse(fs.readFileSync(numberingPath, "utf8"));
+	return new Map(
+		sequences.map((numbered) => [
+			`${numbered.model}|${numbered.sequence}`,
+			numbered,
+		]),
+	);
+}
+
+/**
+ * Schema of a NumberingConfig in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const NUMBERING_CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		outpath: { type: "string", nonEmpty: true },
+		format: { type: "string", values: ["json", "table"] },
+		scheme_paths: { type: "record", items: { type: "string", format: "file" } },
+	},
+	required: ["outpath"],
+};
+
+export {
+	NUMBERING_CONFIG_SCHEMA,
+	defaultSchemePath,
+	listMutations,
+	numberAlignment,
+	readNumbering,
+	readNumberingScheme,
+	writeNumbering,
+};
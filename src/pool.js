@@ -0,0 +1,31 @@
+/**
+ * Runs an async worker over a list of items with at most `limit` workers in flight
+ * Results are returned in input order regardless of completion order.
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {(item: T, index: number) => Promise<R>} worker - Async function applied to each item
+ * @returns {Promise<R[]>}
+ */
+async function runPool(items, limit, worker) {
+	/** @type {R[]} */
+	const results = new Array(items.length);
+	let next = 0;
+
+	// Each runner pulls the next unclaimed item until the list is exhausted
+	async function runner() {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await worker(items[index], index);
+		}
+	}
+
+	const runners = Array.from(
+		{ length: Math.max(1, Math.min(limit, items.length)) },
+		() => runner(),
+	);
+	await Promise.all(runners);
+	return results;
+}
+
+export { runPool };
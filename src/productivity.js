@@ -0,0 +1,194 @@
+import fs from "node:fs";
+import readline from "node:readline";
+
+/**
+ * Handling of trimmed sequences that look non-functional
+ * - "keep": count them like any other sequence
+ * - "drop": leave them out of the counts
+ * - "flag": count them and mark their combinations in a `Productive` column
+ * @typedef {object} ProductivityConfig
+ * @property {"keep" | "drop" | "flag"} policy - What to do with non-productive sequences
+ * @property {number} [max_indel] - Largest net gap (residues) between alignment and model span before an "aa" hit counts as a frameshift (default 5)
+ * @property {string} [rejects_outpath] - Path to write every non-productive sequence with the reasons it was rejected
+ */
+
+/** Default for ProductivityConfig.max_indel */
+const DEFAULT_MAX_INDEL = 5;
+
+/** Stop codons of the standard genetic code */
+const STOP_CODONS = new Set(["TAA", "TAG", "TGA"]);
+
+/**
+ * Alignment facts of a selected hit needed to screen its trimmed sequence
+ * @typedef {object} ScreenedHit
+ * @property {number} indel - Net gap of the hit alignment (see alignmentIndel)
+ * @property {number} [frame] - Offset (0-2) of the first complete codon in a "dna" trimmed sequence
+ */
+
+/**
+ * Net gap length of an alignment: aligned target residues minus covered model positions
+ * Positive values are insertions in the read, negative values deletions.
+ * @param {number} aliFrom
+ * @param {number} aliTo
+ * @param {number} hmmFrom
+ * @param {number} hmmTo
+ * @returns {number}
+ */
+function alignmentIndel(aliFrom, aliTo, hmmFrom, hmmTo) {
+	return aliTo - aliFrom + 1 - (hmmTo - hmmFrom + 1);
+}
+
+/**
+ * Codon offset of the first complete codon in a trimmed nucleotide hit
+ * Models are assumed to start on a codon, so the offset follows from where the alignment enters the model.
+ * @param {number} hmmFrom - First model position covered by the hit (1-based)
+ * @returns {number}
+ */
+function codonOffset(hmmFrom) {
+	return (3 - ((hmmFrom - 1) % 3)) % 3;
+}
+
+/**
+ * Whether a nucleotide sequence has a stop codon when read codon by codon from an offset
+ * @param {string} sequence
+ * @param {number} frame - Offset (0-2) of the first codon
+ * @returns {boolean}
+ */
+function hasStopCodon(sequence, frame) {
+	const upper = sequence.toUpperCase();
+	for (let i = frame; i + 3 <= upper.length; i += 3) {
+		if (STOP_CODONS.has(upper.slice(i, i + 3))) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Lists the reasons a trimmed sequence is non-productive (empty if it looks functional)
+ * - "stop": stop codon, as "*" in a translated sequence or in the hit's frame of a "dna" sequence
+ * - "ambiguous": unknown residues ("X") or, in "dna" mode, bases other than A, C, G, T
+ * - "frameshift": net gap larger than `maxIndel` ("aa") or not a multiple of three ("dna")
+ * @param {string} sequence - Trimmed sequence
+ * @param {ScreenedHit | undefined} hit - Alignment of the hit, if known
+ * @param {{ mode: "aa" | "dna", maxIndel: number }} options
+ * @returns {string[]}
+ */
+function screenSequence(sequence, hit, options) {
+	/** @type {string[]} */
+	const reasons = [];
+	const indel = hit?.indel;
+	if (options.mode === "dna") {
+		if (hasStopCodon(sequence, hit?.frame ?? 0)) {
+			reasons.push("stop");
+		}
+		if (/[^ACGT]/i.test(sequence)) {
+			reasons.push("ambiguous");
+		}
+		if (indel !== undefined && indel % 3 !== 0) {
+			reasons.push("frameshift");
+		}
+		return reasons;
+	}
+
+	if (sequence.includes("*")) {
+		reasons.push("stop");
+	}
+	if (/X/i.test(sequence)) {
+		reasons.push("ambiguous");
+	}
+	if (indel !== undefined && Math.abs(indel) > options.maxIndel) {
+		reasons.push("frameshift");
+	}
+	return reasons;
+}
+
+/**
+ * Screens every record of a trimmed FASTA file and writes the non-productive ones as "hit<TAB>reasons" lines
+ * Hits are keyed by target and trimmed coordinates (see hitKeyOf), as a target can carry several domains.
+ * @param {string} trimmedFastaPath - Output of seqkit subseq
+ * @param {Map<string, ScreenedHit>} hits - Alignment of every selected hit, keyed by hit
+ * @param {string} outPath - Output TSV path
+ * @param {{ mode: "aa" | "dna", maxIndel: number }} options
+ * @returns {Promise<number>} - Number of non-productive sequences
+ */
+async function screenTrimmedFasta(trimmedFastaPath, hits, outPath, options) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(trimmedFastaPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+
+	/** @type {string[]} */
+	const rows = [];
+	/** @type {string | null} */
+	let hit = null;
+	let sequence = "";
+	const screen = () => {
+		if (hit === null) {
+			return;
+		}
+		const reasons = screenSequence(sequence, hits.get(hit), options);
+		if (reasons.length > 0) {
+			rows.push(`${hit}\t${reasons.join(";")}\n`);
+		}
+	};
+
+	for await (const line of rl) {
+		if (line.startsWith(">")) {
+			screen();
+			// Hit is everything before the subseq strand
+			hit = line.match(/^>(\S+?_\d+-\d+):[-+.]/)?.[1] ?? null;
+			sequence = "";
+		} else {
+			sequence += line.trim();
+		}
+	}
+	screen();
+
+	fs.writeFileSync(outPath, rows.join(""));
+	return rows.length;
+}
+
+/**
+ * Loads screening results keyed by hit
+ * @param {string} screenPath
+ * @param {Map<string, string[]>} [rejected] - Existing map to add to
+ * @returns {Promise<Map<string, string[]>>}
+ */
+async function readScreenResults(screenPath, rejected = new Map()) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(screenPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+	for await (const line of rl) {
+		const [hit, reasons] = line.split("\t");
+		if (hit && reasons) {
+			rejected.set(hit, reasons.split(";"));
+		}
+	}
+	return rejected;
+}
+
+/**
+ * Schema of a ProductivityConfig in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const PRODUCTIVITY_CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		policy: { type: "string", values: ["keep", "drop", "flag"] },
+		max_indel: { type: "integer", min: 0 },
+		rejects_outpath: { type: "string" },
+	},
+	required: ["policy"],
+};
+
+export {
+	DEFAULT_MAX_INDEL,
+	PRODUCTIVITY_CONFIG_SCHEMA,
+	alignmentIndel,
+	codonOffset,
+	readScreenResults,
+	screenSequence,
+	screenTrimmedFasta,
+};
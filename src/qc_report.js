@@ -0,0 +1,296 @@
+import fs from "node:fs";
+import readline from "node:readline";
+
+/**
+ * Read funnel of one split batch searched with one model
+ * @typedef {object} BatchQc
+ * @property {number} total_reads - Reads in the batch
+ * @property {number} failed_quality - Reads below min_quality
+ * @property {number} passed_quality - Reads searched against the model
+ * @property {number} reads_with_hit - Reads with at least one hit in any frame
+ * @property {number} reads_with_best_hit - Reads with a hit passing hmm_coverage and hit_selection
+ * @property {number} trimmed_sequences - Sequences written by trimming
+ * @property {Record<string, number>} score_histogram - Bit score of the highest-scoring hit per read, in bins of 10
+ * @property {Record<string, number>} coverage_histogram - Model coverage of the highest-scoring hit per read, in bins of 0.1
+ * @property {Record<string, number>} frame_counts - Winning frame ("aa" mode) or strand ("dna" mode) of the selected hits
+ */
+
+/**
+ * Funnel of one model within a sample
+ * @typedef {BatchQc & { model: string, reads_without_hit: number, reads_failing_selection: number }} ModelQc
+ */
+
+/**
+ * @typedef {object} SampleQc
+ * @property {string} sample - Sample name
+ * @property {import("./merge_pairs.js").MergeStats | null} merge - Mate merging statistics, if mates were merged
+ * @property {ModelQc[]} models - Funnel per model
+ * @property {{ dropped_missing_model: number, dropped_nonproductive: number, dropped_missing_region: number, counted: number }} counting - Reads dropped by countSeqs (no hit for a model, non-productive, or a counted region not covered) and reads counted
+ */
+
+/**
+ * @typedef {object} QcReport
+ * @property {{ min_quality: number, hmm_coverage: number }} settings - Thresholds the run used
+ * @property {SampleQc[]} samples
+ */
+
+/** Numeric funnel counters summed across batches */
+const FUNNEL_FIELDS = /** @type {const} */ ([
+	"total_reads",
+	"failed_quality",
+	"passed_quality",
+	"reads_with_hit",
+	"reads_with_best_hit",
+	"trimmed_sequences",
+]);
+
+/** Histogram fields merged across batches */
+const HISTOGRAM_FIELDS = /** @type {const} */ ([
+	"score_histogram",
+	"coverage_histogram",
+	"frame_counts",
+]);
+
+/**
+ * Strips the "_frame=N" suffix of a six-frame translation target
+ * @param {string} target
+ * @returns {string}
+ */
+function readIdOf(target) {
+	return target.replace(/_frame=-?\d$/, "");
+}
+
+/**
+ * Increments a histogram bin
+ * @param {Record<string, number>} histogram
+ * @param {string} bin
+ * @param {number} [amount=1]
+ */
+function addToHistogram(histogram, bin, amount = 1) {
+	histogram[bin] = (histogram[bin] ?? 0) + amount;
+}
+
+/**
+ * Summarises the search, selection and trimming stages of one batch
+ * @template {{ target_name: string, score: number }} Hit
+ * @param {import("./translate.js").FilterStats} filterStats - Quality filter statistics of the batch
+ * @param {AsyncIterable<Hit>} hits - All hits of the search, before best-hit selection
+ * @param {(hit: Hit) => number} coverageOf - Fraction of the model covered by a hit
+ * @param {string} bedPath - BED file of the selected hits
+ * @param {string} trimmedFastaPath - Trimmed FASTA file
+ * @returns {Promise<BatchQc>}
+ */
+async function summarizeBatch(
+	filterStats,
+	hits,
+	coverageOf,
+	bedPath,
+	trimmedFastaPath,
+) {
+	// Highest-scoring hit per read, regardless of hmm_coverage and hit_selection
+	/** @type {Map<string, Hit>} */
+	const topHits = new Map();
+	for await (const hit of hits) {
+		const readId = readIdOf(hit.target_name);
+		const existing = topHits.get(readId);
+		if (!existing || hit.score > existing.score) {
+			topHits.set(readId, hit);
+		}
+	}
+
+	/** @type {Record<string, number>} */
+	const score_histogram = {};
+	/** @type {Record<string, number>} */
+	const coverage_histogram = {};
+	for (const hit of topHits.values()) {
+		addToHistogram(score_histogram, String(Math.floor(hit.score / 10) * 10));
+		addToHistogram(
+			coverage_histogram,
+			(Math.min(Math.floor(coverageOf(hit) * 10), 10) / 10).toFixed(1),
+		);
+	}
+
+	// Selected hits: one BED row per target
+	/** @type {Set<string>} */
+	const selectedReads = new Set();
+	/** @type {Record<string, number>} */
+	const frame_counts = {};
+	for (const line of fs.readFileSync(bedPath, "utf8").split("\n")) {
+		if (line.trim() === "") {
+			continue;
+		}
+		const columns = line.split("\t");
+		const frame = columns[0].match(/_frame=(-?\d)$/)?.[1];
+		addToHistogram(frame_counts, frame ?? columns[5] ?? "+");
+		selectedReads.add(readIdOf(columns[0]));
+	}
+
+	return {
+		total_reads: filterStats.total_reads,
+		failed_quality: filterStats.failed_quality,
+		passed_quality: filterStats.passed_quality,
+		reads_with_hit: topHits.size,
+		reads_with_best_hit: selectedReads.size,
+		trimmed_sequences: await countFastaRecords(trimmedFastaPath),
+		score_histogram,
+		coverage_histogram,
+		frame_counts,
+	};
+}
+
+/**
+ * Counts the records of a FASTA file
+ * @param {string} fastaPath
+ * @returns {Promise<number>}
+ */
+async function countFastaRecords(fastaPath) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(fastaPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+	let records = 0;
+	for await (const line of rl) {
+		if (line.startsWith(">")) {
+			records++;
+		}
+	}
+	return records;
+}
+
+/**
+ * Combines per-batch funnels into a per-sample, per-model report
+ * @param {{ sample: string, model: string, qc: BatchQc }[]} batches - Batch funnels in output order
+ * @param {object} context
+ * @param {{ min_quality: number, hmm_coverage: number }} context.settings
+ * @param {Map<string, import("./merge_pairs.js").MergeStats>} context.merges - Merge statistics per sample
+ * @param {Map<string, { dropped_missing_model: number, dropped_nonproductive: number, dropped_missing_region: number, counted: number }>} context.counting - countSeqs statistics per sample
+ * @returns {QcReport}
+ */
+function buildQcReport(batches, { settings, merges, counting }) {
+	/** @type {Map<string, Map<string, ModelQc>>} */
+	const samples = new Map();
+	for (const { sample, model, qc } of batches) {
+		const models = samples.get(sample) ?? new Map();
+		samples.set(sample, models);
+		const existing = models.get(model);
+		if (!existing) {
+			models.set(model, {
+				model,
+				...structuredClone(qc),
+				reads_without_hit: 0,
+				reads_failing_selection: 0,
+			});
+			continue;
+		}
+		for (const field of FUNNEL_FIELDS) {
+			existing[field] += qc[field];
+		}
+		for (const field of HISTOGRAM_FIELDS) {
+			for (const [bin, count] of Object.entries(qc[field])) {
+				addToHistogram(existing[field], bin, count);
+			}
+		}
+	}
+
+	return {
+		settings,
+		samples: Array.from(samples, ([sample, models]) => ({
+			sample,
+			merge: merges.get(sample) ?? null,
+			models: Array.from(models.values(), (model) => ({
+				...model,
+				reads_without_hit: model.passed_quality - model.reads_with_hit,
+				reads_failing_selection:
+					model.reads_with_hit - model.reads_with_best_hit,
+			})),
+			counting: counting.get(sample) ?? {
+				dropped_missing_model: 0,
+				dropped_nonproductive: 0,
+				dropped_missing_region: 0,
+				counted: 0,
+			},
+		})),
+	};
+}
+
+/**
+ * Formats a count with its percentage of a reference count
+ * @param {number} count
+ * @param {number} reference
+ * @returns {string}
+ */
+function withPercent(count, reference) {
+	const percent = reference > 0 ? (count / reference) * 100 : 0;
+	return `${count} (${percent.toFixed(2)}%)`;
+}
+
+/**
+ * Formats a histogram as "bin: count" pairs in ascending bin order
+ * @param {Record<string, number>} histogram
+ * @returns {string}
+ */
+function formatHistogram(histogram) {
+	const bins = Object.keys(histogram).sort(
+		(a, b) => Number(a) - Number(b) || a.localeCompare(b),
+	);
+	return bins.length > 0
+		? bins.map((bin) => `${bin}: ${histogram[bin]}`).join(", ")
+		: "none";
+}
+
+/**
+ * Renders the QC report as a human-readable summary
+ * @param {QcReport} report
+ * @returns {string}
+ */
+function formatQcSummary(report) {
+	const { min_quality, hmm_coverage } = report.settings;
+	const lines = [
+		"Read funnel QC report",
+		`min_quality: ${min_quality}, hmm_coverage: ${hmm_coverage}`,
+	];
+	for (const { sample, merge, models, counting } of report.samples) {
+		lines.push("", `Sample: ${sample}`);
+		if (merge) {
+			lines.push(
+				`  Mate pairs merged:          ${withPercent(merge.merged, merge.total_pairs)} of ${merge.total_pairs}`,
+				`  Unmerged pairs kept:        ${merge.unmerged_kept}`,
+				`  Unmerged pairs discarded:   ${merge.unmerged_discarded}`,
+			);
+		}
+		for (const model of models) {
+			lines.push(
+				`  Model: ${model.model}`,
+				`    Input reads:              ${model.total_reads}`,
+				`    Failed min_quality:       ${withPercent(model.failed_quality, model.total_reads)}`,
+				`    No HMM hit:               ${withPercent(model.reads_without_hit, model.total_reads)}`,
+				`    Failed hit selection:     ${withPercent(model.reads_failing_selection, model.total_reads)}`,
+				`    Reads with best hit:      ${withPercent(model.reads_with_best_hit, model.total_reads)}`,
+				`    Trimmed sequences:        ${model.trimmed_sequences}`,
+				`    Top hit score:            ${formatHistogram(model.score_histogram)}`,
+				`    Top hit coverage:         ${formatHistogram(model.coverage_histogram)}`,
+				`    Winning frame/strand:     ${formatHistogram(model.frame_counts)}`,
+			);
+		}
+		lines.push(
+			`  Dropped for missing models: ${counting.dropped_missing_model}`,
+			`  Dropped as non-productive:  ${counting.dropped_nonproductive}`,
+			`  Dropped for missing region: ${counting.dropped_missing_region}`,
+			`  Counted reads:              ${counting.counted}`,
+		);
+	}
+	return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Writes the QC report as JSON and as a text summary
+ * @param {QcReport} report
+ * @param {string} jsonPath
+ * @param {string} textPath
+ */
+function writeQcReport(report, jsonPath, textPath) {
+	fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+	fs.writeFileSync(textPath, formatQcSummary(report));
+}
+
+export { buildQcReport, formatQcSummary, summarizeBatch, writeQcReport };
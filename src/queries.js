@@ -0,0 +1,207 @@
+import readline from "node:readline";
+import {
+	openTable,
+	readTable,
+	readTableColumns,
+	tableFormatOf,
+} from "./tables.js";
+
+/**
+ * A query of the matches pipeline: one sequence per chain, each searched against every model
+ * Pre-trimmed sequences are matched as they are, without HMMER, and take the place of the hit on
+ * their model or region.
+ * @typedef {object} QueryEntry
+ * @property {string} name
+ * @property {string[]} [sequences]
+ * @property {Record<string, string>} [trimmed] - Trimmed sequence per model name or `{model}_{region}` column
+ */
+
+/**
+ * Columns of a query table (CSV, TSV or JSON Lines), e.g. of an AIRR or OAS export
+ * @typedef {object} QueryColumns
+ * @property {string} [name] - Column with the query name (default "name")
+ * @property {string[]} [sequences] - Chain columns, in the order of the query's sequences (default ["heavy", "light"] without `trimmed`); empty and "NA" cells are skipped
+ * @property {Record<string, string>} [trimmed] - Column of the pre-trimmed sequence per model name or `{model}_{region}` column
+ */
+
+/** Columns of query tables unless configured */
+const DEFAULT_QUERY_COLUMNS = { name: "name", sequences: ["heavy", "light"] };
+
+/** Residues accepted in query sequences: the IUPAC amino-acid codes, in either case */
+const INVALID_RESIDUES = /[^ACDEFGHIKLMNPQRSTVWYBZJUOX]/gi;
+
+/** Query names become FASTA headers, file names and "query|model" keys */
+const INVALID_NAME = /[\s|/\\]/;
+
+/**
+ * Reads queries from a FASTA file, optionally gzipped
+ * The header ID up to the first "|" names the query, so ">q1|H" and ">q1|L" are the two chains of
+ * query "q1", in file order.
+ * @param {string} fastaPath
+ * @returns {Promise<{ entries: QueryEntry[], problems: string[] }>}
+ */
+async function readFastaQueries(fastaPath) {
+	const rl = readline.createInterface({
+		input: openTable(fastaPath),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+	/** @type {Map<string, string[]>} */
+	const queries = new Map();
+	const seen = new Set();
+	/** @type {string[]} */
+	const problems = [];
+	/** @type {string[] | null} */
+	let sequences = null;
+	let lineNumber = 0;
+	for await (const line of rl) {
+		lineNumber++;
+		if (line.startsWith(">")) {
+			const id = line.slice(1).trim().split(/\s+/)[0];
+			const name = id.split("|")[0];
+			if (seen.has(id)) {
+				problems.push(`line ${lineNumber}: duplicate record ${id}`);
+			}
+			seen.add(id);
+			sequences = queries.get(name) ?? [];
+			queries.set(name, sequences);
+			sequences.push("");
+		} else if (sequences) {
+			sequences[sequences.length - 1] += line.trim();
+		} else if (line.trim() !== "") {
+			problems.push(`line ${lineNumber}: sequence before the first header`);
+		}
+	}
+	return {
+		entries: Array.from(queries, ([name, sequences]) => ({ name, sequences })),
+		problems,
+	};
+}
+
+/**
+ * Reads queries from a table with one query per row and one column per chain
+ * @param {string} tablePath
+ * @param {QueryColumns} [columns]
+ * @returns {Promise<{ entries: QueryEntry[], problems: string[] }>}
+ */
+async function readTableQueries(tablePath, columns = {}) {
+	const nameColumn = columns.name ?? DEFAULT_QUERY_COLUMNS.name;
+	const sequenceColumns =
+		columns.sequences ??
+		(columns.trimmed ? [] : DEFAULT_QUERY_COLUMNS.sequences);
+	const trimmedColumns = Object.entries(columns.trimmed ?? {});
+	const header = new Set(await readTableColumns(tablePath));
+	const missing = [
+		nameColumn,
+		...sequenceColumns,
+		...trimmedColumns.map(([, column]) => column),
+	].filter((column) => !header.has(column));
+	if (missing.length > 0) {
+		return {
+			entries: [],
+			problems: [
+				`missing columns ${missing.join(", ")}; columns: ${Array.from(header).join(", ") || "none"}`,
+			],
+		};
+	}
+
+	/** @type {QueryEntry[]} */
+	const entries = [];
+	/** @param {string | undefined} cell */
+	const isSequence = (cell) =>
+		cell !== undefined && cell !== "" && cell !== "NA";
+	for await (const row of readTable(tablePath)) {
+		/** @type {QueryEntry} */
+		const entry = {
+			name: row[nameColumn]?.trim() ?? "",
+			sequences: sequenceColumns
+				.map((column) => row[column]?.trim())
+				.filter(isSequence),
+		};
+		const trimmed = trimmedColumns
+			.map(([key, column]) => [key, row[column]?.trim()])
+			.filter(([, sequence]) => isSequence(sequence));
+		if (trimmed.length > 0) {
+			entry.trimmed = Object.fromEntries(trimmed);
+		}
+		entries.push(entry);
+	}
+	return { entries, problems: [] };
+}
+
+/**
+ * Lists the problems of a set of queries: invalid or duplicate names, queries without sequences
+ * and sequences (including pre-trimmed ones) with characters other than amino acids
+ * @param {QueryEntry[]} entries
+ * @returns {string[]}
+ */
+function validateQueryEntries(entries) {
+	/** @type {string[]} */
+	const problems = [];
+	const names = new Set();
+	for (const { name, sequences = [], trimmed = {} } of entries) {
+		if (name === "" || INVALID_NAME.test(name)) {
+			problems.push(
+				`invalid query name ${JSON.stringify(name)}; names cannot be empty or contain whitespace, "|", "/" or "\\"`,
+			);
+		} else if (names.has(name)) {
+			problems.push(`duplicate query name ${name}`);
+		}
+		names.add(name);
+		if (sequences.length === 0 && Object.keys(trimmed).length === 0) {
+			problems.push(`query ${name} has no sequences`);
+		}
+		const labelled = [
+			...sequences.map((sequence, i) => [`sequence ${i + 1}`, sequence]),
+			...Object.entries(trimmed).map(([column, sequence]) => [
+				`trimmed ${column}`,
+				sequence,
+			]),
+		];
+		for (const [label, sequence] of labelled) {
+			const invalid = new Set(sequence.match(INVALID_RESIDUES));
+			if (invalid.size > 0) {
+				problems.push(
+					`query ${name}, ${label}: invalid amino-acid characters ${Array.from(
+						invalid,
+						(residue) => JSON.stringify(residue),
+					).join(", ")}`,
+				);
+			}
+		}
+	}
+	return problems;
+}
+
+/**
+ * Collects the queries of a matches config, inline and from `queries_path`, and checks them
+ * @param {{ queryEntries?: QueryEntry[], queries_path?: string, query_columns?: QueryColumns }} config
+ * @returns {Promise<QueryEntry[]>}
+ * @throws {Error} - Listing every problem found in the queries
+ */
+async function loadQueryEntries(config) {
+	const entries = [...(config.queryEntries ?? [])];
+	/** @type {string[]} */
+	const problems = [];
+	if (config.queries_path) {
+		const read =
+			tableFormatOf(config.queries_path).format === "fasta"
+				? await readFastaQueries(config.queries_path)
+				: await readTableQueries(config.queries_path, config.query_columns);
+		entries.push(...read.entries);
+		problems.push(
+			...read.problems.map((problem) => `${config.queries_path}: ${problem}`),
+		);
+		console.log(
+			`Read ${read.entries.length} queries from ${config.queries_path}`,
+		);
+	}
+	problems.push(...validateQueryEntries(entries));
+	if (problems.length > 0) {
+		throw new Error(
+			`Invalid queries:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`,
+		);
+	}
+	return entries;
+}
+
+export { loadQueryEntries, validateQueryEntries };
@@ -0,0 +1,114 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import readline from "node:readline";
+import { fingerprint } from "./manifest.js";
+import { stripTableExtension } from "./tables.js";
+
+/**
+ * Best hit of a query sequence on a model, cached between runs
+ * A query whose domains all fail the selection filters (e.g. `hmm_coverage`) keeps its best
+ * domain without `trimmed` and `a2m`, so the trim report can show why.
+ * @typedef {object} QueryHit
+ * @property {number} score - Domain bit score
+ * @property {number} coverage - Fraction of the model covered by the hit
+ * @property {number} from - First residue of the hit in the searched sequence (1-based)
+ * @property {number} to - Last residue of the hit in the searched sequence
+ * @property {number} hmm_from - First model position of the hit
+ * @property {number} hmm_to - Last model position of the hit
+ * @property {string} [trimmed] - Query sequence trimmed to the hit
+ * @property {string} [a2m] - A2M row of the hit over the model, if its alignment could be read from the hmmsearch output
+ */
+
+/** Format version of cached hits; hits of other versions are searched again */
+const CACHE_VERSION = 3;
+
+/**
+ * Default location of the query hit cache, next to the matches output
+ * @param {string} outputPath
+ * @returns {string}
+ */
+function queryCachePath(outputPath) {
+	return `${stripTableExtension(outputPath)}.query_cache.jsonl`;
+}
+
+/** @type {Map<string, string>} */
+const modelChecksums = new Map();
+
+/**
+ * SHA-1 of a model file's contents, so that a rebuilt model invalidates its cached hits
+ * @param {string} modelPath
+ * @returns {string}
+ */
+function modelChecksum(modelPath) {
+	let checksum = modelChecksums.get(modelPath);
+	if (checksum === undefined) {
+		checksum = crypto
+			.createHash("sha1")
+			.update(fs.readFileSync(modelPath))
+			.digest("hex");
+		modelChecksums.set(modelPath, checksum);
+	}
+	return checksum;
+}
+
+/**
+ * Cache key of a query sequence searched against a model
+ * @param {string} checksum - Model checksum
+ * @param {string} sequence - Query sequence as searched
+ * @param {...any} parameters - Search and hit selection settings the hit depends on
+ * @returns {string}
+ */
+function queryCacheKey(checksum, sequence, ...parameters) {
+	const sequenceHash = crypto.createHash("sha1").update(sequence).digest("hex");
+	return fingerprint(CACHE_VERSION, checksum, sequenceHash, ...parameters);
+}
+
+/**
+ * Reads the cached hits, one `{key, hit}` line each; unreadable lines are skipped
+ * @param {string} cachePath
+ * @returns {Promise<Map<string, QueryHit | null>>} - Hit per cache key, null if the query had none
+ */
+async function readQueryCache(cachePath) {
+	/** @type {Map<string, QueryHit | null>} */
+	const cache = new Map();
+	if (!fs.existsSync(cachePath)) {
+		return cache;
+	}
+	const rl = readline.createInterface({
+		input: fs.createReadStream(cachePath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+	for await (const line of rl) {
+		if (line.trim() === "") {
+			continue;
+		}
+		try {
+			const { key, hit } = JSON.parse(line);
+			cache.set(key, hit);
+		} catch {
+			// A line cut short by an interrupted run only costs a new search
+		}
+	}
+	return cache;
+}
+
+/**
+ * Appends hits to the cache
+ * @param {string} cachePath
+ * @param {Map<string, QueryHit | null>} hits - Hit per cache key
+ */
+function appendQueryCache(cachePath, hits) {
+	if (hits.size === 0) {
+		return;
+	}
+	const lines = Array.from(hits, ([key, hit]) => JSON.stringify({ key, hit }));
+	fs.appendFileSync(cachePath, `${lines.join("\n")}\n`);
+}
+
+export {
+	appendQueryCache,
+	modelChecksum,
+	queryCacheKey,
+	queryCachePath,
+	readQueryCache,
+};
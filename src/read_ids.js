@@ -0,0 +1,60 @@
+/**
+ * How hits on reads of different FASTQ files are joined into one read
+ * Read IDs are normalised before entries are grouped, so mates that differ only by a "/1" and "/2"
+ * suffix (or another pattern) count as the same read. Reads missing a model are dropped, or
+ * counted in a separate table with `unpaired_outpath`.
+ * - id_preset "illumina": strips a trailing "/1" or "/2" and any comment after the first whitespace
+ * - id_preset "sra": keeps "{accession}.{spot}" of fastq-dump IDs such as "SRR001666.1.2" or "SRR001666.1/2"
+ * @typedef {object} ReadPairingConfig
+ * @property {"illumina" | "sra"} [id_preset] - Built-in read ID normalisation
+ * @property {string} [id_pattern] - Regular expression applied to the read ID instead of a preset; the first capture group (or the whole match) is the normalised ID
+ * @property {string} [unpaired_outpath] - Path to write the counts of reads without a hit for every model
+ */
+
+/**
+ * Patterns of the built-in read ID presets; the first capture group is the normalised ID
+ * @type {Record<NonNullable<ReadPairingConfig["id_preset"]>, RegExp>}
+ */
+const READ_ID_PRESETS = {
+	illumina: /^(\S+?)(?:\/[12])?(?:\s|$)/,
+	sra: /^([SDE]RR\d+\.\d+)(?:[./][12])?(?:\s|$)/,
+};
+
+/**
+ * Builds a function that normalises a read ID; IDs the pattern does not match are kept as they are
+ * @param {ReadPairingConfig} [pairing]
+ * @returns {(readId: string) => string}
+ */
+function createReadIdNormalizer(pairing) {
+	const pattern = pairing?.id_pattern
+		? new RegExp(pairing.id_pattern)
+		: pairing?.id_preset
+			? READ_ID_PRESETS[pairing.id_preset]
+			: null;
+	if (!pattern) {
+		return (readId) => readId;
+	}
+	return (readId) => {
+		const match = readId.match(pattern);
+		return (match?.[1] ?? match?.[0]) || readId;
+	};
+}
+
+/**
+ * Schema of a ReadPairingConfig in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const READ_PAIRING_CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		id_preset: { type: "string", values: ["illumina", "sra"] },
+		id_pattern: { type: "string", format: "pattern" },
+		unpaired_outpath: { type: "string" },
+	},
+	check: ({ id_preset, id_pattern }) =>
+		id_preset !== undefined && id_pattern !== undefined
+			? ["id_pattern cannot be combined with id_preset"]
+			: [],
+};
+
+export { READ_PAIRING_CONFIG_SCHEMA, createReadIdNormalizer };
@@ -0,0 +1,59 @@
+/**
+ * Named regions of a model as inclusive ranges of HMM match-state positions, e.g. `{ "CDR3": [105, 117] }`
+ * @typedef {Record<string, [number, number]>} RegionMap
+ */
+
+/**
+ * Splits a hit into the residues of each named region
+ * Residues inserted between two match states of a region belong to that region.
+ * A region the hit does not cover completely is null.
+ * @param {{ hmm_from: number, hmm_to: number, a2m: string }} hit - Model coordinates and A2M row of the hit
+ * @param {RegionMap} regions
+ * @returns {Record<string, string | null>}
+ */
+function extractRegions(hit, regions) {
+	/** @type {Record<string, string | null>} */
+	const result = {};
+	for (const [name, [from, to]] of Object.entries(regions)) {
+		if (hit.hmm_from > from || hit.hmm_to < to) {
+			result[name] = null;
+			continue;
+		}
+
+		let residues = "";
+		let state = hit.hmm_from - 1; // Last match state consumed
+		for (const char of hit.a2m) {
+			const isInsertion = char >= "a" && char <= "z";
+			if (!isInsertion) {
+				state++;
+				if (state >= from && state <= to && char !== "-") {
+					residues += char;
+				}
+			} else if (state >= from && state < to) {
+				residues += char.toUpperCase();
+			}
+			if (state > to) {
+				break;
+			}
+		}
+		result[name] = residues;
+	}
+	return result;
+}
+
+/**
+ * Schema of a RegionMap in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const REGION_MAP_SCHEMA = {
+	type: "record",
+	items: {
+		type: "array",
+		length: 2,
+		items: { type: "integer", min: 1 },
+		check: ([from, to]) =>
+			from > to ? [`range starts after it ends (${from} > ${to})`] : [],
+	},
+};
+
+export { REGION_MAP_SCHEMA, extractRegions };
@@ -0,0 +1,399 @@
+import { once } from "node:events";
+import fs from "node:fs";
+import readline from "node:readline";
+import { pipeline } from "node:stream";
+import zlib from "node:zlib";
+import csv from "csv-parser";
+import { closeStream, writeChunk } from "./fastq.js";
+
+/**
+ * @typedef {{ [key: string]: string | number | null | undefined }} TableRow
+ */
+
+/**
+ * Output format of a result table, picked from the file extension
+ * - "csv": RFC 4180 CSV, fields with commas, quotes or line breaks are quoted
+ * - "tsv": tab-separated, with tabs, line breaks and backslashes escaped as \t, \n, \r and \\
+ * - "jsonl": one JSON object per row
+ * - "fasta": one record per sequence column, the other columns as "key=value" pairs in the header
+ * @typedef {"csv" | "tsv" | "jsonl" | "fasta"} TableFormat
+ */
+
+/**
+ * Options for writing a result table
+ * @typedef {object} TableWriterOptions
+ * @property {string[]} columns - Columns in output order
+ * @property {string[]} [sequenceColumns] - Columns written as FASTA records ("fasta" format only)
+ */
+
+/** Extensions recognised as table formats, optionally followed by ".gz" */
+const TABLE_EXTENSION = /\.(csv|tsv|jsonl|fasta|fa)(\.gz)?$/i;
+
+/**
+ * Escape sequences of TSV fields
+ * @type {Record<string, string>}
+ */
+const TSV_ESCAPES = { "\\": "\\\\", "\t": "\\t", "\n": "\\n", "\r": "\\r" };
+/** @type {Record<string, string>} */
+const TSV_UNESCAPES = { "\\": "\\", t: "\t", n: "\n", r: "\r" };
+
+/**
+ * Reads the table format and compression of a path from its extension (CSV if unrecognised)
+ * @param {string} tablePath
+ * @returns {{ format: TableFormat, gzip: boolean }}
+ */
+function tableFormatOf(tablePath) {
+	const gzip = tablePath.toLowerCase().endsWith(".gz");
+	const extension = tablePath.match(TABLE_EXTENSION)?.[1]?.toLowerCase();
+	if (extension === "tsv" || extension === "jsonl") {
+		return { format: extension, gzip };
+	}
+	if (extension === "fasta" || extension === "fa") {
+		return { format: "fasta", gzip };
+	}
+	return { format: "csv", gzip };
+}
+
+/**
+ * Strips a table extension (and ".gz") from a path, e.g. to name files written next to it
+ * @param {string} tablePath
+ * @returns {string}
+ */
+function stripTableExtension(tablePath) {
+	return tablePath.replace(TABLE_EXTENSION, "").replace(/\.gz$/i, "");
+}
+
+/**
+ * Lists the columns of all rows in order of first appearance
+ * @param {Iterable<TableRow>} rows
+ * @returns {string[]}
+ */
+function collectColumns(rows) {
+	/** @type {Set<string>} */
+	const columns = new Set();
+	for (const row of rows) {
+		for (const key of Object.keys(row)) {
+			columns.add(key);
+		}
+	}
+	return Array.from(columns);
+}
+
+/**
+ * Formats a value as an RFC 4180 CSV field
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteCsv(value) {
+	return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Escapes tabs, line breaks and backslashes of a TSV field
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeTsv(value) {
+	return value.replace(/[\\\t\n\r]/g, (char) => TSV_ESCAPES[char]);
+}
+
+/**
+ * Reverses escapeTsv
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeTsv(value) {
+	return value.replace(
+		/\\([\\tnr])/g,
+		(_, /** @type {string} */ char) => TSV_UNESCAPES[char],
+	);
+}
+
+/**
+ * Formats a cell for delimited output; missing values become "NA"
+ * @param {string | number | null | undefined} value
+ * @returns {string}
+ */
+function formatCell(value) {
+	return value === undefined || value === null ? "NA" : String(value);
+}
+
+/**
+ * Opens a streaming writer for a result table; the format and gzip compression follow the file extension
+ * @param {string} outPath
+ * @param {TableWriterOptions} options
+ * @returns {{ write: (row: TableRow) => Promise<void>, close: () => Promise<void> }}
+ */
+function createTableWriter(outPath, options) {
+	const { format, gzip } = tableFormatOf(outPath);
+	const { columns, sequenceColumns = [] } = options;
+	if (format === "fasta" && sequenceColumns.length === 0) {
+		throw new Error(`No sequence columns to write as FASTA: ${outPath}`);
+	}
+
+	const file = fs.createWriteStream(outPath);
+	/** @type {import("node:stream").Writable} */
+	const out = gzip ? zlib.createGzip() : file;
+	if (gzip) {
+		out.pipe(file);
+	}
+
+	// Header row of delimited formats
+	let pending =
+		format === "csv"
+			? `${columns.map(quoteCsv).join(",")}\n`
+			: format === "tsv"
+				? `${columns.map(escapeTsv).join("\t")}\n`
+				: "";
+	const headerColumns = columns.filter(
+		(column) => !sequenceColumns.includes(column),
+	);
+	let records = 0;
+
+	/**
+	 * Formats one row in the output format
+	 * @param {TableRow} row
+	 * @returns {string}
+	 */
+	const formatRow = (row) => {
+		if (format === "csv") {
+			return `${columns.map((column) => quoteCsv(formatCell(row[column]))).join(",")}\n`;
+		}
+		if (format === "tsv") {
+			return `${columns.map((column) => escapeTsv(formatCell(row[column]))).join("\t")}\n`;
+		}
+		if (format === "jsonl") {
+			return `${JSON.stringify(
+				Object.fromEntries(
+					columns.map((column) => [column, row[column] ?? null]),
+				),
+			)}\n`;
+		}
+
+		// FASTA: one record per sequence column, sharing an ID and the other columns
+		records++;
+		const fields = headerColumns
+			.map(
+				(column) => `${column}=${formatCell(row[column]).replace(/\s/g, "_")}`,
+			)
+			.join(" ");
+		return sequenceColumns
+			.filter((column) => row[column] !== undefined && row[column] !== null)
+			.map(
+				(column) =>
+					`>seq${records} column=${column}${fields ? ` ${fields}` : ""}\n${row[column]}\n`,
+			)
+			.join("");
+	};
+
+	return {
+		write: async (row) => {
+			await writeChunk(out, pending + formatRow(row));
+			pending = "";
+		},
+		close: async () => {
+			if (pending) {
+				await writeChunk(out, pending);
+			}
+			if (gzip) {
+				out.end();
+				await once(file, "finish");
+			} else {
+				await closeStream(out);
+			}
+		},
+	};
+}
+
+/**
+ * Writes rows to a result table; the format and gzip compression follow the file extension
+ * @param {Iterable<TableRow> | AsyncIterable<TableRow>} rows
+ * @param {string} outPath
+ * @param {TableWriterOptions} options
+ * @returns {Promise<number>} - Number of rows written
+ */
+async function writeTable(rows, outPath, options) {
+	const writer = createTableWriter(outPath, options);
+	let written = 0;
+	for await (const row of rows) {
+		await writer.write(row);
+		written++;
+	}
+	await writer.close();
+	return written;
+}
+
+/**
+ * Opens a table file for reading, transparently decompressing gzipped input
+ * Destroying the returned stream also closes the file.
+ * @param {string} tablePath
+ * @returns {import("node:stream").Readable}
+ */
+function openTable(tablePath) {
+	const input = fs.createReadStream(tablePath);
+	// Errors reach the reader through the returned stream, which pipeline destroys along with the file
+	return tablePath.toLowerCase().endsWith(".gz")
+		? pipeline(input, zlib.createGunzip(), () => {})
+		: input;
+}
+
+/**
+ * Streams the rows of a result table written in any supported format (missing values read as "NA")
+ * FASTA records sharing an ID are joined into one row, with each sequence under its "column".
+ * @param {string} tablePath
+ * @returns {AsyncGenerator<Record<string, string>>}
+ */
+async function* readTable(tablePath) {
+	const input = openTable(tablePath);
+	try {
+		yield* readRows(input, tableFormatOf(tablePath).format);
+	} finally {
+		// Readers that stop early leave the file open otherwise
+		input.destroy();
+	}
+}
+
+/**
+ * Parses the rows of an opened table (see readTable)
+ * @param {import("node:stream").Readable} input
+ * @param {TableFormat} format
+ * @returns {AsyncGenerator<Record<string, string>>}
+ */
+async function* readRows(input, format) {
+	if (format === "csv") {
+		for await (const row of input.pipe(csv())) {
+			yield row;
+		}
+		return;
+	}
+
+	const rl = readline.createInterface({
+		input,
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+
+	if (format === "tsv") {
+		/** @type {string[] | null} */
+		let columns = null;
+		for await (const line of rl) {
+			if (line === "") {
+				continue;
+			}
+			const fields = line.split("\t").map(unescapeTsv);
+			if (!columns) {
+				columns = fields;
+				continue;
+			}
+			yield Object.fromEntries(
+				columns.map((column, i) => [column, fields[i] ?? "NA"]),
+			);
+		}
+		return;
+	}
+
+	if (format === "jsonl") {
+		for await (const line of rl) {
+			if (line.trim() === "") {
+				continue;
+			}
+			/** @type {Record<string, unknown>} */
+			const record = JSON.parse(line);
+			yield Object.fromEntries(
+				Object.entries(record).map(([column, value]) => [
+					column,
+					formatCell(/** @type {any} */ (value)),
+				]),
+			);
+		}
+		return;
+	}
+
+	// FASTA: ">id column=name key=value ..." records, consecutive records of one ID form a row
+	/** @type {string | null} */
+	let id = null;
+	/** @type {Record<string, string>} */
+	let row = {};
+	/** @type {string | null} */
+	let column = null;
+	for await (const line of rl) {
+		if (line.startsWith(">")) {
+			const [recordId, ...fields] = line.slice(1).trim().split(/\s+/);
+			if (id !== null && recordId !== id) {
+				yield row;
+				row = {};
+			}
+			id = recordId;
+			column = null;
+			for (const field of fields) {
+				const separator = field.indexOf("=");
+				if (separator === -1) {
+					continue;
+				}
+				const key = field.slice(0, separator);
+				const value = field.slice(separator + 1);
+				if (key === "column") {
+					column = value;
+				} else {
+					row[key] = value;
+				}
+			}
+			if (column) {
+				row[column] = "";
+			}
+		} else if (column) {
+			row[column] += line.trim();
+		}
+	}
+	if (id !== null) {
+		yield row;
+	}
+}
+
+/**
+ * Reads the column names of a result table
+ * Delimited formats are read from the header row; JSON Lines and FASTA from the first row (empty if there is none).
+ * @param {string} tablePath
+ * @returns {Promise<string[]>}
+ */
+async function readTableColumns(tablePath) {
+	const { format } = tableFormatOf(tablePath);
+	if (format !== "csv" && format !== "tsv") {
+		for await (const row of readTable(tablePath)) {
+			return Object.keys(row);
+		}
+		return [];
+	}
+
+	const input = openTable(tablePath);
+	try {
+		if (format === "csv") {
+			for await (const header of input.pipe(csv({ headers: false }))) {
+				return Object.values(header);
+			}
+			return [];
+		}
+		const rl = readline.createInterface({
+			input,
+			crlfDelay: Number.POSITIVE_INFINITY,
+		});
+		for await (const line of rl) {
+			rl.close();
+			return line.split("\t").map(unescapeTsv);
+		}
+		return [];
+	} finally {
+		// Only the header is read, so the rest of the file is never consumed
+		input.destroy();
+	}
+}
+
+export {
+	collectColumns,
+	createTableWriter,
+	openTable,
+	readTable,
+	readTableColumns,
+	stripTableExtension,
+	tableFormatOf,
+	writeTable,
+};
@@ -0,0 +1,64 @@
+import { spawn } from "node:child_process";
+
+/**
+ * How to ask each external tool for its version
+ * @type {Record<string, { args: string[], pattern: RegExp }>}
+ */
+const TOOL_VERSIONS = {
+	seqkit: { args: ["version"], pattern: /seqkit (v\S+)/ },
+	hmmsearch: { args: ["-h"], pattern: /HMMER (\S+)/ },
+	nhmmer: { args: ["-h"], pattern: /HMMER (\S+)/ },
+};
+
+/**
+ * Runs a tool to read its version
+ * @param {string} tool
+ * @returns {Promise<string | null>} - The version ("unknown" if not printed), or null if the tool cannot be started
+ */
+function toolVersion(tool) {
+	const { args, pattern } = TOOL_VERSIONS[tool];
+	return new Promise((resolve) => {
+		const child = spawn(tool, args);
+		let output = "";
+		child.stdout.on("data", (data) => {
+			output += data;
+		});
+		child.stderr.on("data", (data) => {
+			output += data;
+		});
+		child.on("error", () => resolve(null));
+		child.on("close", () => resolve(output.match(pattern)?.[1] ?? "unknown"));
+	});
+}
+
+/**
+ * Checks that the external tools are on PATH and reports their versions
+ * @param {string[]} tools - Names from TOOL_VERSIONS, e.g. ["seqkit", "hmmsearch"]
+ * @returns {Promise<Map<string, string>>} - Version per tool
+ * @throws {Error} - Naming every tool that cannot be started
+ */
+async function checkTools(tools) {
+	/** @type {Map<string, string>} */
+	const versions = new Map();
+	/** @type {string[]} */
+	const missing = [];
+	for (const tool of tools) {
+		const version = await toolVersion(tool);
+		if (version === null) {
+			missing.push(tool);
+		} else {
+			versions.set(tool, version);
+		}
+	}
+	if (missing.length > 0) {
+		throw new Error(
+			`Required tools not found on PATH: ${missing.join(", ")} (see "Install System Dependencies" in the README)`,
+		);
+	}
+	console.log(
+		`Using ${Array.from(versions, ([tool, version]) => `${tool} ${version}`).join(", ")}`,
+	);
+	return versions;
+}
+
+export { checkTools };
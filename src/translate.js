@@ -0,0 +1,265 @@
+import fs from "node:fs";
+import {
+	closeStream,
+	readFastq,
+	reverseComplement,
+	writeChunk,
+} from "./fastq.js";
+import { createUmiExtractor } from "./umi.js";
+
+/**
+ * Per-file read filtering statistics
+ * @typedef {object} FilterStats
+ * @property {number} total_reads - Number of reads in the FASTQ file
+ * @property {number} passed_quality - Reads with average quality >= min_quality
+ * @property {number} failed_quality - Reads dropped by the quality filter
+ * @property {number} records_written - FASTA records written (six per read in "aa" mode)
+ * @property {number} missing_umi - Reads passing the quality filter without an extractable UMI
+ */
+
+/**
+ * @typedef {object} TranslateOptions
+ * @property {number} min_quality - Minimum average read quality
+ * @property {"aa" | "dna"} mode - Translate in six frames ("aa") or keep nucleotides ("dna")
+ * @property {import("./umi.js").UmiConfig} [umi] - Where to extract UMIs from, if any
+ */
+
+/** Reading frames in seqkit order; negative frames are read from the reverse complement */
+const FRAMES = [1, 2, 3, -1, -2, -3];
+
+/** Bases in the order used to build the standard genetic code table */
+const BASES = "TCAG";
+
+/** Amino acids of the standard genetic code, indexed by TCAG codon order */
+const STANDARD_CODE =
+	"FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG";
+
+/** @type {Map<string, string>} */
+const CODON_TABLE = new Map();
+for (let i = 0; i < 64; i++) {
+	const codon =
+		BASES[Math.floor(i / 16)] + BASES[Math.floor(i / 4) % 4] + BASES[i % 4];
+	CODON_TABLE.set(codon, STANDARD_CODE[i]);
+	CODON_TABLE.set(codon.replace(/T/g, "U"), STANDARD_CODE[i]);
+}
+
+/** Flush buffered FASTA output once it grows beyond this many characters */
+const FLUSH_SIZE = 1 << 16;
+
+/**
+ * Translates a nucleotide sequence in one reading frame (standard code, stops as "*", unknown codons as "X")
+ * Frames 1-3 start at offsets 0-2 of the read; frames -1 to -3 at offsets 0-2 of its reverse complement.
+ * A trailing incomplete codon is dropped.
+ * @param {string} sequence - Nucleotide sequence
+ * @param {number} frame - One of 1, 2, 3, -1, -2, -3
+ * @returns {string}
+ */
+function translateFrame(sequence, frame) {
+	const strand = frame < 0 ? reverseComplement(sequence) : sequence;
+	const upper = strand.toUpperCase();
+	let protein = "";
+	for (let i = Math.abs(frame) - 1; i + 3 <= upper.length; i += 3) {
+		protein += CODON_TABLE.get(upper.slice(i, i + 3)) ?? "X";
+	}
+	return protein;
+}
+
+/**
+ * Computes the average Phred+33 quality of a read
+ * @param {string} quality
+ * @returns {number}
+ */
+function averageQuality(quality) {
+	if (quality.length === 0) {
+		return 0;
+	}
+	let sum = 0;
+	for (let i = 0; i < quality.length; i++) {
+		sum += quality.charCodeAt(i) - 33;
+	}
+	return sum / quality.length;
+}
+
+/**
+ * Streams a plain or gzipped FASTQ file, drops reads below min_quality and writes FASTA records
+ * In "aa" mode every read is written in all six frames with seqkit-compatible "_frame=N" ID suffixes;
+ * in "dna" mode the nucleotide read is written unchanged.
+ * @param {string} fastqPath - Input FASTQ path
+ * @param {import("node:stream").Writable} output - Destination stream (a file or a process stdin)
+ * @param {TranslateOptions} options
+ * @param {import("node:stream").Writable} [umiOutput] - Destination for "read_id<TAB>umi" lines when options.umi is set
+ * @returns {Promise<FilterStats>}
+ */
+async function filterAndTranslate(fastqPath, output, options, umiOutput) {
+	/** @type {FilterStats} */
+	const stats = {
+		total_reads: 0,
+		passed_quality: 0,
+		failed_quality: 0,
+		records_written: 0,
+		missing_umi: 0,
+	};
+	const extractUmi =
+		options.umi && umiOutput ? createUmiExtractor(options.umi) : null;
+
+	let buffer = "";
+	let umiBuffer = "";
+	for await (const record of readFastq(fastqPath)) {
+		stats.total_reads++;
+		if (averageQuality(record.quality) < options.min_quality) {
+			stats.failed_quality++;
+			continue;
+		}
+		stats.passed_quality++;
+
+		if (extractUmi) {
+			const umi = extractUmi(record);
+			if (umi) {
+				umiBuffer += `${record.id}\t${umi}\n`;
+			} else {
+				stats.missing_umi++;
+			}
+		}
+
+		if (options.mode === "dna") {
+			buffer += `>${record.id}\n${record.sequence}\n`;
+			stats.records_written++;
+		} else {
+			for (const frame of FRAMES) {
+				buffer += `>${record.id}_frame=${frame}\n${translateFrame(record.sequence, frame)}\n`;
+				stats.records_written++;
+			}
+		}
+
+		if (buffer.length >= FLUSH_SIZE) {
+			await writeChunk(output, buffer);
+			buffer = "";
+		}
+		if (umiOutput && umiBuffer.length >= FLUSH_SIZE) {
+			await writeChunk(umiOutput, umiBuffer);
+			umiBuffer = "";
+		}
+	}
+	if (buffer) {
+		await writeChunk(output, buffer);
+	}
+	if (umiOutput && umiBuffer) {
+		await writeChunk(umiOutput, umiBuffer);
+	}
+
+	return stats;
+}
+
+/**
+ * Filters and translates a FASTQ file into a FASTA file, or into a stream such as hmmsearch's stdin
+ * @param {string} fastqPath - Input FASTQ path
+ * @param {string | import("node:stream").Writable} destination - Output FASTA path, or a stream that is left open for its owner to end
+ * @param {TranslateOptions} options
+ * @param {string} [umiPath] - Output path for the read ID -> UMI table when options.umi is set
+ * @returns {Promise<FilterStats>}
+ */
+async function filterAndTranslateInto(
+	fastqPath,
+	destination,
+	options,
+	umiPath,
+) {
+	const fileOutput =
+		typeof destination === "string"
+			? fs.createWriteStream(destination)
+			: undefined;
+	const umiOutput =
+		options.umi && umiPath ? fs.createWriteStream(umiPath) : undefined;
+	try {
+		const stats = await filterAndTranslate(
+			fastqPath,
+			fileOutput ?? /** @type {import("node:stream").Writable} */ (destination),
+			options,
+			umiOutput,
+		);
+		if (fileOutput) {
+			await closeStream(fileOutput);
+		}
+		if (umiOutput) {
+			await closeStream(umiOutput);
+		}
+		return stats;
+	} catch (error) {
+		fileOutput?.destroy();
+		umiOutput?.destroy();
+		throw error;
+	}
+}
+
+/**
+ * Reads a BED file of hits on translated reads ("{read}_frame=N", start, end, name), by target
+ * @param {string} bedPath
+ * @returns {Map<string, Array<[number, number]>>} - 0-based, end-exclusive ranges of every target in file order
+ */
+function readTargetRanges(bedPath) {
+	/** @type {Map<string, Array<[number, number]>>} */
+	const ranges = new Map();
+	for (const line of fs.readFileSync(bedPath, "utf8").split("\n")) {
+		const [target, start, end] = line.split("\t");
+		if (!target || start === undefined || end === undefined) {
+			continue;
+		}
+		const targetRanges = ranges.get(target) ?? [];
+		targetRanges.push([Number(start), Number(end)]);
+		ranges.set(target, targetRanges);
+	}
+	return ranges;
+}
+
+/**
+ * Trims translated reads to the ranges of BED files, translating again only the frames with a hit
+ * Records are written like `seqkit subseq --bed` output ("{target}_{from}-{to}:." headers, 1-based),
+ * so the translated reads never need to be kept on disk.
+ * @param {string} fastqPath - FASTQ file the reads were translated from
+ * @param {Array<{ bedPath: string, outPath: string }>} trims - BED files and the FASTA file each is trimmed into
+ * @returns {Promise<void>}
+ */
+async function trimTranslatedReads(fastqPath, trims) {
+	const jobs = trims.map(({ bedPath, outPath }) => ({
+		ranges: readTargetRanges(bedPath),
+		output: fs.createWriteStream(outPath),
+		buffer: "",
+	}));
+	try {
+		for await (const record of readFastq(fastqPath)) {
+			for (const frame of FRAMES) {
+				const target = `${record.id}_frame=${frame}`;
+				/** @type {string | null} */
+				let protein = null;
+				for (const job of jobs) {
+					for (const [start, end] of job.ranges.get(target) ?? []) {
+						protein ??= translateFrame(record.sequence, frame);
+						job.buffer += `>${target}_${start + 1}-${end}:.\n${protein.slice(start, end)}\n`;
+					}
+					if (job.buffer.length >= FLUSH_SIZE) {
+						await writeChunk(job.output, job.buffer);
+						job.buffer = "";
+					}
+				}
+			}
+		}
+		for (const job of jobs) {
+			await writeChunk(job.output, job.buffer);
+			await closeStream(job.output);
+		}
+	} catch (error) {
+		for (const { output } of jobs) {
+			output.destroy();
+		}
+		throw error;
+	}
+}
+
+export {
+	FRAMES,
+	averageQuality,
+	filterAndTranslate,
+	filterAndTranslateInto,
+	translateFrame,
+	trimTranslatedReads,
+};
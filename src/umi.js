@@ -0,0 +1,144 @@
+import fs from "node:fs";
+import readline from "node:readline";
+
+/**
+ * Where to find the unique molecular identifier of a read
+ * - source "header": `pattern` is a regular expression applied to the full read header
+ *   (ID and comment); the first capture group (or the whole match) is the UMI
+ * - source "sequence": the UMI is `length` bases starting at 0-based `offset` in the read
+ * @typedef {object} UmiConfig
+ * @property {"header" | "sequence"} source - Where the UMI is read from
+ * @property {string} [pattern] - Regular expression for "header" UMIs
+ * @property {number} [offset] - Start of the UMI in the read for "sequence" UMIs
+ * @property {number} [length] - Length of the UMI for "sequence" UMIs
+ * @property {boolean} [merge_mismatches] - Treat UMIs one mismatch apart as the same molecule
+ */
+
+/**
+ * Builds a function that extracts the UMI from a FASTQ record, or null if it has none
+ * @param {UmiConfig} umi
+ * @returns {(record: import("./fastq.js").FastqRecord) => string | null}
+ */
+function createUmiExtractor(umi) {
+	if (umi.source === "header") {
+		const pattern = new RegExp(umi.pattern ?? "");
+		return (record) => {
+			const header = record.comment
+				? `${record.id} ${record.comment}`
+				: record.id;
+			const match = header.match(pattern);
+			if (!match) {
+				return null;
+			}
+			return match[1] ?? match[0];
+		};
+	}
+
+	const offset = umi.offset ?? 0;
+	const length = umi.length ?? 0;
+	return (record) => {
+		if (record.sequence.length < offset + length) {
+			return null;
+		}
+		return record.sequence.slice(offset, offset + length).toUpperCase();
+	};
+}
+
+/**
+ * Streams a read ID -> UMI table written during translation
+ * @param {string} umiPath
+ * @returns {AsyncGenerator<{ readId: string, umi: string }>}
+ */
+async function* readUmiRecords(umiPath) {
+	const rl = readline.createInterface({
+		input: fs.createReadStream(umiPath, "utf8"),
+		crlfDelay: Number.POSITIVE_INFINITY,
+	});
+	for await (const line of rl) {
+		const [readId, umi] = line.split("\t");
+		if (readId && umi) {
+			yield { readId, umi };
+		}
+	}
+}
+
+/**
+ * Checks whether two equal-length UMIs differ at exactly one position
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isOneMismatch(a, b) {
+	if (a.length !== b.length) {
+		return false;
+	}
+	let mismatches = 0;
+	for (let i = 0; i < a.length && mismatches < 2; i++) {
+		if (a[i] !== b[i]) {
+			mismatches++;
+		}
+	}
+	return mismatches === 1;
+}
+
+/**
+ * Counts distinct molecules among the UMIs of one sequence combination
+ * With `mergeMismatches`, UMIs are visited from most to least reads and each one that is a
+ * single mismatch away from an already accepted UMI is absorbed into it.
+ * @param {Map<string, number>} umiCounts - Reads per UMI
+ * @param {boolean} mergeMismatches
+ * @returns {number}
+ */
+function countMolecules(umiCounts, mergeMismatches) {
+	if (!mergeMismatches) {
+		return umiCounts.size;
+	}
+
+	const ordered = Array.from(umiCounts.entries())
+		.sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+		.map(([umi]) => umi);
+
+	/** @type {string[]} */
+	const accepted = [];
+	for (const umi of ordered) {
+		if (!accepted.some((parent) => isOneMismatch(parent, umi))) {
+			accepted.push(umi);
+		}
+	}
+	return accepted.length;
+}
+
+/**
+ * Schema of a UmiConfig in a config file
+ * @type {import("./config_schema.js").Schema}
+ */
+const UMI_CONFIG_SCHEMA = {
+	type: "object",
+	properties: {
+		source: { type: "string", values: ["header", "sequence"] },
+		pattern: { type: "string", format: "pattern" },
+		offset: { type: "integer", min: 0 },
+		length: { type: "integer", min: 1 },
+		merge_mismatches: { type: "boolean" },
+	},
+	required: ["source"],
+	check: ({ source, pattern, offset, length }) => {
+		if (source === "header" && pattern === undefined) {
+			return ['"header" UMIs need a pattern'];
+		}
+		if (
+			source === "sequence" &&
+			(offset === undefined || length === undefined)
+		) {
+			return ['"sequence" UMIs need an offset and a length'];
+		}
+		return [];
+	},
+};
+
+export {
+	UMI_CONFIG_SCHEMA,
+	countMolecules,
+	createUmiExtractor,
+	readUmiRecords,
+};
@@ -0,0 +1,268 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { clusterVariants } from "../src/cluster.js";
+import { levenshteinDistance } from "../src/distance.js";
+
+/**
+ * Count rows as countSeqs writes them, with frequencies over the whole table
+ * @param {Array<[string, string, number]>} entries - VH, VL and count of every row
+ * @returns {import("../src/cluster.js").CountRow[]}
+ */
+const countRows = (entries) => {
+	const total = entries.reduce((sum, [, , count]) => sum + count, 0);
+	return entries.map(([VH, VL, count]) => ({
+		VH,
+		VL,
+		Count: count,
+		Total_Count: total,
+		Frequency: count / total,
+	}));
+};
+
+/**
+ * Clusters by comparing every row with every parent, the definition clusterVariants implements
+ * @param {import("../src/cluster.js").CountRow[]} rows
+ * @param {string[]} modelColumns
+ * @param {import("../src/cluster.js").ClusteringConfig} config
+ */
+const clusterAllPairs = (rows, modelColumns, config) => {
+	/** @type {import("../src/cluster.js").CountRow[]} */
+	const parents = [];
+	/** @type {Map<import("../src/cluster.js").CountRow, import("../src/cluster.js").CountRow[]>} */
+	const members = new Map();
+	const ordered = [...rows].sort((a, b) => Number(b.Count) - Number(a.Count));
+	for (const row of ordered) {
+		const parent = parents.find(
+			(candidate) =>
+				Number(candidate.Count) >= config.min_ratio * Number(row.Count) &&
+				modelColumns.every(
+					(column) =>
+						levenshteinDistance(
+							String(row[column]),
+							String(candidate[column]),
+						) <= config.max_distance,
+				),
+		);
+		if (parent) {
+			members.get(parent)?.push(row);
+		} else {
+			parents.push(row);
+			members.set(row, []);
+		}
+	}
+	return parents.map((parent) => ({
+		VH: parent.VH,
+		VL: parent.VL,
+		Count: [parent, ...(members.get(parent) ?? [])].reduce(
+			(sum, row) => sum + Number(row.Count),
+			0,
+		),
+		Absorbed_Variants: members.get(parent)?.length,
+	}));
+};
+
+const CONFIG = { max_distance: 1, min_ratio: 5 };
+
+describe("clusterVariants", () => {
+	it("absorbs a rare neighbour into the abundant parent, not the other way", () => {
+		const { rows, variants } = clusterVariants(
+			countRows([
+				["EVQLV", "DIQMT", 5],
+				["EVQLA", "DIQMT", 100],
+			]),
+			["VH", "VL"],
+			CONFIG,
+		);
+		assert.deepEqual(
+			rows.map(({ VH, Count, Parent_Count, Absorbed_Variants }) => [
+				VH,
+				Count,
+				Parent_Count,
+				Absorbed_Variants,
+			]),
+			[["EVQLA", 105, 100, 1]],
+		);
+		assert.deepEqual(variants, [
+			{
+				VH_Variant: "EVQLV",
+				VL_Variant: "DIQMT",
+				VH_Parent: "EVQLA",
+				VL_Parent: "DIQMT",
+				Variant_Count: 5,
+				Parent_Count: 100,
+			},
+		]);
+	});
+
+	it("requires every model column to be within max_distance", () => {
+		const { rows, variants } = clusterVariants(
+			countRows([
+				["EVQLA", "DIQMT", 100],
+				["EVQLV", "DIQAA", 5],
+			]),
+			["VH", "VL"],
+			CONFIG,
+		);
+		assert.equal(rows.length, 2);
+		assert.deepEqual(variants, []);
+	});
+
+	it("absorbs at exactly min_ratio times the count and not below", () => {
+		for (const [parentCount, absorbed] of [
+			[50, true],
+			[49, false],
+		]) {
+			const { variants } = clusterVariants(
+				countRows([
+					["EVQLA", "DIQMT", Number(parentCount)],
+					["EVQLV", "DIQMT", 10],
+				]),
+				["VH", "VL"],
+				CONFIG,
+			);
+			assert.equal(variants.length, absorbed ? 1 : 0, `parent ${parentCount}`);
+		}
+	});
+
+	it("does not chain through variants", () => {
+		// AAAC is a variant of AAAA; AACC is in reach of AAAC only, so it stays a parent
+		const { rows, variants } = clusterVariants(
+			countRows([
+				["AAAA", "DIQMT", 1000],
+				["AAAC", "DIQMT", 100],
+				["AACC", "DIQMT", 10],
+			]),
+			["VH", "VL"],
+			CONFIG,
+		);
+		assert.deepEqual(
+			rows.map(({ VH, Count }) => [VH, Count]),
+			[
+				["AAAA", 1100],
+				["AACC", 10],
+			],
+		);
+		assert.deepEqual(
+			variants.map(({ VH_Variant, VH_Parent }) => [VH_Variant, VH_Parent]),
+			[["AAAC", "AAAA"]],
+		);
+	});
+
+	it("adds count columns and recomputes frequencies from them", () => {
+		const input = [
+			{
+				VH: "EVQLA",
+				Count: 90,
+				Total_Count: 120,
+				Frequency: 0.75,
+				S1_Count: 60,
+				S1_Frequency: 60 / 70,
+				S2_Count: 30,
+				S2_Frequency: 30 / 50,
+			},
+			{
+				VH: "EVQLV",
+				Count: 10,
+				Total_Count: 120,
+				Frequency: 10 / 120,
+				S1_Count: 0,
+				S1_Frequency: 0,
+				S2_Count: 10,
+				S2_Frequency: 10 / 50,
+			},
+			{
+				VH: "QVQLQ",
+				Count: 20,
+				Total_Count: 120,
+				Frequency: 20 / 120,
+				S1_Count: 10,
+				S1_Frequency: 10 / 70,
+				S2_Count: 10,
+				S2_Frequency: 10 / 50,
+			},
+		];
+		const { rows } = clusterVariants(input, ["VH"], CONFIG);
+		assert.deepEqual(rows, [
+			{
+				VH: "EVQLA",
+				Count: 100,
+				Total_Count: 120,
+				Frequency: 100 / 120,
+				S1_Count: 60,
+				S1_Frequency: 60 / 70,
+				S2_Count: 40,
+				S2_Frequency: 40 / 50,
+				Parent_Count: 90,
+				Absorbed_Variants: 1,
+			},
+			{
+				...input[2],
+				Parent_Count: 20,
+				Absorbed_Variants: 0,
+			},
+		]);
+		// The input rows are left untouched
+		assert.equal(input[0].Count, 90);
+	});
+
+	it("matches an all-pairs comparison", () => {
+		let seed = 5;
+		const random = () => {
+			seed = (seed * 48271) % 2147483647;
+			return seed / 2147483647;
+		};
+		/** @param {string} sequence */
+		const mutate = (sequence) => {
+			const at = Math.floor(random() * sequence.length);
+			const residue = "ACDE"[Math.floor(random() * 4)];
+			const edit = Math.floor(random() * 3);
+			return (
+				sequence.slice(0, at) +
+				(edit === 0 ? "" : residue) +
+				sequence.slice(edit === 1 ? at : at + 1)
+			);
+		};
+
+		/** @type {Map<string, [string, string, number]>} */
+		const entries = new Map();
+		for (let i = 0; i < 40; i++) {
+			const VH = Array.from(
+				{ length: 6 },
+				() => "ACDE"[Math.floor(random() * 4)],
+			).join("");
+			const VL = Array.from(
+				{ length: 4 },
+				() => "ACDE"[Math.floor(random() * 4)],
+			).join("");
+			entries.set(`${VH},${VL}`, [VH, VL, 1 + Math.floor(random() * 1000)]);
+			for (let j = 0; j < 3; j++) {
+				const variant = [mutate(VH), random() < 0.7 ? VL : mutate(VL)];
+				entries.set(variant.join(), [
+					variant[0],
+					variant[1],
+					1 + Math.floor(random() * 100),
+				]);
+			}
+		}
+		const rows = countRows([...entries.values()]);
+
+		for (const config of [
+			{ max_distance: 1, min_ratio: 2 },
+			{ max_distance: 2, min_ratio: 5 },
+		]) {
+			const clustered = clusterVariants(rows, ["VH", "VL"], config);
+			assert.deepEqual(
+				clustered.rows.map(({ VH, VL, Count, Absorbed_Variants }) => ({
+					VH,
+					VL,
+					Count,
+					Absorbed_Variants,
+				})),
+				clusterAllPairs(rows, ["VH", "VL"], config).sort(
+					(a, b) => b.Count - a.Count,
+				),
+			);
+			assert.ok(clustered.variants.length > 0);
+		}
+	});
+});
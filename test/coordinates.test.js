@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { aaToNucleotide } from "../src/coordinates.js";
+import { reverseComplement } from "../src/fastq.js";
+import { translateFrame } from "../src/translate.js";
+
+const READ = "GATGGCCAAATTTGGGTAACC"; // 21 nt
+
+describe("aaToNucleotide", () => {
+	it("maps forward frames onto the read from the frame offset", () => {
+		assert.deepEqual(aaToNucleotide(1, 1, 2, READ.length), {
+			strand: "+",
+			nt_from: 1,
+			nt_to: 6,
+		});
+		assert.deepEqual(aaToNucleotide(2, 2, 4, READ.length), {
+			strand: "+",
+			nt_from: 5,
+			nt_to: 13,
+		});
+	});
+
+	it("maps reverse frames back onto the forward strand", () => {
+		assert.deepEqual(aaToNucleotide(-1, 1, 1, READ.length), {
+			strand: "-",
+			nt_from: 19,
+			nt_to: 21,
+		});
+		assert.deepEqual(aaToNucleotide(-3, 2, 3, READ.length), {
+			strand: "-",
+			nt_from: 11,
+			nt_to: 16,
+		});
+	});
+
+	it("covers the codons of the residues in every frame", () => {
+		for (const frame of [1, 2, 3, -1, -2, -3]) {
+			const protein = translateFrame(READ, frame);
+			const { nt_from, nt_to } = aaToNucleotide(frame, 2, 4, READ.length);
+			const slice = READ.slice(nt_from - 1, nt_to);
+			const coding = frame > 0 ? slice : reverseComplement(slice);
+			assert.equal(
+				translateFrame(coding, 1),
+				protein.slice(1, 4),
+				`frame ${frame}`,
+			);
+		}
+	});
+});
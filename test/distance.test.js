@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { boundedLevenshtein, levenshteinDistance } from "../src/distance.js";
+
+describe("boundedLevenshtein", () => {
+	it("returns the exact distance within the limit", () => {
+		assert.equal(boundedLevenshtein("KITTEN", "SITTING", 3), 3);
+		assert.equal(boundedLevenshtein("EVQLVE", "EVQLVE", 0), 0);
+		assert.equal(boundedLevenshtein("", "ACD", 5), 3);
+		assert.equal(boundedLevenshtein("CARDY", "CARWDY", 1), 1);
+	});
+
+	it("returns maxDistance + 1 beyond the limit", () => {
+		assert.equal(boundedLevenshtein("KITTEN", "SITTING", 2), 3);
+		assert.equal(boundedLevenshtein("AAAA", "AAAAAAAA", 2), 3);
+		assert.equal(boundedLevenshtein("ACDEFG", "GFEDCA", 0), 1);
+	});
+
+	it("agrees with the full distance, capped at the limit", () => {
+		const alphabet = "ACDG";
+		let seed = 1;
+		const random = () => {
+			seed = (seed * 48271) % 2147483647;
+			return seed / 2147483647;
+		};
+		/** @param {number} length */
+		const randomSequence = (length) =>
+			Array.from(
+				{ length },
+				() => alphabet[Math.floor(random() * alphabet.length)],
+			).join("");
+		for (let i = 0; i < 300; i++) {
+			const a = randomSequence(Math.floor(random() * 12));
+			const b = randomSequence(Math.floor(random() * 12));
+			const maxDistance = Math.floor(random() * 6);
+			assert.equal(
+				boundedLevenshtein(a, b, maxDistance),
+				Math.min(levenshteinDistance(a, b), maxDistance + 1),
+				`${a} vs ${b} within ${maxDistance}`,
+			);
+		}
+	});
+});
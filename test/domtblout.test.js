@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseDomtbloutLine } from "../src/domtblout.js";
+
+const LINE =
+	"read1_frame=2        -            120 VH                   PF07686.1    118   1.2e-30  105.3   0.1   1   2   3.4e-31   2.1e-28   98.7   0.0     3   117     5   119     2   120 0.97 heavy chain, partial";
+
+describe("parseDomtbloutLine", () => {
+	it("parses all 23 columns with a multi-word description", () => {
+		assert.deepEqual(parseDomtbloutLine(LINE), {
+			target_name: "read1_frame=2",
+			target_accession: "-",
+			tlen: 120,
+			query_name: "VH",
+			query_accession: "PF07686.1",
+			qlen: 118,
+			evalue: 1.2e-30,
+			full_score: 105.3,
+			full_bias: 0.1,
+			dom_index: 1,
+			dom_count: 2,
+			c_evalue: 3.4e-31,
+			i_evalue: 2.1e-28,
+			score: 98.7,
+			bias: 0,
+			hmm_from: 3,
+			hmm_to: 117,
+			ali_from: 5,
+			ali_to: 119,
+			env_from: 2,
+			env_to: 120,
+			acc: 0.97,
+			description: "heavy chain, partial",
+		});
+	});
+
+	it("reads a missing description as empty", () => {
+		const hit = parseDomtbloutLine(LINE.replace(" heavy chain, partial", ""));
+		assert.equal(hit?.description, "");
+		assert.equal(hit?.acc, 0.97);
+	});
+
+	it("skips comments, blank lines and truncated rows", () => {
+		assert.equal(parseDomtbloutLine("# target name  accession"), null);
+		assert.equal(parseDomtbloutLine("   "), null);
+		assert.equal(
+			parseDomtbloutLine(LINE.split(/\s+/).slice(0, 10).join(" ")),
+			null,
+		);
+	});
+});
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { countSeqs, countSeqsExternal } from "../src/counting.js";
+import { createExternalSorter, mergeRuns } from "../src/external_sort.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "external-sort-test-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/** Sequences with repeats, so combinations tie on count */
+const VH = ["EVQL", "QVQL", "EVKL", "QVQL", "EVQL", "DVQL", "EVKL", "QVQL"];
+const VL = ["DIQM", "DIQM", "EIVL", "DIQM", "EIVL", "DIQM", "EIVL", "DIQM"];
+
+describe("createExternalSorter", () => {
+	it("spills runs and merges them into a stable sort", async () => {
+		const items = Array.from({ length: 200 }, (_, i) => ({
+			key: (i * 37) % 11,
+			i,
+		}));
+		/**
+		 * @param {{ key: number }} a
+		 * @param {{ key: number }} b
+		 */
+		const compare = (a, b) => a.key - b.key;
+		const sorter = createExternalSorter(compare, {
+			dir: tmpDir,
+			name: "items",
+			budgetBytes: 2048,
+		});
+		for (const item of items) {
+			await sorter.add(item);
+		}
+		const runs = await sorter.finish();
+		assert.ok(runs.length > 1, "the budget forces several runs");
+
+		const merged = [];
+		for await (const item of mergeRuns(runs, compare)) {
+			merged.push(item);
+		}
+		assert.deepEqual(merged, [...items].sort(compare));
+	});
+
+	it("merges in passes when there are more runs than the fan-in", async () => {
+		const dir = path.join(tmpDir, "fan-in");
+		const items = Array.from({ length: 300 }, (_, i) => ({
+			key: (i * 53) % 17,
+			i,
+		}));
+		/**
+		 * @param {{ key: number }} a
+		 * @param {{ key: number }} b
+		 */
+		const compare = (a, b) => a.key - b.key;
+		const sorter = createExternalSorter(compare, {
+			dir,
+			name: "items",
+			budgetBytes: 512,
+			fanIn: 3,
+		});
+		for (const item of items) {
+			await sorter.add(item);
+		}
+		const runs = await sorter.finish();
+		assert.ok(runs.length <= 3, `${runs.length} runs left for the last merge`);
+		assert.deepEqual(
+			fs.readdirSync(dir).sort(),
+			runs.map((run) => path.basename(run)).sort(),
+			"intermediate runs are removed",
+		);
+
+		const merged = [];
+		for await (const item of mergeRuns(runs, compare)) {
+			merged.push(item);
+		}
+		assert.deepEqual(merged, [...items].sort(compare));
+	});
+});
+
+describe("countSeqsExternal", () => {
+	it("ranks combinations like countSeqs, ties by first read", async () => {
+		/** @type {Map<string, import("../src/counting.js").SeqEntry[]>} */
+		const seqMap = new Map();
+		/** @type {import("../src/counting.js").CountItem[]} */
+		const items = [];
+		let ord = 0;
+		for (let i = 0; i < 40; i++) {
+			const read = `read${(i * 7) % 40}`;
+			const entries = [
+				{ model: "VH", sequence: VH[i % VH.length] },
+				{ model: "VL", sequence: VL[(i * 3) % VL.length] },
+			];
+			seqMap.set(`${read}|s1`, entries);
+			for (const entry of entries) {
+				items.push({ read, sample: "s1", ord: ord++, entry });
+			}
+		}
+		const expected = await countSeqs(seqMap, { models: ["VH", "VL"] });
+
+		/** @returns {AsyncGenerator<import("../src/counting.js").CountItem>} */
+		async function* itemStream() {
+			yield* items;
+		}
+		const { rows } = await countSeqsExternal(itemStream(), {
+			models: ["VH", "VL"],
+			dir: tmpDir,
+			budgetBytes: 4096,
+		});
+		/** @type {Array<{ [key: string]: string | number }>} */
+		const ranked = [];
+		for await (const row of rows()) {
+			ranked.push(row);
+		}
+		assert.deepEqual(ranked, expected);
+		assert.ok(
+			ranked.every((row, i) => i === 0 || row.Count <= ranked[i - 1].Count),
+		);
+	});
+});
@@ -0,0 +1,179 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { alignToModel, readDomainAlignments } from "../src/hmm_alignment.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "hmm-alignment-test-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * hmmsearch output of a 26-state model: domain 1 of read1 wraps over two blocks and has
+ * an insertion ("ka") and a deletion, domain 2 of read1 and domain 1 of read2 are short hits.
+ */
+const OUTPUT = `# hmmsearch :: search profile(s) against a sequence database
+# HMMER 3.3.2 (Nov 2020); http://hmmer.org/
+# - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+# query HMM file:                  VH.hmm
+# target sequence database:        -
+# - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+
+Query:       VH  [M=26]
+Scores for complete sequences (score includes all domains):
+   --- full sequence ---   --- best 1 domain ---    -#dom-
+    E-value  score  bias    E-value  score  bias    exp  N  Sequence       Description
+    ------- ------ -----    ------- ------ -----   ---- --  --------       -----------
+    1.2e-10   30.1   0.1    1.2e-10   30.1   0.1    1.9  2  read1_frame=1
+    3.4e-05   12.0   0.0    3.4e-05   12.0   0.0    1.0  1  read2_frame=-2
+
+
+Domain annotation for each sequence (and alignments):
+>> read1_frame=1
+   #    score  bias  c-Evalue  i-Evalue hmmfrom  hmm to    alifrom  ali to    envfrom  env to     acc
+ ---   ------ ----- --------- --------- ------- -------    ------- -------    ------- -------    ----
+   1 !   30.1   0.1   1.2e-10   1.2e-10       1      24 [.       1      25 ..       1      26 .. 0.95
+   2 ?    2.0   0.0      0.31      0.31      20      24 ..      40      44 ..      38      45 .. 0.80
+
+  Alignments for each domain:
+  == domain 1  score: 30.1 bits;  conditional E-value: 1.2e-10
+                  VH  1 evqlvesggglvq..pgGslrlsc 22
+                        evqlv sgg lvq  pg+slrlsc
+       read1_frame=1  1 EVQLVQSGG-LVQkaPGRSLRLSC 23
+                        89*******.****99*********PP
+
+                  VH 23 aa 24
+                        a+
+       read1_frame=1 24 AS 25
+                        **PP
+
+  == domain 2  score: 2.0 bits;  conditional E-value: 0.31
+                  VH 20 lrlsc 24
+                        l+ sc
+       read1_frame=1 40 LKVSC 44
+                        67899PP
+
+>> read2_frame=-2
+   #    score  bias  c-Evalue  i-Evalue hmmfrom  hmm to    alifrom  ali to    envfrom  env to     acc
+ ---   ------ ----- --------- --------- ------- -------    ------- -------    ------- -------    ----
+   1 !   12.0   0.0   3.4e-05   3.4e-05       5      12 ..       2       8 ..       1      10 .. 0.90
+
+  Alignments for each domain:
+  == domain 1  score: 12.0 bits;  conditional E-value: 3.4e-05
+                  VH  5 vesggglv 12
+                        ve ggglv
+      read2_frame=-2  2 VE-GGGLV 8
+                        99.99999PP
+
+
+
+Internal pipeline statistics summary:
+-------------------------------------
+Query model(s):                            1  (26 nodes)
+Target sequences:                          2  (100 residues searched)
+Domain search space  (domZ):               2  [number of targets reported over threshold]
+//
+[ok]
+`;
+
+const outputPath = path.join(tmpDir, "hmmsearch.out");
+fs.writeFileSync(outputPath, OUTPUT);
+
+/** @param {Map<string, number>} [wanted] */
+const readAll = async (wanted) => {
+	const alignments = [];
+	for await (const alignment of readDomainAlignments(outputPath, wanted)) {
+		alignments.push(alignment);
+	}
+	return alignments;
+};
+
+const WRAPPED = {
+	target_name: "read1_frame=1",
+	dom_index: 1,
+	hmm_from: 1,
+	hmm_to: 24,
+	ali_from: 1,
+	ali_to: 25,
+	model: "evqlvesggglvq..pgGslrlscaa",
+	target: "EVQLVQSGG-LVQkaPGRSLRLSCAS",
+};
+
+describe("readDomainAlignments", () => {
+	it("joins wrapped blocks and reads every domain", async () => {
+		const alignments = await readAll();
+		assert.deepEqual(
+			alignments.map(({ target_name, dom_index }) => [target_name, dom_index]),
+			[
+				["read1_frame=1", 1],
+				["read1_frame=1", 2],
+				["read2_frame=-2", 1],
+			],
+		);
+		assert.deepEqual(alignments[0], WRAPPED);
+		assert.deepEqual(alignments[2], {
+			target_name: "read2_frame=-2",
+			dom_index: 1,
+			hmm_from: 5,
+			hmm_to: 12,
+			ali_from: 2,
+			ali_to: 8,
+			model: "vesggglv",
+			target: "VE-GGGLV",
+		});
+	});
+
+	it("yields only the wanted domain of each target", async () => {
+		const alignments = await readAll(
+			new Map([
+				["read1_frame=1", 2],
+				["read3_frame=1", 1],
+			]),
+		);
+		assert.deepEqual(
+			alignments.map(({ target_name, dom_index, target }) => [
+				target_name,
+				dom_index,
+				target,
+			]),
+			[["read1_frame=1", 2, "LKVSC"]],
+		);
+	});
+});
+
+describe("alignToModel", () => {
+	it("places matches and deletions on states and lifts insertions out", () => {
+		assert.deepEqual(alignToModel(WRAPPED, 26), {
+			aligned: "EVQLVQSGG-LVQPGRSLRLSCAS..",
+			a2m: "EVQLVQSGG-LVQkaPGRSLRLSCAS",
+			insertions: [{ after: 13, residues: "ka" }],
+		});
+	});
+
+	it("marks the states outside a partial hit", async () => {
+		const [, , partial] = await readAll();
+		assert.deepEqual(alignToModel(partial, 26), {
+			aligned: `....VE-GGGLV${".".repeat(14)}`,
+			a2m: "VE-GGGLV",
+			insertions: [],
+		});
+	});
+
+	it("merges adjacent insert columns and keeps separate insertions apart", () => {
+		const alignment = {
+			...WRAPPED,
+			hmm_from: 3,
+			hmm_to: 6,
+			model: "q..lv.s",
+			target: "QabLVcS",
+		};
+		assert.deepEqual(alignToModel(alignment, 6), {
+			aligned: "..QLVS",
+			a2m: "QabLVcS",
+			insertions: [
+				{ after: 3, residues: "ab" },
+				{ after: 5, residues: "c" },
+			],
+		});
+	});
+});
@@ -0,0 +1,134 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { levenshteinDistance } from "../src/distance.js";
+import {
+	buildColumnIndex,
+	loadMatchIndex,
+	matchIndexPath,
+	searchColumnIndex,
+	searchMatchIndex,
+} from "../src/match_index.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "match-index-test-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let seed = 11;
+const random = () => {
+	seed = (seed * 48271) % 2147483647;
+	return seed / 2147483647;
+};
+/** @param {number} length */
+const randomSequence = (length) =>
+	Array.from({ length }, () => "ACDG"[Math.floor(random() * 4)]).join("");
+
+/** Column values with repeats, as in a counts table */
+const COLUMN = Array.from({ length: 150 }, () =>
+	randomSequence(3 + Math.floor(random() * 5)),
+);
+const OTHER_COLUMN = Array.from({ length: 150 }, () =>
+	randomSequence(3 + Math.floor(random() * 3)),
+);
+
+describe("searchColumnIndex", () => {
+	it("finds exactly the sequences of a brute-force scan", () => {
+		const index = buildColumnIndex(COLUMN);
+		assert.equal(index.values.length, new Set(COLUMN).size);
+		for (let i = 0; i < 40; i++) {
+			const query = randomSequence(2 + Math.floor(random() * 7));
+			for (const maxDistance of [0, 1, 2, 3]) {
+				const expected = new Map(
+					index.values.flatMap((value, id) => {
+						const distance = levenshteinDistance(query, value);
+						return distance <= maxDistance ? [[id, distance]] : [];
+					}),
+				);
+				assert.deepEqual(
+					searchColumnIndex(index, query, maxDistance),
+					expected,
+					`${query} within ${maxDistance}`,
+				);
+			}
+		}
+	});
+});
+
+describe("searchMatchIndex", () => {
+	it("returns the rows within reach in every column, in table order", () => {
+		const index = {
+			source: "test",
+			rows: COLUMN.length,
+			columns: new Map([
+				["VH", buildColumnIndex(COLUMN)],
+				["VL", buildColumnIndex(OTHER_COLUMN)],
+			]),
+		};
+		for (let i = 0; i < 20; i++) {
+			const queryMap = new Map([
+				["VH", randomSequence(5)],
+				["VL", randomSequence(4)],
+			]);
+			const expected = COLUMN.flatMap((value, row) => {
+				const distances = [
+					levenshteinDistance(queryMap.get("VH") ?? "", value),
+					levenshteinDistance(queryMap.get("VL") ?? "", OTHER_COLUMN[row]),
+				];
+				return distances.every((distance) => distance <= 2)
+					? [{ row, distances }]
+					: [];
+			});
+			assert.deepEqual(searchMatchIndex(index, queryMap, 2), expected);
+		}
+	});
+});
+
+describe("loadMatchIndex", () => {
+	const tablePath = path.join(tmpDir, "counts.csv");
+	const indexPath = matchIndexPath(tablePath);
+	const table = `VH,VL,Count\n${COLUMN.slice(0, 20)
+		.map((value, row) => `${value},${OTHER_COLUMN[row]},1`)
+		.join("\n")}\n`;
+
+	it("persists the index next to the table and reuses it", async () => {
+		fs.writeFileSync(tablePath, table);
+		const built = await loadMatchIndex(tablePath, ["VH"]);
+		assert.equal(built.rows, 20);
+		assert.ok(fs.existsSync(indexPath));
+
+		// A reused index comes from the file, so a marker written into it survives
+		const [header, ...lines] = fs
+			.readFileSync(indexPath, "utf8")
+			.trim()
+			.split("\n");
+		const record = JSON.parse(lines[0]);
+		record.values[0] = "MARKER";
+		fs.writeFileSync(
+			indexPath,
+			`${[header, JSON.stringify(record)].join("\n")}\n`,
+		);
+		const reused = await loadMatchIndex(tablePath, ["VH"]);
+		assert.equal(reused.columns.get("VH")?.values[0], "MARKER");
+	});
+
+	it("adds missing columns to the persisted index", async () => {
+		const index = await loadMatchIndex(tablePath, ["VH", "VL"]);
+		assert.equal(index.columns.get("VH")?.values[0], "MARKER");
+		assert.deepEqual(
+			index.columns.get("VL"),
+			buildColumnIndex(OTHER_COLUMN.slice(0, 20)),
+		);
+	});
+
+	it("rebuilds the index when the table changes", async () => {
+		fs.appendFileSync(tablePath, "ACDG,ACD,5\n");
+		const rebuilt = await loadMatchIndex(tablePath, ["VH"]);
+		assert.equal(rebuilt.rows, 21);
+		assert.deepEqual(
+			rebuilt.columns.get("VH"),
+			buildColumnIndex([...COLUMN.slice(0, 20), "ACDG"]),
+		);
+		assert.equal(rebuilt.columns.has("VL"), false);
+	});
+});
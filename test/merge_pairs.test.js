@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { reverseComplement } from "../src/fastq.js";
+import { mergeReadPair } from "../src/merge_pairs.js";
+
+/** @type {import("../src/merge_pairs.js").MergeOptions} */
+const OPTIONS = {
+	min_overlap: 5,
+	max_mismatch_rate: 0.1,
+	unmerged_policy: "discard",
+};
+
+const INSERT = "ACGTTGCAAGGCTTACCGATGCA";
+
+/**
+ * @param {string} id
+ * @param {string} sequence
+ * @param {string} [quality]
+ * @returns {import("../src/fastq.js").FastqRecord}
+ */
+function read(id, sequence, quality = "I".repeat(sequence.length)) {
+	return { id, comment: "", sequence, quality };
+}
+
+describe("mergeReadPair", () => {
+	it("joins mates overlapping at R1's 3' end", () => {
+		const merged = mergeReadPair(
+			read("r/1", INSERT.slice(0, 15)),
+			read("r/2", reverseComplement(INSERT.slice(8))),
+			OPTIONS,
+		);
+		assert.equal(merged?.id, "r");
+		assert.equal(merged?.sequence, INSERT);
+		assert.equal(merged?.quality.length, INSERT.length);
+	});
+
+	it("trims adapter from mates reading through a short insert", () => {
+		const r1 = `${INSERT}AGATCGGAAG`.slice(0, 30);
+		const r2 = `${reverseComplement(INSERT)}TTCCGATCTA`.slice(0, 30);
+		const merged = mergeReadPair(read("r", r1), read("r", r2), OPTIONS);
+		assert.equal(merged?.sequence, INSERT);
+	});
+
+	it("keeps the higher-quality base at mismatches", () => {
+		const r2Insert = `${INSERT.slice(8, 12)}A${INSERT.slice(13)}`;
+		const merged = mergeReadPair(
+			read("r", INSERT.slice(0, 20), `${"I".repeat(12)}#${"I".repeat(7)}`),
+			read("r", reverseComplement(r2Insert)),
+			OPTIONS,
+		);
+		assert.equal(
+			merged?.sequence,
+			`${INSERT.slice(0, 12)}A${INSERT.slice(13)}`,
+		);
+	});
+
+	it("returns null when the overlap is too short or too different", () => {
+		assert.equal(
+			mergeReadPair(
+				read("r", INSERT.slice(0, 12)),
+				read("r", reverseComplement(INSERT.slice(9))),
+				OPTIONS,
+			),
+			null,
+		);
+		assert.equal(
+			mergeReadPair(read("r", "AAAAAAAAAA"), read("r", "GGGGGGGGGG"), OPTIONS),
+			null,
+		);
+	});
+});
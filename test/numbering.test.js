@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { readHMMHeader } from "../src/hmm_model.js";
+import {
+	defaultSchemePath,
+	listMutations,
+	numberAlignment,
+	readNumberingScheme,
+} from "../src/numbering.js";
+
+const MODEL_DIR = fileURLToPath(new URL("../models/AA", import.meta.url));
+const MODEL_PATHS = fs
+	.readdirSync(MODEL_DIR)
+	.filter((file) => file.endsWith(".hmm"))
+	.map((file) => path.join(MODEL_DIR, file));
+
+/** @type {import("../src/numbering.js").NumberingScheme} */
+const SCHEME = {
+	scheme: "IMGT",
+	chain: "H",
+	positions: ["1", "2", null, "3", "4"],
+};
+
+describe("IMGT numbering maps", () => {
+	for (const modelPath of MODEL_PATHS) {
+		it(`covers every match state of ${path.basename(modelPath)}`, async () => {
+			const { length } = await readHMMHeader(modelPath);
+			const scheme = readNumberingScheme(defaultSchemePath(modelPath), length);
+			assert.equal(scheme.scheme, "IMGT");
+			const numbers = scheme.positions
+				.filter((position) => position !== null)
+				.map(Number);
+			assert.ok(numbers.every(Number.isInteger), "positions are numbers");
+			assert.ok(
+				numbers.every((number, i) => i === 0 || number > numbers[i - 1]),
+				"positions increase along the model",
+			);
+			assert.ok(numbers.every((number) => number >= 1 && number <= 128));
+		});
+	}
+
+	it("rejects a map that does not match the model length", () => {
+		const modelPath = MODEL_PATHS[0];
+		assert.throws(
+			() => readNumberingScheme(defaultSchemePath(modelPath), 1),
+			/positions but the model has 1 match states/,
+		);
+	});
+});
+
+describe("numberAlignment", () => {
+	it("numbers matches, letters insertions and skips states without a position", () => {
+		assert.deepEqual(numberAlignment({ hmm_from: 1, a2m: "QkrA-CD" }, SCHEME), {
+			1: "Q",
+			"1A": "K",
+			"1B": "R",
+			2: "A",
+			3: "C",
+			4: "D",
+		});
+	});
+
+	it("starts at hmm_from and leaves deleted positions out", () => {
+		assert.deepEqual(numberAlignment({ hmm_from: 2, a2m: "-wCD" }, SCHEME), {
+			"2A": "W",
+			3: "D",
+		});
+	});
+
+	it("lists mutations in position order", () => {
+		assert.deepEqual(
+			listMutations(
+				{ 1: "Q", "1A": "K", 3: "V" },
+				{ 1: "E", 3: "V", 4: "S" },
+				"H",
+			),
+			["H:Q1E", "H:K1A-", "H:-4S"],
+		);
+	});
+});
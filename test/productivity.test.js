@@ -0,0 +1,133 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import {
+	alignmentIndel,
+	codonOffset,
+	readScreenResults,
+	screenSequence,
+	screenTrimmedFasta,
+} from "../src/productivity.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "productivity-test-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const AA = { mode: /** @type {const} */ ("aa"), maxIndel: 5 };
+const DNA = { mode: /** @type {const} */ ("dna"), maxIndel: 5 };
+
+describe("screenSequence", () => {
+	it("accepts a clean translated sequence", () => {
+		assert.deepEqual(screenSequence("EVQLVESGGG", { indel: 0 }, AA), []);
+		assert.deepEqual(screenSequence("EVQLVESGGG", undefined, AA), []);
+	});
+
+	it("rejects stops and unknown residues in translated sequences", () => {
+		assert.deepEqual(screenSequence("EVQ*VESGGG", { indel: 0 }, AA), ["stop"]);
+		assert.deepEqual(screenSequence("EVQLXESGGG", { indel: 0 }, AA), [
+			"ambiguous",
+		]);
+		assert.deepEqual(screenSequence("EVQ*xESGGG", { indel: 0 }, AA), [
+			"stop",
+			"ambiguous",
+		]);
+	});
+
+	it("flags a frameshift only beyond max_indel", () => {
+		for (const [indel, reasons] of [
+			[5, []],
+			[-5, []],
+			[6, ["frameshift"]],
+			[-6, ["frameshift"]],
+		]) {
+			assert.deepEqual(
+				screenSequence("EVQLV", { indel: Number(indel) }, AA),
+				reasons,
+				`indel ${indel}`,
+			);
+		}
+		assert.deepEqual(
+			screenSequence("EVQLV", { indel: 1 }, { ...AA, maxIndel: 0 }),
+			["frameshift"],
+		);
+	});
+
+	it("reads stop codons in the frame of the hit", () => {
+		// Codons from offset 0: ATA AGC, offset 1: TAA, offset 2: AAG
+		assert.deepEqual(screenSequence("ATAAGC", { indel: 0, frame: 0 }, DNA), []);
+		assert.deepEqual(screenSequence("ATAAGC", { indel: 0, frame: 1 }, DNA), [
+			"stop",
+		]);
+		assert.deepEqual(screenSequence("ATAAGC", { indel: 0, frame: 2 }, DNA), []);
+		assert.deepEqual(screenSequence("taagcc", { indel: 0 }, DNA), ["stop"]);
+	});
+
+	it("rejects ambiguous bases and gaps that break the frame in nucleotides", () => {
+		assert.deepEqual(screenSequence("ATGNCC", { indel: 0 }, DNA), [
+			"ambiguous",
+		]);
+		assert.deepEqual(screenSequence("ATGGCC", { indel: 6 }, DNA), []);
+		assert.deepEqual(screenSequence("ATGGCC", { indel: -3 }, DNA), []);
+		assert.deepEqual(screenSequence("ATGGCC", { indel: 2 }, DNA), [
+			"frameshift",
+		]);
+	});
+});
+
+describe("codonOffset", () => {
+	it("finds the first complete codon from the model entry point", () => {
+		assert.deepEqual(
+			[1, 2, 3, 4, 5, 6, 7].map(codonOffset),
+			[0, 2, 1, 0, 2, 1, 0],
+		);
+	});
+});
+
+describe("alignmentIndel", () => {
+	it("is positive for insertions and negative for deletions", () => {
+		assert.equal(alignmentIndel(1, 10, 1, 10), 0);
+		assert.equal(alignmentIndel(1, 12, 1, 10), 2);
+		assert.equal(alignmentIndel(5, 10, 1, 10), -4);
+	});
+});
+
+describe("screenTrimmedFasta", () => {
+	it("writes the non-productive hits and reads them back", async () => {
+		const fastaPath = path.join(tmpDir, "trimmed.fasta");
+		fs.writeFileSync(
+			fastaPath,
+			[
+				">read1_frame=1_3-12:.",
+				"EVQLV",
+				"ESGGG",
+				">read2_frame=-2_1-10:.",
+				"EVQ*VESGGG",
+				">read3_frame=2_4-13:.",
+				"EVQLVESGGG",
+				">read3_frame=2_20-29:.",
+				"EVQLXESGGG",
+				"",
+			].join("\n"),
+		);
+		const hits = new Map([
+			["read1_frame=1_3-12", { indel: 0 }],
+			["read2_frame=-2_1-10", { indel: 0 }],
+			["read3_frame=2_4-13", { indel: 7 }],
+		]);
+		const outPath = path.join(tmpDir, "screen.tsv");
+		assert.equal(await screenTrimmedFasta(fastaPath, hits, outPath, AA), 3);
+		assert.equal(
+			fs.readFileSync(outPath, "utf8"),
+			"read2_frame=-2_1-10\tstop\nread3_frame=2_4-13\tframeshift\nread3_frame=2_20-29\tambiguous\n",
+		);
+		assert.deepEqual(
+			await readScreenResults(outPath),
+			new Map([
+				["read2_frame=-2_1-10", ["stop"]],
+				["read3_frame=2_4-13", ["frameshift"]],
+				["read3_frame=2_20-29", ["ambiguous"]],
+			]),
+		);
+	});
+});
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validateQueryEntries } from "../src/queries.js";
+
+describe("validateQueryEntries", () => {
+	it("accepts chains and pre-trimmed sequences of amino acids", () => {
+		assert.deepEqual(
+			validateQueryEntries([
+				{ name: "q1", sequences: ["EVQLVESGG", "diqmtqspx"] },
+				{ name: "q2", trimmed: { VH_CDR3: "CARDYW" } },
+			]),
+			[],
+		);
+	});
+
+	it("reports invalid, empty and duplicate names", () => {
+		assert.deepEqual(
+			validateQueryEntries([
+				{ name: "", sequences: ["EVQL"] },
+				{ name: "q 1", sequences: ["EVQL"] },
+				{ name: "q|1", sequences: ["EVQL"] },
+				{ name: "q1", sequences: ["EVQL"] },
+				{ name: "q1", sequences: ["EVQL"] },
+			]),
+			[
+				'invalid query name ""; names cannot be empty or contain whitespace, "|", "/" or "\\"',
+				'invalid query name "q 1"; names cannot be empty or contain whitespace, "|", "/" or "\\"',
+				'invalid query name "q|1"; names cannot be empty or contain whitespace, "|", "/" or "\\"',
+				"duplicate query name q1",
+			],
+		);
+	});
+
+	it("reports queries without sequences and invalid residues once each", () => {
+		assert.deepEqual(
+			validateQueryEntries([
+				{ name: "empty", sequences: [] },
+				{ name: "dna", sequences: ["EVQL", "EV1L*1"] },
+				{ name: "trim", trimmed: { VH: "CAR-DY" } },
+			]),
+			[
+				"query empty has no sequences",
+				'query dna, sequence 2: invalid amino-acid characters "1", "*"',
+				'query trim, trimmed VH: invalid amino-acid characters "-"',
+			],
+		);
+	});
+});
@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import { readTable, readTableColumns, writeTable } from "../src/tables.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "tables-test-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const COLUMNS = ["id", "VH", "note", "Count"];
+
+/** Rows with every character the delimited formats have to quote or escape */
+const ROWS = [
+	{ id: "a", VH: "EVQLV", note: 'comma, "quotes"', Count: 0 },
+	{ id: "b", VH: "QVQLQ", note: "line\nbreak\r\nand\ttab", Count: 12 },
+	{ id: "c", VH: "DIQMT", note: "back\\slash \\t", Count: null },
+	{ id: "d", VH: "", note: "", Count: "7" },
+];
+
+/**
+ * Rows as readTable returns them: strings, with missing values as "NA"
+ * @param {typeof ROWS} rows
+ */
+const asRead = (rows) =>
+	rows.map((row) =>
+		Object.fromEntries(
+			Object.entries(row).map(([column, value]) => [
+				column,
+				value === null ? "NA" : String(value),
+			]),
+		),
+	);
+
+/** @param {string} tablePath */
+const readAll = async (tablePath) => {
+	const rows = [];
+	for await (const row of readTable(tablePath)) {
+		rows.push(row);
+	}
+	return rows;
+};
+
+describe("writeTable and readTable", () => {
+	for (const name of ["rows.csv", "rows.tsv", "rows.jsonl", "rows.csv.gz"]) {
+		it(`round-trips ${name}`, async () => {
+			const tablePath = path.join(tmpDir, name);
+			assert.equal(
+				await writeTable(ROWS, tablePath, { columns: COLUMNS }),
+				ROWS.length,
+			);
+			assert.deepEqual(await readAll(tablePath), asRead(ROWS));
+			assert.deepEqual(await readTableColumns(tablePath), COLUMNS);
+		});
+	}
+
+	it("keeps gzipped output compressed", async () => {
+		const tablePath = path.join(tmpDir, "gzip.tsv.gz");
+		await writeTable(ROWS, tablePath, { columns: COLUMNS });
+		const bytes = fs.readFileSync(tablePath);
+		assert.deepEqual([bytes[0], bytes[1]], [0x1f, 0x8b]);
+		assert.deepEqual(await readAll(tablePath), asRead(ROWS));
+	});
+
+	it("round-trips FASTA with whitespace in header fields replaced", async () => {
+		const rows = [
+			{ id: "a", VH: "EVQLV", VL: "DIQMT", note: 'comma, "quotes"', Count: 0 },
+			{ id: "b", VH: "QVQLQ", VL: null, note: "tab\there", Count: 3 },
+		];
+		for (const name of ["rows.fasta", "rows.fa.gz"]) {
+			const tablePath = path.join(tmpDir, name);
+			await writeTable(rows, tablePath, {
+				columns: ["id", "VH", "VL", "note", "Count"],
+				sequenceColumns: ["VH", "VL"],
+			});
+			assert.deepEqual(await readAll(tablePath), [
+				{
+					id: "a",
+					note: 'comma,_"quotes"',
+					Count: "0",
+					VH: "EVQLV",
+					VL: "DIQMT",
+				},
+				{ id: "b", note: "tab_here", Count: "3", VH: "QVQLQ" },
+			]);
+			assert.deepEqual(await readTableColumns(tablePath), [
+				"id",
+				"note",
+				"Count",
+				"VH",
+				"VL",
+			]);
+		}
+	});
+
+	it("refuses FASTA output without sequence columns", async () => {
+		await assert.rejects(
+			writeTable(ROWS, path.join(tmpDir, "none.fasta"), { columns: COLUMNS }),
+			/No sequence columns/,
+		);
+	});
+});
+
+describe("readTableColumns", () => {
+	it(
+		"closes the table after reading its header",
+		{ skip: !fs.existsSync("/proc/self/fd") },
+		async () => {
+			const rows = Array.from({ length: 20000 }, (_, i) => ({
+				id: `r${i}`,
+				VH: "EVQLVESGGGLVQPGGSLRLSCAAS",
+				note: "",
+				Count: i,
+			}));
+			/** Tables this process still has open */
+			const openTables = () =>
+				fs.readdirSync("/proc/self/fd").flatMap((fd) => {
+					try {
+						const target = fs.readlinkSync(`/proc/self/fd/${fd}`);
+						return target.startsWith(tmpDir) ? [target] : [];
+					} catch {
+						return [];
+					}
+				});
+			for (const name of ["big.csv", "big.tsv", "big.jsonl", "big.csv.gz"]) {
+				const tablePath = path.join(tmpDir, name);
+				await writeTable(rows, tablePath, { columns: COLUMNS });
+				assert.deepEqual(await readTableColumns(tablePath), COLUMNS);
+			}
+			await sleep(100);
+			assert.deepEqual(openTables(), []);
+		},
+	);
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PassThrough } from "node:stream";
+import { after, describe, it } from "node:test";
+import {
+	filterAndTranslate,
+	translateFrame,
+	trimTranslatedReads,
+} from "../src/translate.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "translate-test-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const FASTQ = [
+	"@good",
+	"ATGGCCAAATTTGGGTAA",
+	"+",
+	"IIIIIIIIIIIIIIIIII",
+	"@bad",
+	"ATGATGATG",
+	"+",
+	"!!!!!!!!!",
+	"",
+].join("\n");
+
+/**
+ * Writes the test FASTQ file and returns its path
+ * @returns {string}
+ */
+function writeFastq() {
+	const fastqPath = path.join(tmpDir, "reads.fastq");
+	fs.writeFileSync(fastqPath, FASTQ);
+	return fastqPath;
+}
+
+describe("translateFrame", () => {
+	it("translates forward frames from offsets 0-2", () => {
+		assert.equal(translateFrame("ATGGCCAAATTTGGGTAA", 1), "MAKFG*");
+		assert.equal(translateFrame("ATGGCCAAATTTGGGTAA", 2), "WPNLG");
+		assert.equal(translateFrame("ATGGCCAAATTTGGGTAA", 3), "GQIWV");
+	});
+
+	it("translates reverse frames from the reverse complement", () => {
+		assert.equal(translateFrame("ATGGCCAAATTTGGGTAA", -1), "LPKFGH");
+		assert.equal(translateFrame("ATGGCCAAATTTGGGTAA", -2), "YPNLA");
+		assert.equal(translateFrame("ATGGCCAAATTTGGGTAA", -3), "TQIWP");
+	});
+
+	it("marks unknown codons as X and ignores case", () => {
+		assert.equal(translateFrame("atgNNNtaa", 1), "MX*");
+	});
+});
+
+describe("filterAndTranslate", () => {
+	it("writes six frames per passing read with _frame=N names", async () => {
+		const output = new PassThrough();
+		/** @type {Buffer[]} */
+		const chunks = [];
+		output.on("data", (chunk) => chunks.push(chunk));
+		const stats = await filterAndTranslate(writeFastq(), output, {
+			min_quality: 20,
+			mode: "aa",
+		});
+		assert.deepEqual(stats, {
+			total_reads: 2,
+			passed_quality: 1,
+			failed_quality: 1,
+			records_written: 6,
+			missing_umi: 0,
+		});
+		const headers = Buffer.concat(chunks)
+			.toString()
+			.split("\n")
+			.filter((line) => line.startsWith(">"));
+		assert.deepEqual(headers, [
+			">good_frame=1",
+			">good_frame=2",
+			">good_frame=3",
+			">good_frame=-1",
+			">good_frame=-2",
+			">good_frame=-3",
+		]);
+	});
+});
+
+describe("trimTranslatedReads", () => {
+	it("writes the BED ranges of re-translated frames like seqkit subseq", async () => {
+		const bedPath = path.join(tmpDir, "hits.bed");
+		const outPath = path.join(tmpDir, "trimmed.fasta");
+		fs.writeFileSync(
+			bedPath,
+			"good_frame=1\t1\t4\t1\ngood_frame=-1\t0\t3\t1\n",
+		);
+		await trimTranslatedReads(writeFastq(), [{ bedPath, outPath }]);
+		assert.equal(
+			fs.readFileSync(outPath, "utf8"),
+			">good_frame=1_2-4:.\nAKF\n>good_frame=-1_1-3:.\nLPK\n",
+		);
+	});
+});
@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { countSeqs, countSeqsExternal } from "../src/counting.js";
+import { countMolecules, createUmiExtractor } from "../src/umi.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "umi-test-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * @param {string} header
+ * @param {string} [sequence]
+ * @returns {import("../src/fastq.js").FastqRecord}
+ */
+const record = (header, sequence = "ACGTACGTAC") => {
+	const [id, ...comment] = header.split(" ");
+	return { id, comment: comment.join(" "), sequence, quality: "" };
+};
+
+describe("createUmiExtractor", () => {
+	it("reads the first capture group of a header pattern", () => {
+		const extract = createUmiExtractor({
+			source: "header",
+			pattern: "UMI:([ACGTN]+)",
+		});
+		assert.equal(extract(record("read1 1:N:0 UMI:ACGTAC")), "ACGTAC");
+		assert.equal(extract(record("read1_UMI:GGTT")), "GGTT");
+		assert.equal(extract(record("read1 1:N:0")), null);
+	});
+
+	it("uses the whole match of a pattern without groups", () => {
+		const extract = createUmiExtractor({
+			source: "header",
+			pattern: "[ACGT]{6}$",
+		});
+		assert.equal(extract(record("read1:TTGCAA")), "TTGCAA");
+	});
+
+	it("cuts sequence UMIs at the offset and rejects short reads", () => {
+		const extract = createUmiExtractor({
+			source: "sequence",
+			offset: 2,
+			length: 4,
+		});
+		assert.equal(extract(record("read1", "acgtacgt")), "GTAC");
+		assert.equal(extract(record("read1", "ACGTAC")), "GTAC");
+		assert.equal(extract(record("read1", "ACGTA")), null);
+	});
+});
+
+describe("countMolecules", () => {
+	const umiCounts = new Map([
+		["AATT", 1],
+		["AAAA", 5],
+		["AAAT", 1],
+		["CCCC", 2],
+		["AAA", 1],
+	]);
+
+	it("counts distinct UMIs without merging", () => {
+		assert.equal(countMolecules(umiCounts, false), 5);
+	});
+
+	it("merges UMIs one mismatch away from a more abundant one", () => {
+		// AAAT joins AAAA; AATT is two mismatches from AAAA and is not chained through AAAT;
+		// AAA differs in length
+		assert.equal(countMolecules(umiCounts, true), 4);
+	});
+
+	it("keeps the more abundant UMI of a one-mismatch pair", () => {
+		assert.equal(
+			countMolecules(
+				new Map([
+					["ACGT", 1],
+					["ACGA", 3],
+					["TCGA", 1],
+				]),
+				true,
+			),
+			1,
+		);
+	});
+});
+
+describe("UMIs of a read ID in several samples", () => {
+	const entries = [
+		{ model: "VH", sequence: "EVQL" },
+		{ model: "VL", sequence: "DIQM" },
+	];
+	const reads = [
+		["read1", "s1", "AAAA"],
+		["read1", "s2", "CCCC"],
+		["read2", "s1", "AAAA"],
+	];
+	const options = {
+		models: ["VH", "VL"],
+		samples: ["s1", "s2"],
+	};
+	/** @param {Array<{ [key: string]: string | number }>} rows */
+	const umiCounts = ([row]) => [
+		row.UMI_Count,
+		row.s1_UMI_Count,
+		row.s2_UMI_Count,
+	];
+
+	it("are kept apart by the memory backend", async () => {
+		const rows = await countSeqs(
+			new Map(reads.map(([read, sample]) => [`${read}|${sample}`, entries])),
+			{
+				...options,
+				umis: new Map(
+					reads.map(([read, sample, umi]) => [`${read}|${sample}`, umi]),
+				),
+			},
+		);
+		assert.deepEqual(umiCounts(rows), [2, 1, 1]);
+	});
+
+	it("are kept apart by the external backend", async () => {
+		/** @returns {AsyncGenerator<import("../src/counting.js").CountItem>} */
+		async function* items() {
+			for (const [read, sample, umi] of reads) {
+				yield { read, sample, umi };
+			}
+			let ord = 0;
+			for (const [read, sample] of reads) {
+				for (const entry of entries) {
+					yield { read, sample, ord: ord++, entry };
+				}
+			}
+		}
+		const { rows } = await countSeqsExternal(items(), {
+			...options,
+			withUmis: true,
+			dir: tmpDir,
+			budgetBytes: 4096,
+		});
+		/** @type {Array<{ [key: string]: string | number }>} */
+		const counted = [];
+		for await (const row of rows()) {
+			counted.push(row);
+		}
+		assert.deepEqual(umiCounts(counted), [2, 1, 1]);
+	});
+});